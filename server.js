@@ -5,6 +5,7 @@ import app from './src/app.js';
 import { connectDB } from './src/config/database.js';
 import { initializeChroma } from './src/config/chroma.js';
 import callWorker from './src/workers/call.worker.js';
+import webhookDeliveryWorker from './src/workers/webhookDelivery.worker.js';
 import { logger } from './src/utils/logger.js';
 
 const PORT = process.env.PORT || 5000;
@@ -27,6 +28,9 @@ async function startServer() {
     // Start call worker
     callWorker.start();
 
+    // Start outbound webhook retries
+    webhookDeliveryWorker.start();
+
     // Start Express server
     app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT}`);
@@ -2,15 +2,29 @@ import express from 'express';
 import mongoose from 'mongoose';
 import leadsRoutes from './routes/leads.routes.js';
 import reportsRoutes from './routes/reports.routes.js';
+import campaignsRoutes from './routes/campaigns.routes.js';
+import columnMappingsRoutes from './routes/columnMappings.routes.js';
+import handoffsRoutes from './routes/handoffs.routes.js';
+import authRoutes from './routes/auth.routes.js';
+import apiKeysRoutes from './routes/apiKeys.routes.js';
+import eventsRoutes from './routes/events.routes.js';
+import webhookSubscriptionsRoutes from './routes/webhookSubscriptions.routes.js';
+import knowledgeRoutes from './routes/knowledge.routes.js';
 import vapiWebhookRoutes from './routes/vapiWebhook.js';
+import customLlmRoutes from './routes/customLlm.routes.js';
 import ragService from './services/rag.service.js';
-import { ChatGroq } from '@langchain/groq';
+import { checkLLMProviders } from './services/llm/index.js';
 import { errorHandler } from './utils/errorHandler.js';
 import { logger } from './utils/logger.js';
 
 const app = express();
 // Middleware
-app.use(express.json());
+// Keep the raw body for webhook signature verification
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging
@@ -36,7 +50,7 @@ app.get('/health/detailed', async (req, res) => {
     dependencies: {
       mongodb: { status: 'unknown', message: '' },
       chromadb: { status: 'unknown', message: '' },
-      groq: { status: 'unknown', message: '' }
+      llm: { status: 'unknown', message: '' }
     }
   };
 
@@ -66,29 +80,10 @@ app.get('/health/detailed', async (req, res) => {
     health.status = 'degraded';
   }
 
-  // Check Groq API
-  try {
-    if (!process.env.GROQ_API_KEY) {
-      health.dependencies.groq = { status: 'error', message: 'GROQ_API_KEY not configured' };
-      health.status = 'degraded';
-    } else {
-      const testModel = new ChatGroq({
-        apiKey: process.env.GROQ_API_KEY,
-        model: 'llama-3.3-70b-versatile',
-        temperature: 0
-      });
-      
-      // Simple test invocation with timeout
-      const testPromise = testModel.invoke([{ role: 'user', content: 'ping' }]);
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Timeout')), 5000)
-      );
-      
-      await Promise.race([testPromise, timeoutPromise]);
-      health.dependencies.groq = { status: 'connected', message: 'Groq API is reachable' };
-    }
-  } catch (error) {
-    health.dependencies.groq = { status: 'error', message: error.message };
+  // Check the LLM provider (and its fallback, if configured)
+  const llmChecks = await checkLLMProviders();
+  Object.assign(health.dependencies, llmChecks);
+  if (llmChecks.llm.status !== 'connected') {
     health.status = 'degraded';
   }
 
@@ -100,9 +95,18 @@ app.get('/health/detailed', async (req, res) => {
 });
 
 // Routes
+app.use('/api', authRoutes);
+app.use('/api', apiKeysRoutes);
 app.use('/api', vapiWebhookRoutes);
+app.use('/api', customLlmRoutes);
 app.use('/api', leadsRoutes);
 app.use('/api', reportsRoutes);
+app.use('/api', campaignsRoutes);
+app.use('/api', columnMappingsRoutes);
+app.use('/api', handoffsRoutes);
+app.use('/api', eventsRoutes);
+app.use('/api', webhookSubscriptionsRoutes);
+app.use('/api', knowledgeRoutes);
 
 // 404 handler
 app.use((req, res) => {
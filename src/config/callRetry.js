@@ -0,0 +1,42 @@
+import { logger } from '../utils/logger.js';
+
+/**
+ * Call retry policies, keyed by call disposition.
+ *
+ * - maxAttempts: total attempts on the lead after which it is marked failed
+ * - baseDelayMinutes: wait after the first failed attempt
+ * - multiplier: backoff factor applied per further attempt
+ * - maxDelayMinutes: cap on the wait
+ * - jitter: random spread as a fraction of the delay (0.2 = ±20%)
+ *
+ * Override any of them with CALL_RETRY_POLICIES, a JSON object merged over
+ * the defaults, e.g. {"busy":{"baseDelayMinutes":30}}.
+ */
+const DEFAULT_RETRY_POLICIES = {
+  no_answer: { maxAttempts: 3, baseDelayMinutes: 60, multiplier: 2, maxDelayMinutes: 24 * 60, jitter: 0.2 },
+  busy: { maxAttempts: 4, baseDelayMinutes: 15, multiplier: 2, maxDelayMinutes: 4 * 60, jitter: 0.2 },
+  voicemail: { maxAttempts: 3, baseDelayMinutes: 4 * 60, multiplier: 2, maxDelayMinutes: 24 * 60, jitter: 0.2 },
+  provider_error: { maxAttempts: 5, baseDelayMinutes: 5, multiplier: 3, maxDelayMinutes: 2 * 60, jitter: 0.3 }
+};
+
+export const RETRYABLE_DISPOSITIONS = Object.keys(DEFAULT_RETRY_POLICIES);
+
+export const getRetryPolicies = () => {
+  let overrides = {};
+  if (process.env.CALL_RETRY_POLICIES) {
+    try {
+      overrides = JSON.parse(process.env.CALL_RETRY_POLICIES);
+    } catch (error) {
+      logger.warn(`Ignoring invalid CALL_RETRY_POLICIES: ${error.message}`);
+    }
+  }
+
+  const policies = {};
+  for (const disposition of RETRYABLE_DISPOSITIONS) {
+    policies[disposition] = {
+      ...DEFAULT_RETRY_POLICIES[disposition],
+      ...(overrides[disposition] || {})
+    };
+  }
+  return policies;
+};
@@ -0,0 +1,87 @@
+/**
+ * Calling hours configuration
+ *
+ * A schedule is { days, startHour, endHour, holidays }:
+ * - days: days of week calls are allowed, 0 = Sunday ... 6 = Saturday
+ * - startHour/endHour: local hours, calls allowed in [startHour, endHour)
+ * - holidays: local dates ('YYYY-MM-DD') with no calls at all
+ * All of it is evaluated in the lead's own time zone.
+ */
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const parseHour = (value, fallback) => {
+  const hour = parseInt(value);
+  return Number.isInteger(hour) && hour >= 0 && hour <= 24 ? hour : fallback;
+};
+
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+export const getDefaultSchedule = () => {
+  const days = parseList(process.env.CALLING_DAYS)
+    .map(day => parseInt(day))
+    .filter(day => day >= 0 && day <= 6);
+
+  return {
+    days: days.length > 0 ? days : [1, 2, 3, 4, 5, 6],
+    startHour: parseHour(process.env.CALLING_START_HOUR, 9),
+    endHour: parseHour(process.env.CALLING_END_HOUR, 20),
+    holidays: parseList(process.env.CALLING_HOLIDAYS)
+  };
+};
+
+// Country calling code → IANA time zone, for leads without an explicit one.
+// Countries spanning several zones map to their most populous one.
+export const COUNTRY_CODE_TIMEZONES = {
+  '1': 'America/New_York',
+  '7': 'Europe/Moscow',
+  '27': 'Africa/Johannesburg',
+  '33': 'Europe/Paris',
+  '44': 'Europe/London',
+  '49': 'Europe/Berlin',
+  '60': 'Asia/Kuala_Lumpur',
+  '61': 'Australia/Sydney',
+  '62': 'Asia/Jakarta',
+  '63': 'Asia/Manila',
+  '64': 'Pacific/Auckland',
+  '65': 'Asia/Singapore',
+  '66': 'Asia/Bangkok',
+  '81': 'Asia/Tokyo',
+  '82': 'Asia/Seoul',
+  '86': 'Asia/Shanghai',
+  '91': 'Asia/Kolkata',
+  '92': 'Asia/Karachi',
+  '94': 'Asia/Colombo',
+  '234': 'Africa/Lagos',
+  '254': 'Africa/Nairobi',
+  '880': 'Asia/Dhaka',
+  '960': 'Indian/Maldives',
+  '965': 'Asia/Kuwait',
+  '966': 'Asia/Riyadh',
+  '968': 'Asia/Muscat',
+  '971': 'Asia/Dubai',
+  '973': 'Asia/Bahrain',
+  '974': 'Asia/Qatar',
+  '975': 'Asia/Thimphu',
+  '977': 'Asia/Kathmandu'
+};
+
+/**
+ * Infers a time zone from an E.164-style phone number ('+<code>...').
+ * Longest matching country code wins; unknown codes get the default.
+ */
+export const inferTimezone = (phone) => {
+  const number = (phone || '').trim();
+  if (!number.startsWith('+')) {
+    return DEFAULT_TIMEZONE;
+  }
+
+  for (let length = 3; length >= 1; length--) {
+    const timezone = COUNTRY_CODE_TIMEZONES[number.substring(1, 1 + length)];
+    if (timezone) return timezone;
+  }
+  return DEFAULT_TIMEZONE;
+};
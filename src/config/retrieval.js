@@ -0,0 +1,62 @@
+/**
+ * Retrieval settings
+ *
+ * Server defaults come from the environment; a campaign's `retrieval`
+ * settings override them field by field:
+ *   RAG_RETRIEVAL_MODE      vector | lexical | hybrid (default hybrid)
+ *   RAG_TOP_K               chunks per query given to the LLM (default 3)
+ *   RAG_MIN_RELEVANCE       cutoff on each chunk's score (default 0.3)
+ *   RAG_CANDIDATES          chunks fetched per query and search (default 10)
+ *   RAG_VECTOR_WEIGHT       fusion weight of the vector search (default 1)
+ *   RAG_LEXICAL_WEIGHT      fusion weight of the keyword search (default 1)
+ *   RAG_RERANKER            none | cross-encoder | llm (default none)
+ *   RAG_RERANK_CANDIDATES   fused chunks passed to the reranker (default 8)
+ */
+
+export const RETRIEVAL_MODES = ['vector', 'lexical', 'hybrid'];
+
+// One name per reranker registered in services/retrieval/index.js
+export const RERANKER_NAMES = ['none', 'cross-encoder', 'llm'];
+
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const serverDefaults = () => ({
+  mode: process.env.RAG_RETRIEVAL_MODE || 'hybrid',
+  topK: numberFromEnv('RAG_TOP_K', 3),
+  minRelevance: numberFromEnv('RAG_MIN_RELEVANCE', 0.3),
+  candidates: numberFromEnv('RAG_CANDIDATES', 10),
+  vectorWeight: numberFromEnv('RAG_VECTOR_WEIGHT', 1),
+  lexicalWeight: numberFromEnv('RAG_LEXICAL_WEIGHT', 1),
+  reranker: process.env.RAG_RERANKER || 'none',
+  rerankCandidates: numberFromEnv('RAG_RERANK_CANDIDATES', 8)
+});
+
+/**
+ * @param {Object} [overrides] - campaign retrieval settings; unset fields
+ *   keep the server default
+ * @returns {Object} complete settings
+ */
+export const resolveRetrievalSettings = (overrides = {}) => {
+  const settings = serverDefaults();
+
+  for (const key of Object.keys(settings)) {
+    if (overrides[key] !== undefined && overrides[key] !== null) {
+      settings[key] = overrides[key];
+    }
+  }
+
+  if (!RETRIEVAL_MODES.includes(settings.mode)) {
+    throw new Error(`Unknown retrieval mode: ${settings.mode}. Use: ${RETRIEVAL_MODES.join(', ')}`);
+  }
+  if (!RERANKER_NAMES.includes(settings.reranker)) {
+    throw new Error(`Unknown reranker: ${settings.reranker}. Use: ${RERANKER_NAMES.join(', ')}`);
+  }
+  // The candidate pool must cover what is finally kept
+  settings.candidates = Math.max(settings.candidates, settings.topK);
+  settings.rerankCandidates = Math.max(settings.rerankCandidates, settings.topK);
+
+  return settings;
+};
@@ -0,0 +1,110 @@
+import authService from '../services/auth.service.js';
+import apiKeyService from '../services/apiKey.service.js';
+import { AppError } from '../utils/errorHandler.js';
+
+const getBearerToken = (req) => {
+  const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+};
+
+/**
+ * Resolves the bearer token to req.user ({ id, email, name, role }).
+ */
+export const authenticate = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    if (!token) {
+      throw new AppError('Authentication required', 401);
+    }
+
+    const user = await authService.authenticate(token);
+    if (!user) {
+      throw new AppError('Invalid or expired token', 401);
+    }
+
+    req.user = user;
+    req.token = token;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accepts the token as ?access_token= for clients that can't set headers
+ * (browser EventSource). Use before authenticate, only where needed.
+ */
+export const tokenFromQuery = (req, res, next) => {
+  if (!req.get('authorization') && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+/**
+ * Allows the listed roles; admins are always allowed. Use after
+ * authenticate.
+ */
+export const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return next(new AppError('Authentication required', 401));
+  }
+  if (req.user.role !== 'admin' && !roles.includes(req.user.role)) {
+    return next(new AppError('You do not have permission to do this', 403));
+  }
+  next();
+};
+
+/**
+ * authenticate + authorize in one middleware list, e.g.
+ * router.get('/stats', requireRole('viewer'), handler)
+ */
+export const requireRole = (...roles) => [authenticate, authorize(...roles)];
+
+/**
+ * Resolves the X-API-Key header to req.apiKey, checks the scope and
+ * counts the request against the key's rate limit and daily quota.
+ * Rate limit headers are set on every response; over the limit the
+ * request gets 429 with Retry-After.
+ */
+export const requireScope = (scope) => async (req, res, next) => {
+  try {
+    const apiKey = await apiKeyService.authenticate(req.get('x-api-key'));
+    if (!apiKey) {
+      throw new AppError('Invalid or revoked API key', 401);
+    }
+    if (!apiKey.scopes.includes(scope)) {
+      throw new AppError(`API key lacks the ${scope} scope`, 403);
+    }
+
+    const result = await apiKeyService.consume(apiKey);
+    res.set(result.headers);
+    if (!result.allowed) {
+      throw new AppError(`${result.reason}, retry in ${result.retryAfterSeconds}s`, 429);
+    }
+
+    req.apiKey = { id: apiKey._id.toString(), name: apiKey.name, scopes: apiKey.scopes };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accepts either an API key with the scope (X-API-Key header) or a
+ * logged-in user with one of the roles.
+ */
+export const requireRoleOrScope = (scope, ...roles) => {
+  const checkKey = requireScope(scope);
+  const checkRole = authorize(...roles);
+
+  return (req, res, next) => {
+    if (req.get('x-api-key')) {
+      return checkKey(req, res, next);
+    }
+    authenticate(req, res, (error) => (error ? next(error) : checkRole(req, res, next)));
+  };
+};
+
+// Name recorded as the author of changes: the user, or the API key
+export const actorName = (req) => req.user?.name || (req.apiKey ? `API key ${req.apiKey.name}` : 'unknown');
@@ -0,0 +1,150 @@
+import crypto from 'crypto';
+import WebhookEvent from '../models/WebhookEvent.js';
+import { AppError } from '../utils/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// Processed event ids are remembered this long (see routes/vapiWebhook.js);
+// older shared-secret messages are refused, as a redelivery could no longer
+// be recognized
+export const EVENT_ID_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(a || '', 'utf8');
+  const bufB = Buffer.from(b || '', 'utf8');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+const reject = (req, reason, statusCode) => {
+  logger.warn(`Vapi webhook rejected: ${reason}`, {
+    ip: req.ip,
+    path: req.path
+  });
+  return new AppError(`Webhook rejected: ${reason}`, statusCode);
+};
+
+/**
+ * Authenticates Vapi webhook deliveries.
+ *
+ * HMAC mode (x-vapi-signature + x-vapi-timestamp headers):
+ *   signature = hex(HMAC-SHA256(VAPI_WEBHOOK_SECRET, `${timestamp}.${rawBody}`))
+ *   The timestamp must be within VAPI_WEBHOOK_TOLERANCE_SECONDS (default 300)
+ *   and each nonce (x-vapi-nonce, or the signature itself) is accepted once.
+ *
+ * Shared-secret mode (x-vapi-secret header, Vapi's "Server URL Secret"):
+ *   Accepted unless VAPI_WEBHOOK_REQUIRE_HMAC=true. There is no nonce:
+ *   a repeated delivery is caught by the route's event-id idempotency and
+ *   acknowledged without reprocessing. A message.timestamp older than
+ *   EVENT_ID_TTL_MS is rejected; a body without one can be replayed once
+ *   its event id expires.
+ *
+ * The accepted HMAC nonce is left on req.webhookNonce so the route can
+ * release it when processing fails and the provider retries.
+ */
+export const verifyVapiWebhook = async (req, res, next) => {
+  try {
+    const secret = process.env.VAPI_WEBHOOK_SECRET;
+    if (!secret) {
+      logger.error('VAPI_WEBHOOK_SECRET is not configured; refusing webhook');
+      throw new AppError('Webhook verification is not configured', 500);
+    }
+
+    const signature = req.get('x-vapi-signature');
+    const sharedSecret = req.get('x-vapi-secret');
+
+    if (signature) {
+      await verifyHmac(req, secret, signature);
+    } else if (sharedSecret) {
+      if (process.env.VAPI_WEBHOOK_REQUIRE_HMAC === 'true') {
+        throw reject(req, 'signature required', 401);
+      }
+      if (!safeEqual(sharedSecret, secret)) {
+        throw reject(req, 'invalid shared secret', 401);
+      }
+      verifyMessageAge(req);
+    } else {
+      throw reject(req, 'missing credentials', 401);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const verifyHmac = async (req, secret, signature) => {
+  const timestampHeader = req.get('x-vapi-timestamp');
+  if (!timestampHeader) {
+    throw reject(req, 'missing timestamp', 401);
+  }
+
+  // Accept seconds or milliseconds since epoch
+  const timestamp = Number(timestampHeader);
+  if (!Number.isFinite(timestamp)) {
+    throw reject(req, 'malformed timestamp', 400);
+  }
+  const timestampMs = timestamp < 1e12 ? timestamp * 1000 : timestamp;
+
+  const toleranceSeconds = parseInt(process.env.VAPI_WEBHOOK_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS;
+  if (Math.abs(Date.now() - timestampMs) > toleranceSeconds * 1000) {
+    throw reject(req, 'timestamp outside tolerance', 401);
+  }
+
+  if (!req.rawBody) {
+    throw reject(req, 'missing body', 400);
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestampHeader}.`)
+    .update(req.rawBody)
+    .digest('hex');
+
+  const provided = signature.replace(/^sha256=/, '');
+  if (!safeEqual(provided, expected)) {
+    throw reject(req, 'invalid signature', 401);
+  }
+
+  // Replays inside the tolerance window carry a nonce we've already seen
+  await claimNonce(req, req.get('x-vapi-nonce') || provided, toleranceSeconds * 2 * 1000);
+};
+
+const verifyMessageAge = (req) => {
+  const message = req.body?.message || req.body || {};
+
+  // Vapi stamps messages in milliseconds since epoch
+  const timestamp = Number(message.timestamp);
+  if (message.timestamp !== undefined && Number.isFinite(timestamp)) {
+    const timestampMs = timestamp < 1e12 ? timestamp * 1000 : timestamp;
+    if (Date.now() - timestampMs > EVENT_ID_TTL_MS) {
+      throw reject(req, 'message timestamp too old', 401);
+    }
+  }
+};
+
+const claimNonce = async (req, nonce, ttlMs) => {
+  try {
+    await WebhookEvent.create({
+      provider: 'vapi',
+      kind: 'nonce',
+      key: nonce,
+      expiresAt: new Date(Date.now() + ttlMs)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw reject(req, 'replayed nonce', 409);
+    }
+    throw error;
+  }
+  req.webhookNonce = nonce;
+};
+
+/**
+ * Forgets the HMAC nonce of a delivery that failed, so the provider's
+ * retry of the same signed body is accepted.
+ */
+export const releaseWebhookNonce = (req) => {
+  if (!req.webhookNonce) return Promise.resolve();
+  return WebhookEvent.deleteOne({ provider: 'vapi', kind: 'nonce', key: req.webhookNonce }).catch(() => {});
+};
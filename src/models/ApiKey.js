@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+export const API_KEY_SCOPES = ['leads:read', 'leads:write', 'stats:read', 'chat'];
+
+/**
+ * Integration API key. Only the SHA-256 of the key is stored; prefix is
+ * the first characters of the key, kept so admins can tell keys apart.
+ */
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'at least one scope is required'
+    }
+  },
+  // null uses the server defaults
+  rateLimitPerMinute: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  dailyQuota: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  usage: {
+    requests: {
+      type: Number,
+      default: 0
+    },
+    rejected: {
+      type: Number,
+      default: 0
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+
+export default mongoose.model('ApiKey', apiKeySchema);
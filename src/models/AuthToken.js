@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+/**
+ * Login session. Only the SHA-256 of the bearer token is stored; tokens
+ * are deleted on logout and expire on their own via the TTL index.
+ */
+const authTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+authTokenSchema.index({ tokenHash: 1 }, { unique: true });
+authTokenSchema.index({ userId: 1 });
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('AuthToken', authTokenSchema);
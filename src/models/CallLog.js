@@ -6,6 +6,31 @@ const callLogSchema = new mongoose.Schema({
     ref: 'Lead',
     required: true
   },
+  providerCallId: {
+    type: String
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the lease reaper requeued the lead; later events are ignored
+  reapedAt: {
+    type: Date,
+    default: null
+  },
+  endedReason: {
+    type: String,
+    default: ''
+  },
+  outcome: {
+    type: String,
+    enum: ['', 'completed', 'no_answer', 'busy', 'voicemail', 'failed', 'provider_error'],
+    default: ''
+  },
   duration: {
     type: Number,
     default: 0
@@ -24,11 +49,31 @@ const callLogSchema = new mongoose.Schema({
   raw_transcript: {
     type: String,
     default: ''
-  }
+  },
+  // What the knowledge base was searched with on a chat turn
+  retrieval: {
+    query: String,
+    rewritten_query: String,
+    sub_queries: [String],
+    mode: String,
+    reranker: String
+  },
+  // Knowledge base chunks the reply was grounded on
+  sources: [{
+    _id: false,
+    source: String,
+    chunkIndex: Number,
+    score: Number,
+    vectorScore: Number,
+    lexicalScore: Number,
+    rerankScore: Number
+  }]
 }, {
   timestamps: true
 });
 
 callLogSchema.index({ leadId: 1, createdAt: -1 });
+// One log per provider call; chat-test turns have no provider id
+callLogSchema.index({ providerCallId: 1 }, { unique: true, sparse: true });
 
 export default mongoose.model('CallLog', callLogSchema);
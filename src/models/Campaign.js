@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+import { RETRIEVAL_MODES, RERANKER_NAMES } from '../config/retrieval.js';
+
+export const CAMPAIGN_STATES = ['draft', 'running', 'paused', 'completed'];
+
+const campaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  state: {
+    type: String,
+    enum: CAMPAIGN_STATES,
+    default: 'draft'
+  },
+  // Calling window, evaluated in each lead's time zone (see config/callingHours.js)
+  schedule: {
+    days: {
+      type: [Number],
+      default: [1, 2, 3, 4, 5, 6]
+    },
+    startHour: {
+      type: Number,
+      min: 0,
+      max: 24,
+      default: 9
+    },
+    endHour: {
+      type: Number,
+      min: 0,
+      max: 24,
+      default: 20
+    },
+    holidays: {
+      type: [String],
+      default: []
+    }
+  },
+  assistant: {
+    // Vapi assistant used for this campaign's calls (falls back to VAPI_ASSISTANT_ID)
+    vapiAssistantId: {
+      type: String,
+      default: ''
+    },
+    institutionName: {
+      type: String,
+      default: 'BML Munjal University'
+    },
+    // Extra campaign-specific guidance appended to the system prompt
+    promptInstructions: {
+      type: String,
+      default: ''
+    }
+  },
+  // Chroma collection holding this campaign's knowledge base
+  knowledgeCollection: {
+    type: String,
+    default: () => process.env.CHROMA_COLLECTION || 'bml_admissions'
+  },
+  // Knowledge base retrieval; unset fields use the server defaults
+  // (RAG_* variables, see config/retrieval.js)
+  retrieval: {
+    mode: {
+      type: String,
+      enum: RETRIEVAL_MODES
+    },
+    topK: {
+      type: Number,
+      min: 1,
+      max: 10
+    },
+    minRelevance: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    candidates: {
+      type: Number,
+      min: 1,
+      max: 50
+    },
+    vectorWeight: {
+      type: Number,
+      min: 0
+    },
+    lexicalWeight: {
+      type: Number,
+      min: 0
+    },
+    reranker: {
+      type: String,
+      enum: RERANKER_NAMES
+    },
+    rerankCandidates: {
+      type: Number,
+      min: 1,
+      max: 30
+    }
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+campaignSchema.index({ state: 1 });
+campaignSchema.index({ name: 1 }, { unique: true });
+
+export default mongoose.model('Campaign', campaignSchema);
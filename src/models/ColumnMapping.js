@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// Lead fields an upload column can be mapped to; anything else goes
+// under attributes.<key>
+export const LEAD_FIELDS = ['name', 'phone', 'email', 'timezone', 'course_interest'];
+
+const ATTRIBUTE_TARGET = /^attributes\.[a-z0-9_]+$/;
+
+const columnMappingSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // source: header as it appears in the file (matched case-insensitively)
+  // target: a lead field, or attributes.<key> for a custom attribute
+  columns: [{
+    _id: false,
+    source: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    target: {
+      type: String,
+      required: true,
+      trim: true,
+      validate: {
+        validator: (value) => LEAD_FIELDS.includes(value) || ATTRIBUTE_TARGET.test(value),
+        message: props => `${props.value} is not a lead field or attributes.<key>`
+      }
+    }
+  }],
+  // Store columns without a mapping as attributes instead of dropping them
+  keepUnmapped: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+columnMappingSchema.index({ name: 1 }, { unique: true });
+
+export default mongoose.model('ColumnMapping', columnMappingSchema);
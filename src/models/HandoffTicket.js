@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+
+const turnSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'assistant', 'system']
+  },
+  text: String,
+  timestamp: Date
+}, { _id: false });
+
+const handoffTicketSchema = new mongoose.Schema({
+  leadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: true
+  },
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    default: null
+  },
+  callLogId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CallLog',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['open', 'claimed', 'resolved'],
+    default: 'open'
+  },
+  // true while open or claimed; one active ticket per lead
+  active: {
+    type: Boolean,
+    default: true
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  // Student message that triggered the handoff
+  trigger_message: {
+    type: String,
+    default: ''
+  },
+  recent_turns: [turnSchema],
+  interest_score: {
+    type: Number,
+    default: 0
+  },
+  course_interest: {
+    type: String,
+    default: ''
+  },
+  claimed_by: {
+    type: String,
+    default: null
+  },
+  resolved_by: {
+    type: String,
+    default: null
+  },
+  resolution: {
+    type: String,
+    default: ''
+  },
+  notes: [{
+    author: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    text: {
+      type: String,
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // SLA timestamps
+  claimDueAt: Date,
+  resolveDueAt: Date,
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Whether the ticket is past its claim or resolve deadline
+handoffTicketSchema.virtual('sla_breached').get(function () {
+  const now = new Date();
+  if (this.status === 'open') {
+    return Boolean(this.claimDueAt && this.claimDueAt < now);
+  }
+  if (this.status === 'claimed') {
+    return Boolean(this.resolveDueAt && this.resolveDueAt < now);
+  }
+  return Boolean(
+    (this.claimDueAt && this.claimedAt && this.claimedAt > this.claimDueAt) ||
+    (this.resolveDueAt && this.resolvedAt && this.resolvedAt > this.resolveDueAt)
+  );
+});
+
+handoffTicketSchema.index(
+  { leadId: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+handoffTicketSchema.index({ status: 1, createdAt: 1 });
+handoffTicketSchema.index({ claimed_by: 1, status: 1 });
+
+export default mongoose.model('HandoffTicket', handoffTicketSchema);
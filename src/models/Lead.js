@@ -1,6 +1,12 @@
 import mongoose from 'mongoose';
+import { inferTimezone } from '../config/callingHours.js';
 
 const leadSchema = new mongoose.Schema({
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    default: null
+  },
   name: {
     type: String,
     required: true,
@@ -26,6 +32,54 @@ const leadSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  current_call_id: {
+    type: String,
+    default: null
+  },
+  // Worker holding the lead while it is calling, and until when
+  claimed_by: {
+    type: String,
+    default: null
+  },
+  lease_expires_at: {
+    type: Date,
+    default: null
+  },
+  // Earliest time the worker may dial again; null means as soon as possible
+  next_attempt_at: {
+    type: Date,
+    default: null
+  },
+  call_history: [{
+    attempt: Number,
+    providerCallId: String,
+    outcome: {
+      type: String,
+      enum: ['completed', 'no_answer', 'busy', 'voicemail', 'failed', 'provider_error']
+    },
+    endedReason: String,
+    next_attempt_at: Date,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // IANA time zone used for calling hours; inferred from phone if not given
+  timezone: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: (value) => {
+        try {
+          Intl.DateTimeFormat('en-US', { timeZone: value });
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: props => `${props.value} is not a valid time zone`
+    }
+  },
   interest_score: {
     type: Number,
     default: 0
@@ -38,6 +92,63 @@ const leadSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Rolling summary maintained by summaryService; summary is its text form.
+  // covered_turns counts the transcript entries already folded into it.
+  conversation_summary: {
+    type: new mongoose.Schema({
+      courses: [String],
+      concerns: [String],
+      next_step: { type: String, default: '' },
+      notes: { type: String, default: '' },
+      covered_turns: { type: Number, default: 0 },
+      updatedAt: Date
+    }, { _id: false }),
+    default: null
+  },
+  // Custom attributes from uploads (city, board, preferred course, ...)
+  attributes: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Counselor responsible for follow-up
+  assigned_to: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  notes: [{
+    author: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    text: {
+      type: String,
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Manual status changes made through the API
+  status_history: [{
+    _id: false,
+    from: String,
+    to: String,
+    reason: String,
+    changed_by: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   transcript: [{
     role: {
       type: String,
@@ -53,8 +164,30 @@ const leadSchema = new mongoose.Schema({
   timestamps: true
 });
 
+leadSchema.pre('validate', function (next) {
+  if (!this.timezone) {
+    this.timezone = inferTimezone(this.phone);
+  }
+  next();
+});
+
 leadSchema.index({ status: 1, attempts: 1 });
-leadSchema.index({ email: 1 }, { unique: true });
-leadSchema.index({ phone: 1 }, { unique: true });
+leadSchema.index({ status: 1, next_attempt_at: 1 });
+leadSchema.index({ campaignId: 1, status: 1, next_attempt_at: 1 });
+leadSchema.index({ status: 1, lease_expires_at: 1 });
+leadSchema.index({ assigned_to: 1, status: 1 });
+leadSchema.index({ tags: 1 });
+leadSchema.index({ createdAt: -1, _id: -1 });
+leadSchema.index({ updatedAt: -1, _id: -1 });
+leadSchema.index({ interest_score: -1, _id: -1 });
+// Full-text search for GET /api/leads?q=
+leadSchema.index(
+  { name: 'text', email: 'text', summary: 'text', 'transcript.text': 'text' },
+  { name: 'lead_search', weights: { name: 10, email: 10, summary: 5, 'transcript.text': 1 } }
+);
+// A student may be in several campaigns, once per campaign
+// (existing databases: npm run migrate)
+leadSchema.index({ campaignId: 1, email: 1 }, { unique: true });
+leadSchema.index({ campaignId: 1, phone: 1 }, { unique: true });
 
 export default mongoose.model('Lead', leadSchema);
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+/**
+ * Fixed-window request counter for the mongo rate limit store.
+ * key is `<subject>:<window end ms>`; expired windows are removed by the
+ * TTL index.
+ */
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitCounterSchema.index({ key: 1 }, { unique: true });
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+export const ROLES = ['admin', 'counselor', 'viewer'];
+
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // scrypt hash, see auth.service.js; never returned by default
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    required: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+userSchema.index({ email: 1 }, { unique: true });
+
+export default mongoose.model('User', userSchema);
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+/**
+ * One event sent to one subscription, with every attempt. status 'dead'
+ * is the dead-letter log: deliveries that used up their retries.
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Next time the worker may try; also pushed ahead while an attempt runs
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String,
+    default: ''
+  },
+  attemptLog: [{
+    _id: false,
+    at: Date,
+    statusCode: Number,
+    error: String,
+    durationMs: Number
+  }],
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  deadAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ eventId: 1, subscriptionId: 1 }, { unique: true });
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
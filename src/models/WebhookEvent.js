@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+/**
+ * Receipt of an inbound webhook delivery.
+ * kind 'nonce' records a signature nonce (replay protection),
+ * kind 'event' records a processed event id (idempotency).
+ * Records expire on their own via the TTL index on expiresAt.
+ */
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['nonce', 'event'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    default: ''
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ provider: 1, kind: 1, key: 1 }, { unique: true });
+webhookEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('WebhookEvent', webhookEventSchema);
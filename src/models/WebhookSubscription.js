@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+export const OUTBOUND_EVENTS = ['lead.completed', 'lead.hot', 'handoff.requested', 'lead.failed'];
+
+/**
+ * CRM endpoint subscribed to outbound lead events. secret signs every
+ * delivery (see outboundWebhook.service.js) and is only shown on creation.
+ */
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: (value) => {
+        try {
+          return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (error) {
+          return false;
+        }
+      },
+      message: props => `${props.value} is not an http(s) URL`
+    }
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: OUTBOUND_EVENTS
+    }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'at least one event is required'
+    }
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookSubscriptionSchema.index({ active: 1, events: 1 });
+
+export default mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
@@ -0,0 +1,65 @@
+import express from 'express';
+import apiKeyService from '../services/apiKey.service.js';
+import { requireRole } from '../middleware/auth.js';
+import { asyncWrapper } from '../utils/asyncWrapper.js';
+import { AppError } from '../utils/errorHandler.js';
+
+const router = express.Router();
+
+// Issue a key; the plain key is only returned in this response
+router.post('/api-keys', requireRole('admin'), asyncWrapper(async (req, res) => {
+  if (!req.body?.name || !req.body?.scopes) {
+    throw new AppError('name and scopes are required', 400);
+  }
+
+  const { key, apiKey } = await apiKeyService.createKey(req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Store this key now; it cannot be shown again',
+    data: { ...apiKey, key }
+  });
+}));
+
+// List keys with lifetime usage
+router.get('/api-keys', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const keys = await apiKeyService.listKeys();
+
+  res.json({
+    success: true,
+    data: keys
+  });
+}));
+
+// Usage: lifetime counters plus the current minute and day
+router.get('/api-keys/:id/usage', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const usage = await apiKeyService.getUsage(req.params.id);
+
+  res.json({
+    success: true,
+    data: usage
+  });
+}));
+
+// Change name, scopes or limits
+router.patch('/api-keys/:id', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const apiKey = await apiKeyService.updateKey(req.params.id, req.body || {});
+
+  res.json({
+    success: true,
+    data: apiKey
+  });
+}));
+
+// Revoke a key
+router.delete('/api-keys/:id', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const apiKey = await apiKeyService.revokeKey(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'API key revoked',
+    data: apiKey
+  });
+}));
+
+export default router;
@@ -0,0 +1,67 @@
+import express from 'express';
+import authService from '../services/auth.service.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import { asyncWrapper } from '../utils/asyncWrapper.js';
+
+const router = express.Router();
+
+// Log in with email and password; returns a bearer token
+router.post('/auth/login', asyncWrapper(async (req, res) => {
+  const { email, password } = req.body || {};
+  const session = await authService.login(email, password);
+
+  res.json({
+    success: true,
+    data: session
+  });
+}));
+
+// End the current session
+router.post('/auth/logout', authenticate, asyncWrapper(async (req, res) => {
+  await authService.logout(req.token);
+
+  res.json({
+    success: true,
+    message: 'Logged out'
+  });
+}));
+
+// Current user
+router.get('/auth/me', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+});
+
+// Create user (admin)
+router.post('/users', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const user = await authService.createUser(req.body || {});
+
+  res.status(201).json({
+    success: true,
+    data: user
+  });
+}));
+
+// List users (admin), optionally ?role=counselor
+router.get('/users', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const users = await authService.listUsers(req.query);
+
+  res.json({
+    success: true,
+    data: users
+  });
+}));
+
+// Update name, role, active or password (admin)
+router.patch('/users/:id', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const user = await authService.updateUser(req.params.id, req.body || {});
+
+  res.json({
+    success: true,
+    data: user
+  });
+}));
+
+export default router;
@@ -0,0 +1,86 @@
+import express from 'express';
+import Campaign, { CAMPAIGN_STATES } from '../models/Campaign.js';
+import Lead from '../models/Lead.js';
+import campaignService from '../services/campaign.service.js';
+import { requireRole } from '../middleware/auth.js';
+import { asyncWrapper } from '../utils/asyncWrapper.js';
+import { AppError } from '../utils/errorHandler.js';
+
+const router = express.Router();
+
+// Create campaign
+router.post('/campaigns', requireRole('admin'), asyncWrapper(async (req, res) => {
+  if (!req.body?.name) {
+    throw new AppError('name is required', 400);
+  }
+
+  const campaign = await campaignService.createCampaign(req.body);
+
+  res.status(201).json({
+    success: true,
+    data: campaign
+  });
+}));
+
+// List campaigns
+router.get('/campaigns', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const { state } = req.query;
+  // Plain strings only: ?state[$ne]=x would otherwise reach the filter
+  if (state !== undefined && !CAMPAIGN_STATES.includes(state)) {
+    throw new AppError(`state must be one of: ${CAMPAIGN_STATES.join(', ')}`, 400);
+  }
+
+  const query = state ? { state } : {};
+  const campaigns = await Campaign.find(query).sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: campaigns
+  });
+}));
+
+// Get campaign details with lead counts per status
+router.get('/campaigns/:id', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const campaign = await campaignService.getCampaign(req.params.id);
+
+  const statusCounts = await Lead.aggregate([
+    { $match: { campaignId: campaign._id } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const leadCounts = {};
+  statusCounts.forEach(item => {
+    leadCounts[item._id] = item.count;
+  });
+
+  res.json({
+    success: true,
+    data: {
+      ...campaign.toObject(),
+      leadCounts
+    }
+  });
+}));
+
+// Update campaign settings (name, schedule, assistant, knowledge collection, retrieval)
+router.patch('/campaigns/:id', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const campaign = await campaignService.updateCampaign(req.params.id, req.body || {});
+
+  res.json({
+    success: true,
+    data: campaign
+  });
+}));
+
+// State transitions: start, pause, resume, complete
+router.post('/campaigns/:id/:action(start|pause|resume|complete)', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const campaign = await campaignService.transition(req.params.id, req.params.action);
+
+  res.json({
+    success: true,
+    message: `Campaign ${campaign.state}`,
+    data: campaign
+  });
+}));
+
+export default router;
@@ -0,0 +1,107 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import ColumnMapping from '../models/ColumnMapping.js';
+import { requireRole } from '../middleware/auth.js';
+import { asyncWrapper } from '../utils/asyncWrapper.js';
+import { AppError } from '../utils/errorHandler.js';
+
+/**
+ * Saved column mappings for lead uploads, e.g.
+ * { "name": "Education fair", "columns": [
+ *     { "source": "Student Name", "target": "name" },
+ *     { "source": "Mobile", "target": "phone" },
+ *     { "source": "Course Applied", "target": "attributes.preferred_course" }
+ *   ], "keepUnmapped": false }
+ */
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'description', 'columns', 'keepUnmapped'];
+
+const pickEditable = (body = {}) => {
+  const picked = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) picked[field] = body[field];
+  }
+  return picked;
+};
+
+const findMapping = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Invalid mapping id', 400);
+  }
+  const mapping = await ColumnMapping.findById(id);
+  if (!mapping) {
+    throw new AppError('Column mapping not found', 404);
+  }
+  return mapping;
+};
+
+const saveMapping = async (mapping) => {
+  try {
+    await mapping.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      throw new AppError(error.message, 400);
+    }
+    if (error.code === 11000) {
+      throw new AppError(`A column mapping named "${mapping.name}" already exists`, 409);
+    }
+    throw error;
+  }
+};
+
+// Create mapping
+router.post('/column-mappings', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const mapping = new ColumnMapping(pickEditable(req.body));
+  await saveMapping(mapping);
+
+  res.status(201).json({
+    success: true,
+    data: mapping
+  });
+}));
+
+// List mappings
+router.get('/column-mappings', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const mappings = await ColumnMapping.find({}).sort({ name: 1 });
+
+  res.json({
+    success: true,
+    data: mappings
+  });
+}));
+
+// Get mapping
+router.get('/column-mappings/:id', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const mapping = await findMapping(req.params.id);
+
+  res.json({
+    success: true,
+    data: mapping
+  });
+}));
+
+// Replace mapping fields
+router.put('/column-mappings/:id', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const mapping = await findMapping(req.params.id);
+  mapping.set(pickEditable(req.body));
+  await saveMapping(mapping);
+
+  res.json({
+    success: true,
+    data: mapping
+  });
+}));
+
+// Delete mapping
+router.delete('/column-mappings/:id', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const mapping = await findMapping(req.params.id);
+  await mapping.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Column mapping deleted'
+  });
+}));
+
+export default router;
@@ -0,0 +1,179 @@
+import express from 'express';
+import crypto from 'crypto';
+import conversationService from '../services/conversation.service.js';
+import callEventsService from '../services/callEvents.service.js';
+import { asyncWrapper } from '../utils/asyncWrapper.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * OpenAI-compatible chat completions endpoint for Vapi's "Custom LLM".
+ *
+ * Point the assistant's custom LLM URL at <server>/api/vapi/llm; Vapi
+ * appends /chat/completions. Every voice turn then runs through
+ * conversationService.processMessage (RAG retrieval, grounded prompt,
+ * lead scoring) instead of the prompt configured inside Vapi.
+ */
+const router = express.Router();
+
+const MODEL_NAME = 'admission-rag';
+
+// Spoken instead of an assistant answer once a counselor has claimed the lead
+const HANDOFF_HOLD_MESSAGE = process.env.HANDOFF_HOLD_MESSAGE ||
+  'A counselor is taking over from here and will be with you shortly.';
+
+// OpenAI-style error body: { error: { message, type, code } }
+const sendError = (res, statusCode, message, code) => {
+  res.status(statusCode).json({
+    error: {
+      message,
+      type: statusCode >= 500 ? 'server_error' : 'invalid_request_error',
+      code
+    }
+  });
+};
+
+const requireLlmKey = (req, res, next) => {
+  const expected = process.env.VAPI_LLM_API_KEY;
+  if (!expected) {
+    logger.error('VAPI_LLM_API_KEY is not configured; refusing custom LLM request');
+    return sendError(res, 500, 'Custom LLM endpoint is not configured', 'not_configured');
+  }
+
+  const provided = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    logger.warn('Custom LLM request rejected: invalid API key', { ip: req.ip });
+    return sendError(res, 401, 'Invalid API key', 'invalid_api_key');
+  }
+  next();
+};
+
+// Message content is either a string or an array of content parts
+const contentToText = (content) => {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter(part => part && part.type === 'text')
+      .map(part => part.text)
+      .join(' ');
+  }
+  return '';
+};
+
+const getLatestUserMessage = (messages) => {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i]?.role === 'user') {
+      const text = contentToText(messages[i].content).trim();
+      if (text) return text;
+    }
+  }
+  return '';
+};
+
+const logTurn = (leadId, call, result, stream) => {
+  logger.info(`Custom LLM turn for lead ${leadId}`, {
+    callId: call.id,
+    intent: result.metadata.intent,
+    stream
+  });
+};
+
+router.post('/vapi/llm/chat/completions', requireLlmKey, asyncWrapper(async (req, res) => {
+  const { messages, stream = false, call = {}, metadata = {} } = req.body || {};
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return sendError(res, 400, 'messages must be a non-empty array', 'invalid_messages');
+  }
+
+  const userMessage = getLatestUserMessage(messages);
+  if (!userMessage) {
+    return sendError(res, 400, 'No user message to respond to', 'missing_user_message');
+  }
+
+  const leadId = await callEventsService.resolveLeadId({
+    call: { ...call, metadata: call.metadata || metadata },
+    payload: req.body
+  });
+  if (!leadId) {
+    logger.warn(`Custom LLM request for call ${call.id} could not be matched to a lead`);
+    return sendError(res, 404, 'Lead not found for this call', 'lead_not_found');
+  }
+
+  const id = `chatcmpl-${crypto.randomUUID()}`;
+  const created = Math.floor(Date.now() / 1000);
+  const model = req.body.model || MODEL_NAME;
+
+  if (!stream) {
+    let result;
+    try {
+      result = await conversationService.processMessage(leadId, userMessage);
+    } catch (error) {
+      logger.error(`Custom LLM turn failed for lead ${leadId}: ${error.message}`, { callId: call.id });
+      return sendError(res, 500, 'Failed to generate a response', 'internal_error');
+    }
+    logTurn(leadId, call, result, false);
+
+    return res.json({
+      id,
+      object: 'chat.completion',
+      created,
+      model,
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content: result.response ?? HANDOFF_HOLD_MESSAGE },
+        finish_reason: 'stop'
+      }],
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+
+  const writeChunk = (delta, finishReason = null) => {
+    const chunk = {
+      id,
+      object: 'chat.completion.chunk',
+      created,
+      model,
+      choices: [{ index: 0, delta, finish_reason: finishReason }]
+    };
+    res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+  };
+
+  // Response text is forwarded as the model writes it, so speech can start
+  // before the turn is finished
+  writeChunk({ role: 'assistant' });
+  let streamed = '';
+
+  try {
+    const result = await conversationService.processMessage(leadId, userMessage, {
+      onToken: (text) => {
+        streamed += text;
+        writeChunk({ content: text });
+      }
+    });
+    logTurn(leadId, call, result, true);
+
+    // Nothing streamed (held for a counselor, or a fallback answer): send it
+    // now. Text already spoken can't be taken back if validation replaced it.
+    const content = result.response ?? HANDOFF_HOLD_MESSAGE;
+    if (content.startsWith(streamed)) {
+      const rest = content.slice(streamed.length);
+      if (rest) writeChunk({ content: rest });
+    } else {
+      logger.warn(`Streamed reply for lead ${leadId} differs from the validated response`, { callId: call.id });
+    }
+    writeChunk({}, 'stop');
+  } catch (error) {
+    logger.error(`Custom LLM stream failed for lead ${leadId}: ${error.message}`, { callId: call.id });
+    res.write(`data: ${JSON.stringify({ error: { message: 'Failed to generate a response', type: 'server_error', code: 'generation_failed' } })}\n\n`);
+  }
+
+  res.write('data: [DONE]\n\n');
+  res.end();
+}));
+
+export default router;
@@ -0,0 +1,64 @@
+import express from 'express';
+import campaignService from '../services/campaign.service.js';
+import leadService from '../services/lead.service.js';
+import liveEventsService from '../services/liveEvents.service.js';
+import { requireRole, tokenFromQuery } from '../middleware/auth.js';
+import { asyncWrapper } from '../utils/asyncWrapper.js';
+import { AppError } from '../utils/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Comment line sent this often so proxies keep the connection open
+const HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * Server-Sent Events stream of live call and conversation events.
+ *
+ * ?campaignId= or ?leadId= narrows the stream. Counselors may only follow
+ * a lead assigned to them. Clients reconnecting with Last-Event-ID get
+ * the buffered events they missed.
+ */
+router.get('/events/stream', tokenFromQuery, requireRole('counselor'), asyncWrapper(async (req, res) => {
+  const filter = {};
+
+  if (req.query.leadId) {
+    const lead = await leadService.getLead(req.query.leadId, req.user);
+    filter.leadId = lead._id.toString();
+  } else if (req.user.role === 'counselor') {
+    throw new AppError('Counselors can only follow a single assigned lead (?leadId=)', 403);
+  }
+
+  if (req.query.campaignId) {
+    const campaign = await campaignService.getCampaign(req.query.campaignId);
+    filter.campaignId = campaign._id.toString();
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  res.write('retry: 5000\n\n');
+  liveEventsService.replaySince(req.get('last-event-id'), filter).forEach(send);
+
+  const unsubscribe = liveEventsService.subscribe(filter, send);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  logger.info(`Live event stream opened by ${req.user.email}`, filter);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.debug(`Live event stream closed for ${req.user.email}`);
+  });
+}));
+
+export default router;
@@ -0,0 +1,74 @@
+import express from 'express';
+import handoffService from '../services/handoff.service.js';
+import { requireRole } from '../middleware/auth.js';
+import { asyncWrapper } from '../utils/asyncWrapper.js';
+
+const router = express.Router();
+
+// List handoff tickets (open and claimed unless ?status= is given);
+// claimedBy=me lists the current user's tickets
+router.get('/handoffs', requireRole('counselor'), asyncWrapper(async (req, res) => {
+  const params = req.query.claimedBy === 'me' ? { ...req.query, claimedBy: req.user.id } : req.query;
+  const tickets = await handoffService.listTickets(params);
+
+  res.json({
+    success: true,
+    data: tickets
+  });
+}));
+
+// Get one ticket
+router.get('/handoffs/:id', requireRole('counselor'), asyncWrapper(async (req, res) => {
+  const ticket = await handoffService.getTicket(req.params.id);
+
+  res.json({
+    success: true,
+    data: ticket
+  });
+}));
+
+// Claim an open ticket for the current user; the assistant stops
+// answering the lead. Counselors can't claim another counselor's lead;
+// admins can.
+router.post('/handoffs/:id/claim', requireRole('counselor'), asyncWrapper(async (req, res) => {
+  const ticket = await handoffService.claimTicket(req.params.id, req.user.id, {
+    override: req.user.role === 'admin'
+  });
+
+  res.json({
+    success: true,
+    message: `Ticket claimed by ${req.user.name}`,
+    data: ticket
+  });
+}));
+
+// Add a note to a ticket
+router.post('/handoffs/:id/notes', requireRole('counselor'), asyncWrapper(async (req, res) => {
+  const note = await handoffService.addNote(req.params.id, {
+    counselor: req.user.id,
+    author: req.user.name,
+    text: req.body?.text
+  }, { override: req.user.role === 'admin' });
+
+  res.status(201).json({
+    success: true,
+    data: note
+  });
+}));
+
+// Resolve a ticket; the assistant resumes answering the lead. Admins can
+// resolve tickets claimed by someone else.
+router.post('/handoffs/:id/resolve', requireRole('counselor'), asyncWrapper(async (req, res) => {
+  const ticket = await handoffService.resolveTicket(req.params.id, {
+    counselor: req.user.id,
+    resolution: req.body?.resolution
+  }, { override: req.user.role === 'admin' });
+
+  res.json({
+    success: true,
+    message: 'Ticket resolved',
+    data: ticket
+  });
+}));
+
+export default router;
@@ -0,0 +1,173 @@
+import express from 'express';
+import busboy from 'busboy';
+import campaignService from '../services/campaign.service.js';
+import knowledgeBaseService from '../services/knowledgeBase.service.js';
+import ragService from '../services/rag.service.js';
+import { resolveRetrievalSettings } from '../config/retrieval.js';
+import { requireRole } from '../middleware/auth.js';
+import { asyncWrapper } from '../utils/asyncWrapper.js';
+import { AppError } from '../utils/errorHandler.js';
+
+const router = express.Router();
+
+const MAX_DOCUMENT_BYTES = (parseInt(process.env.KNOWLEDGE_UPLOAD_MAX_MB) || 20) * 1024 * 1024;
+
+const parseBoolean = (value) => value === true || value === 'true' || value === '1';
+
+/**
+ * Reads a multipart upload with one "file" part into memory. Resolves to
+ * { fields, file: { filename, buffer } }.
+ */
+const receiveDocument = (req) => new Promise((resolve, reject) => {
+  let bb;
+  try {
+    bb = busboy({ headers: req.headers, limits: { files: 1, fileSize: MAX_DOCUMENT_BYTES } });
+  } catch (error) {
+    return reject(new AppError('Expected a multipart/form-data upload', 400));
+  }
+
+  const fields = {};
+  let file = null;
+  let truncated = false;
+
+  bb.on('field', (name, value) => {
+    fields[name] = value;
+  });
+
+  bb.on('file', (name, stream, info) => {
+    if (name !== 'file' || file) {
+      stream.resume();
+      return;
+    }
+
+    const parts = [];
+    file = { filename: info.filename, buffer: null };
+    stream.on('data', (part) => parts.push(part));
+    stream.on('limit', () => {
+      truncated = true;
+    });
+    stream.on('end', () => {
+      file.buffer = Buffer.concat(parts);
+    });
+  });
+
+  bb.on('close', () => {
+    if (!file) {
+      return reject(new AppError('No file uploaded', 400));
+    }
+    if (truncated) {
+      return reject(new AppError(`File exceeds the ${MAX_DOCUMENT_BYTES / (1024 * 1024)} MB upload limit`, 413));
+    }
+    resolve({ fields, file });
+  });
+
+  bb.on('error', reject);
+  req.pipe(bb);
+});
+
+// Target collection: "collection", else the campaign's, else the default
+const resolveTarget = async ({ collection, campaignId }) => {
+  if (collection) {
+    return { collectionName: knowledgeBaseService.resolveCollection(collection), campaign: null };
+  }
+  if (campaignId) {
+    const campaign = await campaignService.getCampaign(campaignId);
+    return { collectionName: campaign.knowledgeCollection, campaign };
+  }
+  return { collectionName: ragService.collectionName, campaign: null };
+};
+
+// Upload a document (PDF, TXT or MD) as a source named after the file
+// Fields: file, collection or campaignId, replace=true (overwrite a source
+// with different content)
+router.post('/knowledge/documents', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const { fields, file } = await receiveDocument(req);
+  const { collectionName } = await resolveTarget(fields);
+
+  const result = await knowledgeBaseService.ingestDocument(file, {
+    collectionName,
+    replace: parseBoolean(fields.replace)
+  });
+
+  res.status(result.status === 'added' ? 201 : 200).json({
+    success: true,
+    data: { collection: collectionName, ...result }
+  });
+}));
+
+// List sources with chunk counts and ingest dates
+router.get('/knowledge/sources', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const { collectionName } = await resolveTarget(req.query);
+  const sources = await knowledgeBaseService.listSources(collectionName);
+
+  res.json({
+    success: true,
+    data: { collection: collectionName, sources }
+  });
+}));
+
+// Replace a source with a new version of the document
+router.put('/knowledge/sources/:source', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const { fields, file } = await receiveDocument(req);
+  const { collectionName } = await resolveTarget({ ...req.query, ...fields });
+
+  const result = await knowledgeBaseService.ingestDocument(
+    { ...file, filename: req.params.source },
+    { collectionName, replace: true }
+  );
+
+  res.json({
+    success: true,
+    data: { collection: collectionName, ...result }
+  });
+}));
+
+// Delete a source and all its chunks
+router.delete('/knowledge/sources/:source', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const { collectionName } = await resolveTarget(req.query);
+  const deleted = await knowledgeBaseService.deleteSource(req.params.source, collectionName);
+
+  res.json({
+    success: true,
+    message: 'Knowledge source deleted',
+    data: { collection: collectionName, source: req.params.source, chunks: deleted }
+  });
+}));
+
+// Preview the chunks a query retrieves, with the campaign's retrieval
+// settings (or the server defaults) plus optional "retrieval" overrides
+router.post('/knowledge/preview', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const { query, retrieval = {} } = req.body || {};
+  if (!query || typeof query !== 'string') {
+    throw new AppError('query is required', 400);
+  }
+
+  const { collectionName, campaign } = await resolveTarget(req.body);
+  const overrides = { ...campaign?.toObject().retrieval, ...retrieval };
+  try {
+    resolveRetrievalSettings(overrides);
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+
+  const { hits, belowThreshold, settings, error } = await ragService.retrieve(query, {
+    ...overrides,
+    collectionName
+  });
+  if (error) {
+    throw new AppError(`Knowledge base unavailable: ${error}`, 503);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      collection: collectionName,
+      settings,
+      belowThreshold,
+      handoff: hits.length === 0,
+      hits
+    }
+  });
+}));
+
+export default router;
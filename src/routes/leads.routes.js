@@ -1,98 +1,215 @@
 import express from 'express';
-import multer from 'multer';
-import csvParser from 'csv-parser';
-import fs from 'fs';
-import Lead from '../models/Lead.js';
+import mongoose from 'mongoose';
+import busboy from 'busboy';
+import ColumnMapping from '../models/ColumnMapping.js';
+import campaignService from '../services/campaign.service.js';
 import conversationService from '../services/conversation.service.js';
+import leadService from '../services/lead.service.js';
+import leadImportService, { DEFAULT_PHONE_COUNTRY } from '../services/leadImport.service.js';
+import { actorName, requireRole, requireRoleOrScope } from '../middleware/auth.js';
 import { asyncWrapper } from '../utils/asyncWrapper.js';
 import { AppError } from '../utils/errorHandler.js';
+import { detectFormat, parseLeadStream } from '../utils/leadFileParser.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
-const upload = multer({ dest: 'uploads/' });
 
-// Upload leads from CSV
-router.post('/upload-leads', upload.single('file'), asyncWrapper(async (req, res) => {
-  if (!req.file) {
-    throw new AppError('No file uploaded', 400);
+const parseBoolean = (value) => value === true || value === 'true' || value === '1';
+
+const MAX_UPLOAD_BYTES = (parseInt(process.env.UPLOAD_MAX_MB) || 50) * 1024 * 1024;
+
+/**
+ * Reads a multipart upload, parsing the "file" part as it streams in
+ * (nothing is written to disk). Resolves to { fields, file, rows }.
+ */
+const receiveUpload = (req) => new Promise((resolve, reject) => {
+  let bb;
+  try {
+    bb = busboy({ headers: req.headers, limits: { files: 1, fileSize: MAX_UPLOAD_BYTES } });
+  } catch (error) {
+    return reject(new AppError('Expected a multipart/form-data upload', 400));
   }
 
-  const leads = [];
-  const filePath = req.file.path;
-
-  await new Promise((resolve, reject) => {
-    fs.createReadStream(filePath)
-      .pipe(csvParser())
-      .on('data', (row) => {
-        if (row.name && row.phone && row.email) {
-          leads.push({
-            name: row.name.trim(),
-            phone: row.phone.trim(),
-            email: row.email.trim().toLowerCase(),
-            status: 'pending'
-          });
-        }
-      })
-      .on('end', resolve)
-      .on('error', reject);
+  const fields = {};
+  let file = null;
+  let parsing = null;
+  let truncated = false;
+
+  bb.on('field', (name, value) => {
+    fields[name] = value;
   });
 
-  // Clean up uploaded file
-  fs.unlinkSync(filePath);
+  bb.on('file', (name, stream, info) => {
+    if (name !== 'file' || parsing) {
+      stream.resume();
+      return;
+    }
 
-  if (leads.length === 0) {
-    throw new AppError('No valid leads found in CSV', 400);
-  }
+    const format = detectFormat(info.filename, info.mimeType);
+    if (!format) {
+      stream.resume();
+      parsing = Promise.reject(new AppError(`Unsupported file type: ${info.filename}. Use CSV, XLSX or JSON`, 400));
+      parsing.catch(() => {});
+      return;
+    }
+
+    stream.on('limit', () => {
+      truncated = true;
+    });
 
-  // Insert leads (skip duplicates)
-  let insertedCount = 0;
-  let skippedCount = 0;
-  const duplicateReasons = [];
+    file = { filename: info.filename, format };
+    parsing = parseLeadStream(stream, format).catch((error) => {
+      // Keep the request flowing so busboy can finish
+      stream.resume();
+      throw new AppError(`Could not parse ${format.toUpperCase()} file: ${error.message}`, 400);
+    });
+    parsing.catch(() => {});
+  });
 
-  for (const leadData of leads) {
+  bb.on('close', async () => {
     try {
-      await Lead.create(leadData);
-      insertedCount++;
-    } catch (error) {
-      if (error.code === 11000) {
-        // Duplicate key error - determine which field
-        const duplicateField = error.message.includes('email') ? 'email' : 
-                              error.message.includes('phone') ? 'phone' : 'unknown';
-        duplicateReasons.push({
-          name: leadData.name,
-          field: duplicateField,
-          value: duplicateField === 'email' ? leadData.email : leadData.phone
-        });
-        skippedCount++;
-        logger.debug(`Duplicate lead skipped: ${leadData.name} (${duplicateField}: ${leadData[duplicateField]})`);
-      } else {
-        logger.error(`Failed to insert lead ${leadData.name}: ${error.message}`);
+      if (!parsing) {
+        throw new AppError('No file uploaded', 400);
       }
+      const rows = await parsing;
+      if (truncated) {
+        throw new AppError(`File exceeds the ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB upload limit`, 413);
+      }
+      resolve({ fields, file, rows });
+    } catch (error) {
+      reject(error);
+    }
+  });
+
+  bb.on('error', reject);
+  req.pipe(bb);
+});
+
+// Column mapping from a saved mappingId or an inline JSON "mapping" field
+const resolveMapping = async (fields) => {
+  if (fields.mappingId) {
+    if (!mongoose.Types.ObjectId.isValid(fields.mappingId)) {
+      throw new AppError('Invalid mapping id', 400);
     }
+    const mapping = await ColumnMapping.findById(fields.mappingId).lean();
+    if (!mapping) {
+      throw new AppError('Column mapping not found', 404);
+    }
+    return mapping;
   }
 
-  logger.info(`CSV Upload: ${insertedCount} inserted, ${skippedCount} skipped`);
+  if (fields.mapping) {
+    let parsed;
+    try {
+      parsed = JSON.parse(fields.mapping);
+    } catch (error) {
+      throw new AppError('mapping must be valid JSON', 400);
+    }
 
-  res.status(201).json({
-    success: true,
-    message: 'Leads uploaded successfully',
-    data: {
-      total: leads.length,
-      inserted: insertedCount,
-      skipped: skippedCount,
-      duplicates: duplicateReasons.length > 0 ? duplicateReasons : undefined
+    const mapping = new ColumnMapping({ name: 'inline', ...parsed });
+    const validationError = mapping.validateSync();
+    if (validationError) {
+      throw new AppError(validationError.message, 400);
     }
+    return mapping.toObject();
+  }
+
+  return null;
+};
+
+// Upload leads from a CSV, XLSX or JSON file
+// Fields: file, campaignId, mappingId or mapping (column mapping),
+// defaultCountry (ISO code for local numbers),
+// dryRun (validate and report without writing)
+router.post('/upload-leads', requireRoleOrScope('leads:write', 'admin'), asyncWrapper(async (req, res) => {
+  const { fields, file, rows } = await receiveUpload(req);
+
+  if (!fields.campaignId) {
+    throw new AppError('campaignId is required', 400);
+  }
+
+  const campaign = await campaignService.getCampaign(fields.campaignId);
+  if (campaign.state === 'completed') {
+    throw new AppError('Cannot upload leads to a completed campaign', 409);
+  }
+
+  const mapping = await resolveMapping(fields);
+
+  if (rows.length === 0) {
+    throw new AppError(`No rows found in ${file.format.toUpperCase()} file`, 400);
+  }
+
+  const dryRun = parseBoolean(fields.dryRun ?? req.query.dryRun);
+  const defaultCountry = (fields.defaultCountry || DEFAULT_PHONE_COUNTRY).toUpperCase();
+
+  const report = await leadImportService.importRows(rows, {
+    campaign,
+    defaultCountry,
+    dryRun,
+    mapping
+  });
+
+  res.status(dryRun ? 200 : 201).json({
+    success: true,
+    message: dryRun ? 'Dry run complete, no leads written' : 'Leads uploaded successfully',
+    data: { format: file.format, ...report }
   });
 }));
 
-// Manual chat test
-router.post('/chat-test', asyncWrapper(async (req, res) => {
+/**
+ * Sends one chat turn as SSE. The structured result is only known once
+ * the model finishes, so it comes last in "done"; its response replaces
+ * the streamed text when validation fell back to a different answer.
+ */
+const streamChat = async (req, res, leadId, message) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  let streamed = '';
+  try {
+    const result = await conversationService.processMessage(leadId, message, {
+      onToken: (text) => {
+        streamed += text;
+        send('token', { text });
+      }
+    });
+
+    send('done', {
+      success: true,
+      data: result,
+      replaced: streamed !== '' && streamed !== result.response
+    });
+  } catch (error) {
+    logger.error(`Streaming chat failed for lead ${leadId}: ${error.message}`);
+    send('error', { success: false, error: error.message });
+  }
+  res.end();
+};
+
+// Manual chat test. With "stream": true (or Accept: text/event-stream)
+// the reply is sent as Server-Sent Events: "token" events carry the
+// response text as it is generated, "done" carries the full result.
+router.post('/chat-test', requireRoleOrScope('chat', 'admin'), asyncWrapper(async (req, res) => {
   const { leadId, message } = req.body;
 
   if (!leadId || !message) {
     throw new AppError('leadId and message are required', 400);
   }
 
+  if (parseBoolean(req.body.stream) || req.accepts(['application/json', 'text/event-stream']) === 'text/event-stream') {
+    return streamChat(req, res, leadId, message);
+  }
+
   const result = await conversationService.processMessage(leadId, message);
 
   res.json({
@@ -101,13 +218,23 @@ router.post('/chat-test', asyncWrapper(async (req, res) => {
   });
 }));
 
-// Get lead details
-router.get('/leads/:id', asyncWrapper(async (req, res) => {
-  const lead = await Lead.findById(req.params.id);
-  
-  if (!lead) {
-    throw new AppError('Lead not found', 404);
-  }
+// Get lead details (counselors: their assigned leads only)
+router.get('/leads/:id', requireRoleOrScope('leads:read', 'counselor'), asyncWrapper(async (req, res) => {
+  const lead = await leadService.getLead(req.params.id, req.user);
+
+  res.json({
+    success: true,
+    data: lead
+  });
+}));
+
+// Update a lead: contact fields, attributes, tags, assigned_to, and
+// status (with reason where the transition requires one)
+router.patch('/leads/:id', requireRoleOrScope('leads:write', 'counselor'), asyncWrapper(async (req, res) => {
+  const lead = await leadService.updateLead(req.params.id, req.body || {}, {
+    author: actorName(req),
+    user: req.user
+  });
 
   res.json({
     success: true,
@@ -115,31 +242,36 @@ router.get('/leads/:id', asyncWrapper(async (req, res) => {
   });
 }));
 
-// Get all leads with pagination
-router.get('/leads', asyncWrapper(async (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 20;
-  const status = req.query.status;
+// Delete a lead and its call logs
+router.delete('/leads/:id', requireRole('admin'), asyncWrapper(async (req, res) => {
+  await leadService.deleteLead(req.params.id);
 
-  const query = status ? { status } : {};
-  const skip = (page - 1) * limit;
+  res.json({
+    success: true,
+    message: 'Lead deleted'
+  });
+}));
 
-  const [leads, total] = await Promise.all([
-    Lead.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
-    Lead.countDocuments(query)
-  ]);
+// Add a note to a lead
+router.post('/leads/:id/notes', requireRoleOrScope('leads:write', 'counselor'), asyncWrapper(async (req, res) => {
+  const note = await leadService.addNote(req.params.id, {
+    author: actorName(req),
+    text: req.body?.text
+  }, req.user);
+
+  res.status(201).json({
+    success: true,
+    data: note
+  });
+}));
+
+// Search leads with filters, sorting and cursor pagination
+router.get('/leads', requireRoleOrScope('leads:read', 'counselor'), asyncWrapper(async (req, res) => {
+  const result = await leadService.searchLeads(req.query, req.user);
 
   res.json({
     success: true,
-    data: {
-      leads,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    }
+    data: result
   });
 }));
 
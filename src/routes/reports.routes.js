@@ -1,13 +1,42 @@
 import express from 'express';
 import Lead from '../models/Lead.js';
+import callWorker from '../workers/call.worker.js';
+import campaignService from '../services/campaign.service.js';
+import callingWindowService from '../services/callingWindow.service.js';
+import llmService from '../services/llm.service.js';
+import { requireRoleOrScope } from '../middleware/auth.js';
 import { asyncWrapper } from '../utils/asyncWrapper.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
+// Optional ?campaignId= scoping shared by the report endpoints
+const getCampaignScope = async (req) => {
+  if (!req.query.campaignId) {
+    return { campaign: null, match: {} };
+  }
+  const campaign = await campaignService.getCampaign(req.query.campaignId);
+  return { campaign, match: { campaignId: campaign._id } };
+};
+
+// Leads due a call but outside their calling window, per campaign schedule
+const countWaitingOnWindow = async (campaign) => {
+  const campaigns = campaign ? [campaign] : await campaignService.getRunningCampaigns();
+
+  const counts = await Promise.all(campaigns.map(c =>
+    callingWindowService.countOutsideWindow(
+      { ...callWorker.getDueFilter(), campaignId: c._id },
+      campaignService.getSchedule(c)
+    )
+  ));
+  return counts.reduce((total, count) => total + count, 0);
+};
+
 // Export campaign report as CSV
-router.get('/export-report', asyncWrapper(async (req, res) => {
-  const leads = await Lead.find({}).select(
+router.get('/export-report', requireRoleOrScope('leads:read', 'admin'), asyncWrapper(async (req, res) => {
+  const { campaign, match } = await getCampaignScope(req);
+
+  const leads = await Lead.find(match).select(
     'name phone status interest_score course_interest summary'
   ).lean();
 
@@ -20,34 +49,41 @@ router.get('/export-report', asyncWrapper(async (req, res) => {
 
   const csv = csvHeader + csvRows;
 
-  logger.info(`Exported report with ${leads.length} leads`);
+  logger.info(`Exported report with ${leads.length} leads${campaign ? ` for campaign ${campaign.name}` : ''}`);
 
+  const prefix = campaign ? `campaign-${campaign._id}` : 'campaign-report';
   res.setHeader('Content-Type', 'text/csv');
-  res.setHeader('Content-Disposition', `attachment; filename="campaign-report-${Date.now()}.csv"`);
+  res.setHeader('Content-Disposition', `attachment; filename="${prefix}-${Date.now()}.csv"`);
   res.send(csv);
 }));
 
 // Get campaign statistics
-router.get('/stats', asyncWrapper(async (req, res) => {
+router.get('/stats', requireRoleOrScope('stats:read', 'viewer'), asyncWrapper(async (req, res) => {
+  const { campaign, match } = await getCampaignScope(req);
+
   const [
     totalLeads,
     statusCounts,
     avgInterestScore,
-    topCourses
+    topCourses,
+    waitingOnWindow
   ] = await Promise.all([
-    Lead.countDocuments(),
+    Lead.countDocuments(match),
     Lead.aggregate([
+      { $match: match },
       { $group: { _id: '$status', count: { $sum: 1 } } }
     ]),
     Lead.aggregate([
+      { $match: match },
       { $group: { _id: null, avg: { $avg: '$interest_score' } } }
     ]),
     Lead.aggregate([
-      { $match: { course_interest: { $ne: '' } } },
+      { $match: { ...match, course_interest: { $ne: '' } } },
       { $group: { _id: '$course_interest', count: { $sum: 1 } } },
       { $sort: { count: -1 } },
       { $limit: 5 }
-    ])
+    ]),
+    countWaitingOnWindow(campaign)
   ]);
 
   const statusMap = {};
@@ -58,12 +94,23 @@ router.get('/stats', asyncWrapper(async (req, res) => {
   res.json({
     success: true,
     data: {
+      campaignId: campaign?._id,
       totalLeads,
       statusBreakdown: statusMap,
       averageInterestScore: avgInterestScore[0]?.avg || 0,
-      topCourses: topCourses.map(c => ({ course: c._id, count: c.count }))
+      topCourses: topCourses.map(c => ({ course: c._id, count: c.count })),
+      waitingOnWindow
     }
   });
 }));
 
+// Structured output health of the LLM since this process started:
+// validation outcomes, parse failures by kind and repair attempts
+router.get('/stats/llm', requireRoleOrScope('stats:read', 'viewer'), asyncWrapper(async (req, res) => {
+  res.json({
+    success: true,
+    data: llmService.getMetrics()
+  });
+}));
+
 export default router;
@@ -1,25 +1,62 @@
-import express from "express";
+import express from 'express';
+import crypto from 'crypto';
+import callEventsService from '../services/callEvents.service.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import { verifyVapiWebhook, releaseWebhookNonce, EVENT_ID_TTL_MS } from '../middleware/verifyVapiWebhook.js';
+import { asyncWrapper } from '../utils/asyncWrapper.js';
+import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
-router.post("/vapi/webhook", async (req, res) => {
-  const event = req.body;
-
-  console.log("Vapi Event Received:", event.type);
-
-  if (event.type === "call.started") {
-    console.log("Call Started:", event.call.id);
-  }
-
-  if (event.type === "call.ended") {
-    console.log("Call Ended:", event.call.id);
+const getEventId = (req, event) => {
+  return req.get('x-vapi-event-id') ||
+    event.id ||
+    crypto.createHash('sha256').update(req.rawBody || JSON.stringify(req.body)).digest('hex');
+};
+
+// Vapi server events (call.started, call.ended, transcript)
+router.post('/vapi/webhook', verifyVapiWebhook, asyncWrapper(async (req, res) => {
+  const event = req.body?.message || req.body || {};
+  const eventId = getEventId(req, event);
+
+  logger.info(`Vapi event received: ${event.type}`, { callId: event.call?.id, eventId });
+
+  // Claim the event id first so a redelivery is acknowledged, not reprocessed
+  try {
+    await WebhookEvent.create({
+      provider: 'vapi',
+      kind: 'event',
+      key: eventId,
+      type: event.type || '',
+      expiresAt: new Date(Date.now() + EVENT_ID_TTL_MS)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      logger.info(`Duplicate Vapi event ignored: ${eventId}`);
+      return res.status(200).json({
+        success: true,
+        data: { handled: true, duplicate: true }
+      });
+    }
+    throw error;
   }
 
-  if (event.type === "transcript") {
-    console.log("Transcript chunk:", event.transcript);
+  let result;
+  try {
+    result = await callEventsService.handleEvent(req.body);
+  } catch (error) {
+    // Release the claim so the provider's retry can be processed
+    await WebhookEvent.deleteOne({ provider: 'vapi', kind: 'event', key: eventId }).catch(() => {});
+    await releaseWebhookNonce(req);
+    throw error;
   }
 
-  res.status(200).send("OK");
-});
+  // Always acknowledge events we understood but could not apply, so the
+  // provider doesn't keep retrying them
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+}));
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,84 @@
+import express from 'express';
+import outboundWebhookService from '../services/outboundWebhook.service.js';
+import { requireRole } from '../middleware/auth.js';
+import { asyncWrapper } from '../utils/asyncWrapper.js';
+import { AppError } from '../utils/errorHandler.js';
+
+const router = express.Router();
+
+// Register an endpoint; the signing secret is only returned in this response
+router.post('/webhook-subscriptions', requireRole('admin'), asyncWrapper(async (req, res) => {
+  if (!req.body?.url || !req.body?.events) {
+    throw new AppError('url and events are required', 400);
+  }
+
+  const { subscription, secret } = await outboundWebhookService.createSubscription(req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Store this secret now; it cannot be shown again',
+    data: { ...subscription, secret }
+  });
+}));
+
+// List subscriptions
+router.get('/webhook-subscriptions', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const subscriptions = await outboundWebhookService.listSubscriptions();
+
+  res.json({
+    success: true,
+    data: subscriptions
+  });
+}));
+
+// Change url, events, description or pause with active: false
+router.patch('/webhook-subscriptions/:id', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const subscription = await outboundWebhookService.updateSubscription(req.params.id, req.body || {});
+
+  res.json({
+    success: true,
+    data: subscription
+  });
+}));
+
+// Remove a subscription; its delivery history is kept
+router.delete('/webhook-subscriptions/:id', requireRole('admin'), asyncWrapper(async (req, res) => {
+  await outboundWebhookService.deleteSubscription(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Webhook subscription deleted'
+  });
+}));
+
+// Delivery history (?subscriptionId=&status=pending|succeeded|dead&event=&limit=)
+router.get('/webhook-deliveries', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const deliveries = await outboundWebhookService.listDeliveries(req.query);
+
+  res.json({
+    success: true,
+    data: deliveries
+  });
+}));
+
+// One delivery with its payload and attempt log
+router.get('/webhook-deliveries/:id', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const delivery = await outboundWebhookService.getDelivery(req.params.id);
+
+  res.json({
+    success: true,
+    data: delivery
+  });
+}));
+
+// Send a dead delivery again
+router.post('/webhook-deliveries/:id/retry', requireRole('admin'), asyncWrapper(async (req, res) => {
+  const delivery = await outboundWebhookService.retryDelivery(req.params.id);
+
+  res.json({
+    success: true,
+    data: delivery
+  });
+}));
+
+export default router;
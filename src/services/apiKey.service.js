@@ -0,0 +1,228 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import ApiKey, { API_KEY_SCOPES } from '../models/ApiKey.js';
+import { getRateLimitStore } from './rateLimit/index.js';
+import { AppError } from '../utils/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+const KEY_PREFIX = 'ak_';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Limits for keys without their own
+const DEFAULT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.API_KEY_RATE_LIMIT_PER_MINUTE) || 60;
+const DEFAULT_DAILY_QUOTA = parseInt(process.env.API_KEY_DAILY_QUOTA) || 10000;
+
+const EDITABLE_FIELDS = ['name', 'scopes', 'rateLimitPerMinute', 'dailyQuota'];
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * API Key Service
+ *
+ * Admin-issued keys for integrations, with scopes, a per-minute rate
+ * limit and a daily quota (UTC days) counted in the rate limit store.
+ */
+class ApiKeyService {
+  /**
+   * @returns {Promise<{ key: string, apiKey: Object }>} the plain key is
+   *   only available here
+   */
+  async createKey(data = {}, createdBy = null) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+    const apiKey = new ApiKey({
+      ...this.pickEditable(data),
+      prefix: key.substring(0, KEY_PREFIX.length + 6),
+      keyHash: hashKey(key),
+      createdBy
+    });
+    await this.save(apiKey);
+
+    logger.info(`API key created: ${apiKey.name} (${apiKey.prefix}…) scopes=${apiKey.scopes.join(',')}`);
+    return { key, apiKey: this.toPublic(apiKey) };
+  }
+
+  async getKey(keyId) {
+    if (!mongoose.Types.ObjectId.isValid(keyId)) {
+      throw new AppError('Invalid API key id', 400);
+    }
+
+    const apiKey = await ApiKey.findById(keyId);
+    if (!apiKey) {
+      throw new AppError('API key not found', 404);
+    }
+    return apiKey;
+  }
+
+  async listKeys() {
+    const keys = await ApiKey.find().sort({ createdAt: -1 });
+    return keys.map(apiKey => this.toPublic(apiKey));
+  }
+
+  async updateKey(keyId, data = {}) {
+    const apiKey = await this.getKey(keyId);
+    if (!apiKey.active) {
+      throw new AppError('Revoked API keys cannot be edited', 409);
+    }
+
+    apiKey.set(this.pickEditable(data));
+    await this.save(apiKey);
+    return this.toPublic(apiKey);
+  }
+
+  async revokeKey(keyId) {
+    const apiKey = await this.getKey(keyId);
+    if (apiKey.active) {
+      apiKey.active = false;
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+      logger.info(`API key revoked: ${apiKey.name} (${apiKey.prefix}…)`);
+    }
+    return this.toPublic(apiKey);
+  }
+
+  async save(apiKey) {
+    try {
+      await apiKey.save();
+    } catch (error) {
+      if (error.name === 'ValidationError' || error.name === 'CastError') {
+        throw new AppError(error.message, 400);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Promise<Object|null>} the active key matching the plain key
+   */
+  async authenticate(key) {
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+    return ApiKey.findOne({ keyHash: hashKey(key), active: true }).lean();
+  }
+
+  getLimits(apiKey) {
+    return {
+      perMinute: apiKey.rateLimitPerMinute || DEFAULT_RATE_LIMIT_PER_MINUTE,
+      daily: apiKey.dailyQuota || DEFAULT_DAILY_QUOTA
+    };
+  }
+
+  /**
+   * Counts one request against the key's minute window and daily quota.
+   *
+   * @returns {Promise<{ allowed: boolean, reason?: string, headers: Object,
+   *   retryAfterSeconds?: number }>}
+   */
+  async consume(apiKey, now = Date.now()) {
+    const store = getRateLimitStore();
+    const limits = this.getLimits(apiKey);
+    const id = apiKey._id.toString();
+
+    const minute = await store.increment(`apikey:${id}:minute`, MINUTE_MS, now);
+    const headers = {
+      'X-RateLimit-Limit': limits.perMinute,
+      'X-RateLimit-Remaining': Math.max(0, limits.perMinute - minute.count),
+      'X-RateLimit-Reset': Math.ceil(minute.resetAt.getTime() / 1000)
+    };
+
+    if (minute.count > limits.perMinute) {
+      return this.reject(apiKey, 'Rate limit exceeded', headers, minute.resetAt, now);
+    }
+
+    const day = await store.increment(`apikey:${id}:day`, DAY_MS, now);
+    headers['X-Quota-Limit'] = limits.daily;
+    headers['X-Quota-Remaining'] = Math.max(0, limits.daily - day.count);
+    headers['X-Quota-Reset'] = Math.ceil(day.resetAt.getTime() / 1000);
+
+    if (day.count > limits.daily) {
+      return this.reject(apiKey, 'Daily quota exceeded', headers, day.resetAt, now);
+    }
+
+    this.recordUsage(apiKey, { requests: 1 });
+    return { allowed: true, headers };
+  }
+
+  reject(apiKey, reason, headers, resetAt, now) {
+    const retryAfterSeconds = Math.max(1, Math.ceil((resetAt.getTime() - now) / 1000));
+    this.recordUsage(apiKey, { rejected: 1 });
+    logger.warn(`API key ${apiKey.name} (${apiKey.prefix}…): ${reason}`);
+    return {
+      allowed: false,
+      reason,
+      retryAfterSeconds,
+      headers: { ...headers, 'Retry-After': retryAfterSeconds }
+    };
+  }
+
+  // Usage counters are best effort and never block the request
+  recordUsage(apiKey, counts) {
+    ApiKey.updateOne(
+      { _id: apiKey._id },
+      {
+        $inc: Object.fromEntries(Object.entries(counts).map(([field, n]) => [`usage.${field}`, n])),
+        $set: { 'usage.lastUsedAt': new Date() }
+      }
+    ).catch(error => logger.error(`Could not record API key usage: ${error.message}`));
+  }
+
+  /**
+   * Lifetime counters plus the current minute and day windows.
+   */
+  async getUsage(keyId) {
+    const apiKey = await this.getKey(keyId);
+    const store = getRateLimitStore();
+    const limits = this.getLimits(apiKey);
+    const id = apiKey._id.toString();
+
+    const [minute, day] = await Promise.all([
+      store.get(`apikey:${id}:minute`, MINUTE_MS),
+      store.get(`apikey:${id}:day`, DAY_MS)
+    ]);
+
+    return {
+      id,
+      name: apiKey.name,
+      limits,
+      currentMinute: { count: minute.count, resetAt: minute.resetAt },
+      today: { count: day.count, remaining: Math.max(0, limits.daily - day.count), resetAt: day.resetAt },
+      lifetime: apiKey.usage
+    };
+  }
+
+  pickEditable(data) {
+    const picked = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] !== undefined) {
+        picked[field] = data[field];
+      }
+    }
+    if (picked.scopes !== undefined) {
+      const unknown = [].concat(picked.scopes).find(scope => !API_KEY_SCOPES.includes(scope));
+      if (unknown) {
+        throw new AppError(`Unknown scope: ${unknown}. Use: ${API_KEY_SCOPES.join(', ')}`, 400);
+      }
+    }
+    return picked;
+  }
+
+  toPublic(apiKey) {
+    return {
+      id: apiKey._id.toString(),
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      rateLimitPerMinute: apiKey.rateLimitPerMinute,
+      dailyQuota: apiKey.dailyQuota,
+      active: apiKey.active,
+      revokedAt: apiKey.revokedAt,
+      usage: apiKey.usage,
+      createdAt: apiKey.createdAt
+    };
+  }
+}
+
+export default new ApiKeyService();
@@ -0,0 +1,213 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import mongoose from 'mongoose';
+import User, { ROLES } from '../models/User.js';
+import AuthToken from '../models/AuthToken.js';
+import { AppError } from '../utils/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters; stored with each hash so they can be raised later
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const TOKEN_TTL_HOURS = parseInt(process.env.AUTH_TOKEN_TTL_HOURS) || 12;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Auth Service
+ *
+ * User accounts with scrypt-hashed passwords and opaque bearer tokens.
+ */
+class AuthService {
+  /**
+   * @returns {Promise<string>} `scrypt$N$r$p$salt$hash` (salt and hash base64)
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+    return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), hash.toString('base64')].join('$');
+  }
+
+  async verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+      N: Number(N),
+      r: Number(r),
+      p: Number(p)
+    });
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new AppError(`password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+    }
+  }
+
+  validateRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new AppError(`role must be one of: ${ROLES.join(', ')}`, 400);
+    }
+  }
+
+  async createUser({ email, name, password, role } = {}) {
+    if (typeof email !== 'string' || !email.trim()) {
+      throw new AppError('email is required', 400);
+    }
+    this.validatePassword(password);
+    this.validateRole(role);
+
+    try {
+      const user = await User.create({
+        email,
+        name: name || email,
+        role,
+        passwordHash: await this.hashPassword(password)
+      });
+      logger.info(`User created: ${user.email} (${user.role})`);
+      return this.toPublic(user);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError(`A user with email ${email} already exists`, 409);
+      }
+      if (error.name === 'ValidationError') {
+        throw new AppError(error.message, 400);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Updates name, role, active or password. Deactivating a user or
+   * changing their password or role ends their sessions.
+   */
+  async updateUser(userId, data = {}) {
+    const user = await this.getUser(userId);
+    let endSessions = false;
+
+    if (data.name !== undefined) user.name = data.name;
+    if (data.role !== undefined && data.role !== user.role) {
+      this.validateRole(data.role);
+      user.role = data.role;
+      endSessions = true;
+    }
+    if (data.active !== undefined) {
+      user.active = Boolean(data.active);
+      endSessions = endSessions || !user.active;
+    }
+    if (data.password !== undefined) {
+      this.validatePassword(data.password);
+      user.passwordHash = await this.hashPassword(data.password);
+      endSessions = true;
+    }
+
+    try {
+      await user.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        throw new AppError(error.message, 400);
+      }
+      throw error;
+    }
+
+    if (endSessions) {
+      await AuthToken.deleteMany({ userId: user._id });
+    }
+    return this.toPublic(user);
+  }
+
+  async getUser(userId) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      throw new AppError('Invalid user id', 400);
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+    return user;
+  }
+
+  async listUsers(params = {}) {
+    const filter = {};
+    if (params.role) {
+      this.validateRole(params.role);
+      filter.role = params.role;
+    }
+    const users = await User.find(filter).sort({ email: 1 });
+    return users.map(user => this.toPublic(user));
+  }
+
+  /**
+   * Checks credentials and issues a bearer token.
+   *
+   * @returns {Promise<{ token: string, expiresAt: Date, user: Object }>}
+   */
+  async login(email, password) {
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      throw new AppError('email and password are required', 400);
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() }).select('+passwordHash');
+    // Same error for unknown users, wrong passwords and disabled accounts
+    if (!user || !user.active || !(await this.verifyPassword(password, user.passwordHash))) {
+      logger.warn(`Failed login for ${email}`);
+      throw new AppError('Invalid email or password', 401);
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + TOKEN_TTL_HOURS * 60 * 60 * 1000);
+
+    await AuthToken.create({ userId: user._id, tokenHash: hashToken(token), expiresAt });
+    await User.updateOne({ _id: user._id }, { $set: { lastLoginAt: new Date() } });
+
+    logger.info(`User logged in: ${user.email}`);
+    return { token, expiresAt, user: this.toPublic(user) };
+  }
+
+  async logout(token) {
+    await AuthToken.deleteOne({ tokenHash: hashToken(token) });
+  }
+
+  /**
+   * @returns {Promise<Object|null>} the active user owning the token
+   */
+  async authenticate(token) {
+    const session = await AuthToken.findOne({
+      tokenHash: hashToken(token),
+      expiresAt: { $gt: new Date() }
+    }).lean();
+    if (!session) {
+      return null;
+    }
+
+    const user = await User.findById(session.userId);
+    return user && user.active ? this.toPublic(user) : null;
+  }
+
+  toPublic(user) {
+    return {
+      id: user._id.toString(),
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      active: user.active,
+      lastLoginAt: user.lastLoginAt,
+      createdAt: user.createdAt
+    };
+  }
+}
+
+export default new AuthService();
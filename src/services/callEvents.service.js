@@ -0,0 +1,424 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Lead from '../models/Lead.js';
+import CallLog from '../models/CallLog.js';
+import callRetryService from './callRetry.service.js';
+import liveEventsService from './liveEvents.service.js';
+import outboundWebhookService from './outboundWebhook.service.js';
+import { getTelephonyProvider } from './telephony/index.js';
+import { logger } from '../utils/logger.js';
+
+// Lead states a call event is still allowed to move a lead out of.
+// Anything else is final, so late or replayed events leave it alone.
+const ACTIVE_STATUSES = ['pending', 'calling'];
+
+// How far apart two identical transcript chunks may be and still count as one
+const TRANSCRIPT_DEDUPE_WINDOW_MS = 60 * 1000;
+
+// Placeholder current_call_id between claiming a lead and the provider
+// returning the call id; also sent as metadata.dialId with the call
+const DIAL_ID_PREFIX = 'dial_';
+
+/**
+ * Call Events Service
+ *
+ * Persists telephony provider events (Vapi) onto leads and call logs.
+ * Every handler is safe to run twice and in any order:
+ * - CallLog is keyed by the provider call id (unique index)
+ * - A call is closed at most once (endedAt guard)
+ * - Lead status only moves while the lead is still pending/calling and
+ *   the event belongs to the lead's current call: its provider call id,
+ *   or the dial id set when the lead was claimed (for events that beat
+ *   placeCall's response)
+ * - Events for calls the lease reaper gave up on are ignored
+ * - Transcript chunks are de-duplicated and kept sorted by timestamp
+ */
+class CallEventsService {
+  /**
+   * Normalizes both the legacy flat shape ({ type: 'call.started', call })
+   * and Vapi server messages ({ message: { type: 'status-update', ... } })
+   * into { type, call, payload } where type is one of
+   * 'call.started' | 'call.ended' | 'transcript' | null.
+   */
+  normalizeEvent(body = {}) {
+    const payload = body.message || body;
+    const call = payload.call || {};
+    let type = null;
+
+    switch (payload.type) {
+      case 'call.started':
+      case 'call.ended':
+      case 'transcript':
+        type = payload.type;
+        break;
+      case 'status-update':
+        if (payload.status === 'in-progress') type = 'call.started';
+        if (payload.status === 'ended') type = 'call.ended';
+        break;
+      case 'end-of-call-report':
+        type = 'call.ended';
+        break;
+      default:
+        type = null;
+    }
+
+    return { type, rawType: payload.type, call, payload };
+  }
+
+  async handleEvent(body) {
+    const event = this.normalizeEvent(body);
+
+    if (!event.type) {
+      logger.debug(`Ignoring unsupported Vapi event: ${event.rawType}`);
+      return { handled: false, reason: 'unsupported_event' };
+    }
+
+    if (!event.call.id) {
+      logger.warn(`Vapi event ${event.rawType} has no call id`);
+      return { handled: false, reason: 'missing_call_id' };
+    }
+
+    const leadId = await this.resolveLeadId(event);
+    if (!leadId) {
+      logger.warn(`Vapi event ${event.rawType} for call ${event.call.id} could not be matched to a lead`);
+      return { handled: false, reason: 'lead_not_found' };
+    }
+
+    // The lead was requeued when this call's lease expired; a late event
+    // must not touch whatever attempt the lead is on now
+    const reaped = await CallLog.exists({ providerCallId: event.call.id, reapedAt: { $ne: null } });
+    if (reaped) {
+      logger.info(`Ignoring ${event.rawType} for reaped call ${event.call.id}`);
+      return { handled: false, reason: 'reaped_call' };
+    }
+
+    if (event.type === 'call.started') {
+      return this.handleCallStarted(leadId, event);
+    }
+    if (event.type === 'call.ended') {
+      return this.handleCallEnded(leadId, event);
+    }
+    return this.handleTranscript(leadId, event);
+  }
+
+  /**
+   * Resolves the lead from metadata.leadId (set by triggerCall) or,
+   * for events that don't echo metadata, from an existing call log.
+   */
+  async resolveLeadId(event) {
+    const metadata = event.call.metadata || event.payload.metadata || {};
+    const candidate = metadata.leadId;
+
+    if (candidate && mongoose.Types.ObjectId.isValid(candidate)) {
+      const exists = await Lead.exists({ _id: candidate });
+      if (exists) return exists._id;
+    }
+
+    if (!event.call.id) return null;
+
+    const callLog = await CallLog.findOne({ providerCallId: event.call.id }).select('leadId').lean();
+    return callLog ? callLog.leadId : null;
+  }
+
+  /**
+   * Opens the call log as soon as a call is placed, so later events
+   * resolve to the lead even if the provider drops the metadata.
+   */
+  async registerCall(leadId, providerCallId) {
+    return this.ensureCallLog(leadId, providerCallId);
+  }
+
+  async ensureCallLog(leadId, providerCallId) {
+    try {
+      return await CallLog.findOneAndUpdate(
+        { providerCallId },
+        { $setOnInsert: { leadId, providerCallId } },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Two events for a new call raced on the upsert; the other one won
+      if (error.code === 11000) {
+        return CallLog.findOne({ providerCallId });
+      }
+      throw error;
+    }
+  }
+
+  async handleCallStarted(leadId, event) {
+    const providerCallId = event.call.id;
+    const startedAt = this.parseDate(event.call.startedAt) || new Date();
+
+    await this.ensureCallLog(leadId, providerCallId);
+
+    // Only set startedAt once; a replayed start must not move it
+    await CallLog.updateOne(
+      { providerCallId, startedAt: null },
+      { $set: { startedAt } }
+    );
+
+    const lead = await Lead.findOneAndUpdate(
+      this.currentCallFilter(leadId, this.callIds(event)),
+      { $set: { status: 'calling', current_call_id: providerCallId } }
+    ).select('campaignId status');
+
+    if (lead) {
+      liveEventsService.publish('call.started', {
+        leadId,
+        campaignId: lead.campaignId,
+        providerCallId,
+        startedAt
+      });
+    }
+
+    logger.info(`Call started: ${providerCallId} (lead ${leadId})`);
+    return { handled: true, leadUpdated: Boolean(lead) };
+  }
+
+  async handleCallEnded(leadId, event) {
+    const providerCallId = event.call.id;
+    const { payload, call } = event;
+    const endedAt = this.parseDate(call.endedAt) || this.parseDate(payload.endedAt) || new Date();
+    const endedReason = payload.endedReason || call.endedReason || '';
+    const outcome = getTelephonyProvider().mapStatus(endedReason);
+
+    const existing = await this.ensureCallLog(leadId, providerCallId);
+    const startedAt = existing.startedAt || this.parseDate(call.startedAt);
+    const duration = this.computeDuration(payload, startedAt, endedAt);
+
+    const update = {
+      endedAt,
+      endedReason,
+      outcome,
+      duration
+    };
+    if (!existing.startedAt && startedAt) {
+      update.startedAt = startedAt;
+    }
+
+    const transcript = payload.transcript || payload.artifact?.transcript;
+    if (typeof transcript === 'string' && transcript.length > 0) {
+      update.raw_transcript = transcript;
+    }
+
+    // endedAt: null guard makes the close idempotent
+    const closed = await CallLog.findOneAndUpdate(
+      { providerCallId, endedAt: null },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!closed) {
+      logger.debug(`Duplicate end event ignored for call ${providerCallId}`);
+      return { handled: true, duplicate: true };
+    }
+
+    const leadUpdated = await this.recordOutcome(leadId, providerCallId, outcome, endedReason, {
+      current_call_id: { $in: this.callIds(event) }
+    });
+
+    const lead = await Lead.findById(leadId).select('campaignId').lean();
+    liveEventsService.publish('call.ended', {
+      leadId,
+      campaignId: lead?.campaignId,
+      providerCallId,
+      outcome,
+      endedReason,
+      duration
+    });
+
+    logger.info(`Call ended: ${providerCallId} (lead ${leadId}) - ${outcome}`, {
+      endedReason,
+      duration
+    });
+    return { handled: true, outcome, leadUpdated };
+  }
+
+  /**
+   * Applies a call disposition to the lead: sets the next status and retry
+   * time from the retry policy and appends the attempt to call_history.
+   * No-op if the lead has moved on from this call, or doesn't match
+   * extraFilter (the worker and reaper use it to match a dial id or the
+   * lease).
+   *
+   * @returns {boolean} whether the lead was updated
+   */
+  async recordOutcome(leadId, providerCallId, outcome, endedReason = '', extraFilter = {}) {
+    const filter = { ...this.currentCallFilter(leadId, providerCallId), ...extraFilter };
+    const lead = await Lead.findOne(filter).select('attempts status campaignId').lean();
+    if (!lead) {
+      return false;
+    }
+
+    const decision = callRetryService.decide(outcome, lead.attempts);
+
+    const result = await Lead.updateOne(filter, {
+      $set: {
+        status: decision.status,
+        next_attempt_at: decision.nextAttemptAt,
+        current_call_id: null,
+        claimed_by: null,
+        lease_expires_at: null
+      },
+      $push: {
+        call_history: {
+          attempt: lead.attempts,
+          providerCallId: providerCallId || undefined,
+          outcome,
+          endedReason,
+          next_attempt_at: decision.nextAttemptAt || undefined,
+          timestamp: new Date()
+        }
+      }
+    });
+
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+
+    liveEventsService.publish('lead.status_changed', {
+      leadId,
+      campaignId: lead.campaignId,
+      status: decision.status,
+      previousStatus: lead.status,
+      attempts: lead.attempts,
+      outcome,
+      endedReason,
+      next_attempt_at: decision.nextAttemptAt
+    });
+
+    // Terminal outcomes go out to CRM webhooks in the background
+    const call = { providerCallId: providerCallId || null, outcome, endedReason, attempts: lead.attempts };
+    if (decision.status === 'completed') {
+      outboundWebhookService.emitLeadEvent('lead.completed', leadId, { call });
+    } else if (decision.status === 'failed') {
+      logger.warn(`Lead ${leadId} marked as failed: ${decision.reason}`);
+      outboundWebhookService.emitLeadEvent('lead.failed', leadId, { reason: decision.reason, call });
+    }
+    return true;
+  }
+
+  async handleTranscript(leadId, event) {
+    const { payload } = event;
+
+    // Vapi streams partial hypotheses before each final transcript
+    if (payload.transcriptType && payload.transcriptType !== 'final') {
+      return { handled: false, reason: 'partial_transcript' };
+    }
+
+    const text = (typeof payload.transcript === 'string' ? payload.transcript : payload.transcript?.text || '').trim();
+    if (!text) {
+      return { handled: false, reason: 'empty_transcript' };
+    }
+
+    const role = this.mapRole(payload.role || payload.transcript?.role);
+    const providerTimestamp = this.parseDate(payload.timestamp);
+    const entry = { role, text, timestamp: providerTimestamp || new Date() };
+
+    await this.ensureCallLog(leadId, event.call.id);
+
+    // A chunk is a duplicate if the same text was already recorded close
+    // to its timestamp: a replayed event, or a turn the custom-LLM route
+    // stored itself. Without a provider timestamp, role + text decides.
+    // $sort keeps chunks that arrive out of order in spoken order.
+    const duplicateMatch = providerTimestamp
+      ? {
+        role,
+        text,
+        timestamp: {
+          $gte: new Date(providerTimestamp.getTime() - TRANSCRIPT_DEDUPE_WINDOW_MS),
+          $lte: new Date(providerTimestamp.getTime() + TRANSCRIPT_DEDUPE_WINDOW_MS)
+        }
+      }
+      : { role, text };
+    const lead = await Lead.findOneAndUpdate(
+      {
+        _id: leadId,
+        transcript: { $not: { $elemMatch: duplicateMatch } }
+      },
+      {
+        $push: {
+          transcript: {
+            $each: [entry],
+            $sort: { timestamp: 1 }
+          }
+        }
+      }
+    ).select('campaignId');
+
+    if (!lead) {
+      logger.debug(`Duplicate transcript chunk ignored for call ${event.call.id}`);
+      return { handled: true, duplicate: true };
+    }
+
+    liveEventsService.publish('transcript.turn', {
+      leadId,
+      campaignId: lead.campaignId,
+      providerCallId: event.call.id,
+      ...entry
+    });
+
+    return { handled: true };
+  }
+
+  /**
+   * Matches the lead only while it is active and on one of callIds, so
+   * events from an earlier attempt can't move it.
+   */
+  currentCallFilter(leadId, callIds) {
+    return {
+      _id: leadId,
+      status: { $in: ACTIVE_STATUSES },
+      current_call_id: { $in: [].concat(callIds).filter(Boolean) }
+    };
+  }
+
+  // Ids an event may be known by on the lead: the provider call id and
+  // the dial id echoed back in the call metadata
+  callIds(event) {
+    const metadata = event.call.metadata || event.payload.metadata || {};
+    const dialId = this.isDialId(metadata.dialId) ? metadata.dialId : null;
+    return [event.call.id, dialId].filter(Boolean);
+  }
+
+  newDialId() {
+    return `${DIAL_ID_PREFIX}${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  isDialId(id) {
+    return typeof id === 'string' && id.startsWith(DIAL_ID_PREFIX);
+  }
+
+  /**
+   * Marks a call the reaper gave up on, so its late events are ignored.
+   */
+  async markReaped(providerCallId) {
+    await CallLog.updateOne(
+      { providerCallId, reapedAt: null },
+      { $set: { reapedAt: new Date() } }
+    );
+  }
+
+  mapRole(role) {
+    if (role === 'user' || role === 'customer') return 'user';
+    if (role === 'system') return 'system';
+    return 'assistant';
+  }
+
+  computeDuration(payload, startedAt, endedAt) {
+    if (typeof payload.durationSeconds === 'number') {
+      return Math.round(payload.durationSeconds);
+    }
+    if (startedAt && endedAt) {
+      return Math.max(0, Math.round((endedAt - startedAt) / 1000));
+    }
+    return 0;
+  }
+
+  parseDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+}
+
+export default new CallEventsService();
@@ -0,0 +1,61 @@
+import { getRetryPolicies } from '../config/callRetry.js';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Call Retry Service
+ *
+ * Turns a call disposition into the lead's next state:
+ * - completed                    → completed
+ * - failed                       → failed (not worth retrying)
+ * - no_answer/busy/voicemail     → no_answer, retried at next_attempt_at
+ * - provider_error               → pending, retried at next_attempt_at
+ * Retryable dispositions become failed once the policy's maxAttempts is used.
+ */
+class CallRetryService {
+  /**
+   * @param {string} disposition - call disposition from the provider
+   * @param {number} attempts - attempts made so far, including this one
+   * @returns {{ status: string, nextAttemptAt: Date|null, reason: string }}
+   */
+  decide(disposition, attempts, now = new Date()) {
+    if (disposition === 'completed') {
+      return { status: 'completed', nextAttemptAt: null, reason: 'completed' };
+    }
+
+    const policy = getRetryPolicies()[disposition];
+    if (!policy) {
+      return { status: 'failed', nextAttemptAt: null, reason: disposition || 'failed' };
+    }
+
+    if (attempts >= policy.maxAttempts) {
+      return {
+        status: 'failed',
+        nextAttemptAt: null,
+        reason: `${disposition} after ${attempts} attempts`
+      };
+    }
+
+    return {
+      status: disposition === 'provider_error' ? 'pending' : 'no_answer',
+      nextAttemptAt: new Date(now.getTime() + this.computeDelayMs(policy, attempts)),
+      reason: disposition
+    };
+  }
+
+  /**
+   * Exponential backoff with jitter:
+   * base * multiplier^(attempts - 1), capped, then spread by ±jitter
+   */
+  computeDelayMs(policy, attempts) {
+    const exponent = Math.max(0, attempts - 1);
+    const delayMinutes = Math.min(
+      policy.baseDelayMinutes * Math.pow(policy.multiplier, exponent),
+      policy.maxDelayMinutes
+    );
+    const spread = 1 + (Math.random() * 2 - 1) * (policy.jitter || 0);
+    return Math.max(0, Math.round(delayMinutes * spread * MINUTE_MS));
+  }
+}
+
+export default new CallRetryService();
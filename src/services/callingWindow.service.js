@@ -0,0 +1,118 @@
+import Lead from '../models/Lead.js';
+import { getDefaultSchedule, inferTimezone } from '../config/callingHours.js';
+import { logger } from '../utils/logger.js';
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Calling Window Service
+ *
+ * Decides whether a lead may be called right now, based on a schedule
+ * (see config/callingHours.js) evaluated in the lead's local time.
+ */
+class CallingWindowService {
+  constructor() {
+    this.formatters = new Map();
+  }
+
+  isValidTimezone(timezone) {
+    try {
+      Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  getTimezone(lead) {
+    if (lead.timezone && this.isValidTimezone(lead.timezone)) {
+      return lead.timezone;
+    }
+    return inferTimezone(lead.phone);
+  }
+
+  getFormatter(timezone) {
+    if (!this.formatters.has(timezone)) {
+      this.formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit'
+      }));
+    }
+    return this.formatters.get(timezone);
+  }
+
+  /**
+   * @returns {{ date: string, day: number, hour: number }} local date
+   *   (YYYY-MM-DD), day of week (0 = Sunday) and hour in the time zone
+   */
+  getLocalTime(now, timezone) {
+    const parts = {};
+    this.getFormatter(timezone)
+      .formatToParts(now)
+      .forEach(part => { parts[part.type] = part.value; });
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      day: WEEKDAYS[parts.weekday],
+      hour: parseInt(parts.hour) % 24
+    };
+  }
+
+  isOpen(timezone, schedule = getDefaultSchedule(), now = new Date()) {
+    const local = this.getLocalTime(now, timezone);
+
+    if (schedule.holidays?.includes(local.date)) return false;
+    if (!schedule.days.includes(local.day)) return false;
+    return local.hour >= schedule.startHour && local.hour < schedule.endHour;
+  }
+
+  isWithinWindow(lead, schedule = getDefaultSchedule(), now = new Date()) {
+    return this.isOpen(this.getTimezone(lead), schedule, now);
+  }
+
+  /**
+   * @returns {string[]} the valid time zones in the list that are open now
+   */
+  filterOpenTimezones(timezones, schedule = getDefaultSchedule(), now = new Date()) {
+    return timezones.filter(timezone =>
+      timezone && this.isValidTimezone(timezone) && this.isOpen(timezone, schedule, now)
+    );
+  }
+
+  /**
+   * Counts leads matching filter that are currently outside their window.
+   * Leads are grouped by stored time zone (or phone prefix when missing)
+   * so each zone is evaluated once.
+   */
+  async countOutsideWindow(filter, schedule = getDefaultSchedule(), now = new Date()) {
+    try {
+      const groups = await Lead.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: {
+              timezone: '$timezone',
+              prefix: { $substrCP: [{ $ifNull: ['$phone', ''] }, 0, 4] }
+            },
+            count: { $sum: 1 }
+          }
+        }
+      ]);
+
+      return groups.reduce((total, group) => {
+        const timezone = this.getTimezone({ timezone: group._id.timezone, phone: group._id.prefix });
+        return this.isOpen(timezone, schedule, now) ? total : total + group.count;
+      }, 0);
+    } catch (error) {
+      logger.error(`Calling window count failed: ${error.message}`);
+      return 0;
+    }
+  }
+}
+
+export default new CallingWindowService();
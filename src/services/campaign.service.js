@@ -0,0 +1,138 @@
+import mongoose from 'mongoose';
+import Campaign from '../models/Campaign.js';
+import { getDefaultSchedule } from '../config/callingHours.js';
+import { AppError } from '../utils/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+// Allowed state changes per action
+const TRANSITIONS = {
+  start: { from: ['draft'], to: 'running' },
+  pause: { from: ['running'], to: 'paused' },
+  resume: { from: ['paused'], to: 'running' },
+  complete: { from: ['running', 'paused'], to: 'completed' }
+};
+
+// Fields that can be changed after creation; state moves only via transitions
+const EDITABLE_FIELDS = ['name', 'description', 'schedule', 'assistant', 'knowledgeCollection', 'retrieval'];
+
+class CampaignService {
+  async getCampaign(campaignId) {
+    if (!mongoose.Types.ObjectId.isValid(campaignId)) {
+      throw new AppError('Invalid campaign id', 400);
+    }
+
+    const campaign = await Campaign.findById(campaignId);
+    if (!campaign) {
+      throw new AppError('Campaign not found', 404);
+    }
+    return campaign;
+  }
+
+  async createCampaign(data) {
+    const campaign = new Campaign(this.pickEditable(data));
+    await this.save(campaign);
+    logger.info(`Campaign created: ${campaign.name} (${campaign._id})`);
+    return campaign;
+  }
+
+  async updateCampaign(campaignId, data) {
+    const campaign = await this.getCampaign(campaignId);
+    if (campaign.state === 'completed') {
+      throw new AppError('Completed campaigns cannot be edited', 409);
+    }
+
+    const updates = this.pickEditable(data);
+    // Merge nested settings so a partial update keeps the other fields
+    for (const [field, value] of Object.entries(updates)) {
+      if (['schedule', 'assistant', 'retrieval'].includes(field) && value && typeof value === 'object') {
+        for (const [key, nestedValue] of Object.entries(value)) {
+          campaign.set(`${field}.${key}`, nestedValue);
+        }
+      } else {
+        campaign.set(field, value);
+      }
+    }
+
+    await this.save(campaign);
+    return campaign;
+  }
+
+  async save(campaign) {
+    try {
+      await campaign.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        throw new AppError(error.message, 400);
+      }
+      if (error.code === 11000) {
+        throw new AppError(`A campaign named "${campaign.name}" already exists`, 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Applies a state transition (start, pause, resume, complete) atomically.
+   * The state filter makes concurrent transitions safe: only one wins.
+   */
+  async transition(campaignId, action) {
+    const rule = TRANSITIONS[action];
+    if (!rule) {
+      throw new AppError(`Unknown campaign action: ${action}`, 400);
+    }
+
+    const campaign = await this.getCampaign(campaignId);
+    if (!rule.from.includes(campaign.state)) {
+      throw new AppError(`Cannot ${action} a campaign that is ${campaign.state}`, 409);
+    }
+
+    const update = { state: rule.to };
+    if (action === 'start') update.startedAt = new Date();
+    if (action === 'complete') update.completedAt = new Date();
+
+    const updated = await Campaign.findOneAndUpdate(
+      { _id: campaign._id, state: { $in: rule.from } },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new AppError(`Campaign state changed concurrently, could not ${action}`, 409);
+    }
+
+    logger.info(`Campaign ${updated.name} ${campaign.state} → ${updated.state}`);
+    return updated;
+  }
+
+  async getRunningCampaigns() {
+    return Campaign.find({ state: 'running' }).lean();
+  }
+
+  /**
+   * Calling schedule for a campaign, with unset fields taken from the
+   * global defaults.
+   */
+  getSchedule(campaign) {
+    const defaults = getDefaultSchedule();
+    const schedule = campaign?.schedule || {};
+
+    return {
+      days: schedule.days?.length ? schedule.days : defaults.days,
+      startHour: schedule.startHour ?? defaults.startHour,
+      endHour: schedule.endHour ?? defaults.endHour,
+      holidays: [...defaults.holidays, ...(schedule.holidays || [])]
+    };
+  }
+
+  pickEditable(data = {}) {
+    const picked = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] !== undefined) {
+        picked[field] = data[field];
+      }
+    }
+    return picked;
+  }
+}
+
+export default new CampaignService();
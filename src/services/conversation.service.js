@@ -1,11 +1,29 @@
 import llmService from './llm.service.js';
 import ragService from './rag.service.js';
+import handoffService from './handoff.service.js';
+import summaryService from './summary.service.js';
+import queryRewriteService from './queryRewrite.service.js';
+import liveEventsService from './liveEvents.service.js';
+import outboundWebhookService from './outboundWebhook.service.js';
 import Lead from '../models/Lead.js';
+import Campaign from '../models/Campaign.js';
 import CallLog from '../models/CallLog.js';
 import { logger } from '../utils/logger.js';
+import { trimToTokenBudget } from '../utils/tokenBudget.js';
+
+// Crossing this interest score sends the lead.hot webhook
+const HOT_LEAD_SCORE = parseInt(process.env.HOT_LEAD_SCORE_THRESHOLD) || 70;
+
+// Estimated tokens of transcript sent with each turn
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.LLM_HISTORY_TOKEN_BUDGET) || 3000;
 
 class ConversationService {
-  async processMessage(leadId, userMessage) {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.onToken] - streams the response text as the
+   *   model writes it; the returned result is still the validated one
+   */
+  async processMessage(leadId, userMessage, options = {}) {
     try {
       // Fetch lead with current transcript
       const lead = await Lead.findById(leadId);
@@ -13,19 +31,64 @@ class ConversationService {
         throw new Error('Lead not found');
       }
 
-      // Retrieve context from ChromaDB
-      const retrievedContext = await ragService.retrieveContext(userMessage);
+      // A counselor has taken over: record the message, don't answer it
+      const claimedTicket = await handoffService.getClaimedTicket(lead._id);
+      if (claimedTicket) {
+        return this.recordWithoutResponse(lead, userMessage, claimedTicket);
+      }
 
-      // Generate AI response using current transcript + new message
-      const conversationHistory = [
-        ...lead.transcript,
-        { role: 'user', text: userMessage }
-      ];
+      // Campaign decides the knowledge collection and assistant settings
+      const campaign = lead.campaignId
+        ? await Campaign.findById(lead.campaignId).lean()
+        : null;
+
+      // Follow-ups ("and the fees for that?") are rewritten into a
+      // standalone query, plus sub-queries for multi-part questions
+      const summaryText = summaryService.render(lead.conversation_summary);
+      const retrieval = await queryRewriteService.rewrite(userMessage, lead.transcript, summaryText);
+      if (retrieval.rewritten) {
+        logger.debug(`Retrieval query for lead ${leadId}: "${retrieval.query}"`, { subQueries: retrieval.subQueries });
+      }
 
-      const aiResult = await llmService.generateAIResponse(
-        conversationHistory,
-        retrievedContext
+      // Retrieve context with the campaign's retrieval settings; chunks
+      // below the relevance cutoff are dropped, and no chunks at all means
+      // a handoff reply
+      const { hits, belowThreshold, settings: retrievalSettings, error: retrievalError } = await ragService.retrieve(
+        [retrieval.query, ...retrieval.subQueries],
+        { ...campaign?.retrieval, collectionName: campaign?.knowledgeCollection || undefined }
       );
+      if (hits.length === 0 && !retrievalError) {
+        logger.info(`No relevant knowledge for lead ${leadId} (${belowThreshold} chunks below the cutoff), handing off`);
+      }
+      const retrievedContext = ragService.formatContext(hits);
+      const sources = ragService.toCitations(hits);
+
+      // Newest turns that fit the history budget; older ones are replaced
+      // by the rolling summary. Turns the summary doesn't cover yet are
+      // always kept, even over budget, so none drop out of both.
+      const { kept: conversationHistory, omitted } = trimToTokenBudget(
+        [...lead.transcript, { role: 'user', text: userMessage }],
+        HISTORY_TOKEN_BUDGET,
+        lead.conversation_summary?.covered_turns || 0
+      );
+      const summary = omitted > 0 ? summaryText : '';
+      if (omitted > 0) {
+        logger.debug(`Prompt history for lead ${leadId}: ${omitted} older turns replaced by the summary`);
+      }
+
+      const aiResult = options.onToken
+        ? await llmService.streamAIResponse(
+          conversationHistory,
+          retrievedContext,
+          campaign?.assistant || {},
+          { summary, onToken: options.onToken }
+        )
+        : await llmService.generateAIResponse(
+          conversationHistory,
+          retrievedContext,
+          campaign?.assistant || {},
+          { summary }
+        );
 
       // Atomic transcript updates to prevent race conditions
       const userMessageEntry = {
@@ -59,11 +122,6 @@ class ConversationService {
         updateData.course_interest = aiResult.course_detected;
       }
 
-      // Generate summary if transcript is long enough
-      if (conversationHistory.length > 4) {
-        updateData.summary = this.generateSummary([...conversationHistory.slice(-6), assistantMessageEntry]);
-      }
-
       // Atomic update to prevent concurrent modification issues
       const updatedLead = await Lead.findByIdAndUpdate(
         leadId,
@@ -72,15 +130,49 @@ class ConversationService {
       );
 
       // Create call log entry
-      await CallLog.create({
+      const callLog = await CallLog.create({
         leadId: lead._id,
         duration: 0,
         intents: [aiResult.intent],
         objection_detected: aiResult.objection_detected,
         handoff_required: aiResult.handoff_required,
-        raw_transcript: `User: ${userMessage}\nAI: ${aiResult.response}`
+        raw_transcript: `User: ${userMessage}\nAI: ${aiResult.response}`,
+        retrieval: {
+          query: userMessage,
+          rewritten_query: retrieval.query,
+          sub_queries: retrieval.subQueries,
+          mode: retrievalSettings?.mode,
+          reranker: retrievalSettings?.reranker
+        },
+        sources
       });
 
+      this.publishTurn(updatedLead, userMessageEntry, assistantMessageEntry);
+
+      // Runs in the background so the reply isn't held up
+      summaryService.refresh(updatedLead._id);
+      if (newInterestScore !== lead.interest_score || updatedLead.course_interest !== lead.course_interest) {
+        liveEventsService.publish('lead.score_changed', {
+          leadId: updatedLead._id,
+          campaignId: updatedLead.campaignId,
+          interest_score: updatedLead.interest_score,
+          previousScore: lead.interest_score,
+          delta: updatedLead.interest_score - lead.interest_score,
+          course_interest: updatedLead.course_interest
+        });
+      }
+      if (lead.interest_score < HOT_LEAD_SCORE && updatedLead.interest_score >= HOT_LEAD_SCORE) {
+        outboundWebhookService.emitLeadEvent('lead.hot', updatedLead._id, {
+          previousScore: lead.interest_score,
+          threshold: HOT_LEAD_SCORE
+        });
+      }
+
+      let handoffTicket = null;
+      if (aiResult.handoff_required) {
+        handoffTicket = await this.openHandoff(updatedLead, aiResult, userMessage, callLog);
+      }
+
       logger.info(`Processed message for lead ${leadId}`, {
         intent: aiResult.intent,
         interestDelta: aiResult.interest_score_delta
@@ -98,7 +190,11 @@ class ConversationService {
         metadata: {
           intent: aiResult.intent,
           handoff_required: aiResult.handoff_required,
-          objection_detected: aiResult.objection_detected
+          objection_detected: aiResult.objection_detected,
+          handoff_ticket_id: handoffTicket?._id || null,
+          retrieval_query: retrieval.query,
+          retrieval_sub_queries: retrieval.subQueries,
+          sources
         }
       };
     } catch (error) {
@@ -107,11 +203,65 @@ class ConversationService {
     }
   }
 
-  generateSummary(recentTranscript) {
-    const messages = recentTranscript
-      .map(t => `${t.role}: ${t.text}`)
-      .join(' | ');
-    return messages.substring(0, 500);
+  // A failed ticket must not cost the student their answer
+  async openHandoff(lead, aiResult, userMessage, callLog) {
+    try {
+      return await handoffService.openTicket(lead, {
+        reason: handoffService.describeReason(aiResult),
+        triggerMessage: userMessage,
+        callLogId: callLog._id
+      });
+    } catch (error) {
+      logger.error(`Could not open handoff ticket for lead ${lead._id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Stores the student's message on a lead a counselor has claimed.
+   * response is null: the assistant stays silent until the ticket is
+   * resolved.
+   */
+  async recordWithoutResponse(lead, userMessage, ticket) {
+    const entry = { role: 'user', text: userMessage, timestamp: new Date() };
+    const updatedLead = await Lead.findByIdAndUpdate(
+      lead._id,
+      { $push: { transcript: entry } },
+      { new: true }
+    );
+    this.publishTurn(updatedLead, entry);
+
+    logger.info(`Lead ${lead._id} is with counselor ${ticket.claimed_by}, auto-response skipped`);
+
+    return {
+      response: null,
+      lead: {
+        id: updatedLead._id,
+        name: updatedLead.name,
+        interest_score: updatedLead.interest_score,
+        course_interest: updatedLead.course_interest,
+        status: updatedLead.status
+      },
+      metadata: {
+        intent: 'counselor_takeover',
+        handoff_required: false,
+        objection_detected: '',
+        handoff_ticket_id: ticket._id,
+        claimed_by: ticket.claimed_by
+      }
+    };
+  }
+
+  publishTurn(lead, ...entries) {
+    for (const entry of entries) {
+      liveEventsService.publish('transcript.turn', {
+        leadId: lead._id,
+        campaignId: lead.campaignId,
+        role: entry.role,
+        text: entry.text,
+        timestamp: entry.timestamp
+      });
+    }
   }
 }
 
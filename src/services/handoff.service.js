@@ -0,0 +1,265 @@
+import mongoose from 'mongoose';
+import HandoffTicket from '../models/HandoffTicket.js';
+import Lead from '../models/Lead.js';
+import outboundWebhookService from './outboundWebhook.service.js';
+import { AppError } from '../utils/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+// Transcript turns copied onto a ticket for the counselor
+const CONTEXT_TURNS = parseInt(process.env.HANDOFF_CONTEXT_TURNS) || 6;
+
+// Minutes a ticket may wait to be claimed, and then to be resolved
+const CLAIM_SLA_MINUTES = parseInt(process.env.HANDOFF_CLAIM_SLA_MINUTES) || 15;
+const RESOLVE_SLA_MINUTES = parseInt(process.env.HANDOFF_RESOLVE_SLA_MINUTES) || 240;
+
+const MINUTE_MS = 60 * 1000;
+
+const requireText = (value, field) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new AppError(`${field} is required`, 400);
+  }
+  return value.trim();
+};
+
+/**
+ * Handoff Service
+ *
+ * Tickets for conversations the assistant hands to a human counselor.
+ * A ticket is open until a counselor claims it, and claimed until it is
+ * resolved. While a ticket is claimed the assistant stops answering the
+ * lead.
+ */
+class HandoffService {
+  /**
+   * Opens a ticket for the lead, or returns its existing open/claimed one.
+   *
+   * @param {Object} lead - lead document, transcript included
+   * @param {Object} details
+   * @param {string} details.reason - why the assistant handed off
+   * @param {string} [details.triggerMessage] - student message that caused it
+   * @param {Array} [details.turns] - latest turns, newest last
+   * @param {string} [details.callLogId]
+   */
+  async openTicket(lead, details) {
+    const now = new Date();
+    const turns = (details.turns || lead.transcript || []).slice(-CONTEXT_TURNS);
+
+    try {
+      const ticket = await HandoffTicket.create({
+        leadId: lead._id,
+        campaignId: lead.campaignId || null,
+        callLogId: details.callLogId || null,
+        reason: details.reason,
+        trigger_message: details.triggerMessage || '',
+        recent_turns: turns.map(({ role, text, timestamp }) => ({ role, text, timestamp })),
+        interest_score: lead.interest_score,
+        course_interest: lead.course_interest || '',
+        claimDueAt: new Date(now.getTime() + CLAIM_SLA_MINUTES * MINUTE_MS),
+        resolveDueAt: new Date(now.getTime() + (CLAIM_SLA_MINUTES + RESOLVE_SLA_MINUTES) * MINUTE_MS)
+      });
+
+      logger.warn(`Handoff requested for lead ${lead._id} (${lead.name}): ${details.reason}`, {
+        ticketId: ticket._id.toString(),
+        interestScore: lead.interest_score
+      });
+      outboundWebhookService.emitLeadEvent('handoff.requested', lead._id, {
+        ticket: {
+          id: ticket._id.toString(),
+          reason: ticket.reason,
+          trigger_message: ticket.trigger_message,
+          recent_turns: ticket.recent_turns,
+          claimDueAt: ticket.claimDueAt
+        }
+      });
+      return ticket;
+    } catch (error) {
+      // Already has an active ticket; keep that one
+      if (error.code === 11000) {
+        return HandoffTicket.findOne({ leadId: lead._id, active: true });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Promise<Object|null>} the lead's claimed ticket, if a
+   *   counselor has taken over
+   */
+  async getClaimedTicket(leadId) {
+    return HandoffTicket.findOne({ leadId, status: 'claimed' }).lean();
+  }
+
+  /**
+   * Reason shown to the counselor, from the assistant's turn result.
+   */
+  describeReason(aiResult) {
+    if (aiResult.intent === 'handoff') {
+      return 'No knowledge base answer for the question';
+    }
+    if (aiResult.objection_detected) {
+      return `Objection: ${aiResult.objection_detected}`;
+    }
+    return `Assistant requested a counselor (intent: ${aiResult.intent || 'unknown'})`;
+  }
+
+  async getTicket(ticketId) {
+    if (!mongoose.Types.ObjectId.isValid(ticketId)) {
+      throw new AppError('Invalid ticket id', 400);
+    }
+
+    const ticket = await HandoffTicket.findById(ticketId);
+    if (!ticket) {
+      throw new AppError('Handoff ticket not found', 404);
+    }
+    return ticket;
+  }
+
+  /**
+   * Lists tickets, oldest first so the longest-waiting are on top.
+   *
+   * @param {Object} params - status, claimedBy, campaignId, overdue, limit
+   */
+  async listTickets(params = {}) {
+    const filter = {};
+    const now = new Date();
+
+    if (params.status) {
+      if (!['open', 'claimed', 'resolved'].includes(params.status)) {
+        throw new AppError(`Unknown ticket status: ${params.status}`, 400);
+      }
+      filter.status = params.status;
+    } else {
+      filter.active = true;
+    }
+
+    if (params.claimedBy) filter.claimed_by = params.claimedBy;
+
+    if (params.campaignId) {
+      if (!mongoose.Types.ObjectId.isValid(params.campaignId)) {
+        throw new AppError('Invalid campaign id', 400);
+      }
+      filter.campaignId = params.campaignId;
+    }
+
+    if (params.overdue === 'true') {
+      filter.$or = [
+        { status: 'open', claimDueAt: { $lt: now } },
+        { status: 'claimed', resolveDueAt: { $lt: now } }
+      ];
+    }
+
+    const limit = Math.min(parseInt(params.limit) || 50, 200);
+    return HandoffTicket.find(filter).sort({ createdAt: 1 }).limit(limit);
+  }
+
+  /**
+   * Counselors work the tickets of their own leads and of unassigned
+   * ones; another counselor's lead is out of their reach in the lead
+   * routes too. options.override (admins) skips the check.
+   */
+  async assertLeadAccess(ticket, counselor, options = {}) {
+    if (options.override) return;
+
+    const lead = await Lead.findById(ticket.leadId).select('assigned_to').lean();
+    if (lead?.assigned_to && lead.assigned_to !== counselor) {
+      throw new AppError('Lead is assigned to another counselor', 403);
+    }
+  }
+
+  /**
+   * Claims an open ticket. The lead is assigned to the counselor if it
+   * has no counselor yet; a lead assigned to someone else can only be
+   * claimed with options.override.
+   */
+  async claimTicket(ticketId, counselor, options = {}) {
+    const claimedBy = requireText(counselor, 'counselor');
+    const ticket = await this.getTicket(ticketId);
+    if (ticket.status !== 'open') {
+      throw new AppError(`Ticket is already ${ticket.status}${ticket.claimed_by ? ` by ${ticket.claimed_by}` : ''}`, 409);
+    }
+    await this.assertLeadAccess(ticket, claimedBy, options);
+
+    const claimed = await HandoffTicket.findOneAndUpdate(
+      { _id: ticket._id, status: 'open' },
+      { $set: { status: 'claimed', claimed_by: claimedBy, claimedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new AppError('Ticket was claimed concurrently', 409);
+    }
+
+    const assigned = await Lead.updateOne(
+      { _id: claimed.leadId, assigned_to: { $in: [null, claimedBy] } },
+      { $set: { assigned_to: claimedBy } }
+    );
+
+    // The lead went to another counselor since the check; hand the
+    // ticket back rather than leave it with someone who can't see the lead
+    if (!assigned.matchedCount && !options.override) {
+      await HandoffTicket.updateOne(
+        { _id: claimed._id, status: 'claimed', claimed_by: claimedBy },
+        { $set: { status: 'open', claimed_by: null, claimedAt: null } }
+      );
+      throw new AppError('Lead is assigned to another counselor', 403);
+    }
+
+    logger.info(`Handoff ticket ${claimed._id} claimed by ${claimedBy}`);
+    return claimed;
+  }
+
+  /**
+   * Adds a note to a ticket. Same lead access rule as claiming.
+   */
+  async addNote(ticketId, { counselor, author, text } = {}, options = {}) {
+    const note = { author: requireText(author, 'author'), text: requireText(text, 'text'), createdAt: new Date() };
+    const ticket = await this.getTicket(ticketId);
+    await this.assertLeadAccess(ticket, counselor, options);
+
+    const updated = await HandoffTicket.findByIdAndUpdate(
+      ticket._id,
+      { $push: { notes: note } },
+      { new: true }
+    );
+    return updated.notes[updated.notes.length - 1];
+  }
+
+  /**
+   * Resolves an open or claimed ticket; the assistant resumes answering
+   * the lead. A claimed ticket can only be resolved by its counselor,
+   * unless options.override is set.
+   */
+  async resolveTicket(ticketId, { counselor, resolution } = {}, options = {}) {
+    const resolvedBy = requireText(counselor, 'counselor');
+    const ticket = await this.getTicket(ticketId);
+
+    if (ticket.status === 'resolved') {
+      throw new AppError('Ticket is already resolved', 409);
+    }
+    if (ticket.status === 'claimed' && ticket.claimed_by !== resolvedBy && !options.override) {
+      throw new AppError(`Ticket is claimed by ${ticket.claimed_by}`, 409);
+    }
+    await this.assertLeadAccess(ticket, resolvedBy, options);
+
+    const resolved = await HandoffTicket.findOneAndUpdate(
+      { _id: ticket._id, status: ticket.status },
+      {
+        $set: {
+          status: 'resolved',
+          active: false,
+          resolved_by: resolvedBy,
+          resolution: typeof resolution === 'string' ? resolution.trim() : '',
+          resolvedAt: new Date()
+        }
+      },
+      { new: true }
+    );
+    if (!resolved) {
+      throw new AppError('Ticket changed concurrently, reload and try again', 409);
+    }
+
+    logger.info(`Handoff ticket ${resolved._id} resolved by ${resolvedBy}`);
+    return resolved;
+  }
+}
+
+export default new HandoffService();
@@ -0,0 +1,144 @@
+import crypto from 'crypto';
+import path from 'path';
+import pdf from 'pdf-parse';
+import ragService from './rag.service.js';
+import { AppError } from '../utils/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+export const SUPPORTED_FILE_TYPES = ['.pdf', '.txt', '.md'];
+
+// Words per chunk and words shared by consecutive chunks
+const CHUNK_SIZE = 1000;
+const CHUNK_OVERLAP = 200;
+
+// Chroma collection names: 3-63 characters, alphanumeric at both ends
+const COLLECTION_NAME = /^[a-zA-Z0-9][a-zA-Z0-9._-]{1,61}[a-zA-Z0-9]$/;
+
+/**
+ * Knowledge Base Service
+ *
+ * Turns uploaded documents into chunks in a Chroma collection, one source
+ * per file name. Chunk ids are content hashes (see ragService.addDocuments)
+ * and each chunk records the hash of its whole document, so ingesting an
+ * unchanged file again is a no-op and a changed one only swaps the chunks
+ * that differ.
+ */
+class KnowledgeBaseService {
+  resolveCollection(name) {
+    if (!name) return ragService.collectionName;
+    if (!COLLECTION_NAME.test(name)) {
+      throw new AppError(`Invalid collection name: ${name}`, 400);
+    }
+    return name;
+  }
+
+  async extractText(buffer, fileType) {
+    if (fileType === '.pdf') {
+      try {
+        const data = await pdf(buffer);
+        return data.text;
+      } catch (error) {
+        throw new AppError(`Could not read PDF: ${error.message}`, 400);
+      }
+    }
+    return buffer.toString('utf-8');
+  }
+
+  chunkText(text, metadata = {}) {
+    const chunks = [];
+    const words = text.split(/\s+/);
+
+    for (let i = 0; i < words.length; i += CHUNK_SIZE - CHUNK_OVERLAP) {
+      const chunk = words.slice(i, i + CHUNK_SIZE).join(' ');
+      if (chunk.trim().length > 0) {
+        chunks.push({
+          pageContent: chunk,
+          metadata: {
+            ...metadata,
+            chunkIndex: chunks.length,
+            source: metadata.source || 'unknown'
+          }
+        });
+      }
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Ingests one document as the source named after its file.
+   *
+   * @param {Object} file - { filename, buffer }
+   * @param {Object} [options]
+   * @param {string} [options.collectionName]
+   * @param {boolean} [options.replace] - allow replacing a source that
+   *   exists with different content; otherwise that is a 409
+   * @returns {Promise<Object>} { source, status: 'added' | 'replaced' |
+   *   'unchanged', chunks, removed }
+   */
+  async ingestDocument(file, options = {}) {
+    const collectionName = this.resolveCollection(options.collectionName);
+    const source = path.basename(file.filename || '');
+    const fileType = path.extname(source).toLowerCase();
+
+    if (!SUPPORTED_FILE_TYPES.includes(fileType)) {
+      throw new AppError(`Unsupported file type: ${source || 'unnamed file'}. Use PDF, TXT or MD`, 400);
+    }
+
+    const text = await this.extractText(file.buffer, fileType);
+    if (!text.trim()) {
+      throw new AppError(`No text found in ${source}`, 400);
+    }
+
+    const contentHash = crypto.createHash('sha256').update(text).digest('hex');
+    const existing = await ragService.getSourceChunks(source, collectionName);
+
+    if (existing.length > 0 && existing.every(chunk => chunk.metadata.contentHash === contentHash)) {
+      logger.info(`Knowledge source ${source} in '${collectionName}' is unchanged`);
+      return { source, status: 'unchanged', chunks: existing.length, removed: 0 };
+    }
+    if (existing.length > 0 && !options.replace) {
+      throw new AppError(`${source} is already in the knowledge base with different content; replace it instead`, 409);
+    }
+
+    const chunks = this.chunkText(text, {
+      source,
+      fileType,
+      contentHash,
+      ingestedAt: new Date().toISOString()
+    });
+    const { ids } = await ragService.addDocuments(chunks, collectionName);
+
+    // Chunks of the previous version that the new one no longer has
+    const kept = new Set(ids);
+    const removed = await ragService.deleteChunks(
+      existing.map(chunk => chunk.id).filter(id => !kept.has(id)),
+      collectionName
+    );
+
+    const status = existing.length > 0 ? 'replaced' : 'added';
+    logger.info(`Knowledge source ${source} ${status} in '${collectionName}': ${ids.length} chunks, ${removed} removed`);
+    return { source, status, chunks: ids.length, removed };
+  }
+
+  async listSources(collectionName) {
+    return ragService.listSources(this.resolveCollection(collectionName));
+  }
+
+  /**
+   * @returns {Promise<number>} chunks deleted
+   */
+  async deleteSource(source, collectionName) {
+    const name = this.resolveCollection(collectionName);
+    const existing = await ragService.getSourceChunks(source, name);
+    if (existing.length === 0) {
+      throw new AppError(`Knowledge source not found: ${source}`, 404);
+    }
+
+    const deleted = await ragService.deleteChunks(existing.map(chunk => chunk.id), name);
+    logger.info(`Knowledge source ${source} deleted from '${name}' (${deleted} chunks)`);
+    return deleted;
+  }
+}
+
+export default new KnowledgeBaseService();
@@ -0,0 +1,510 @@
+import mongoose from 'mongoose';
+import Lead from '../models/Lead.js';
+import CallLog from '../models/CallLog.js';
+import User from '../models/User.js';
+import leadImportService from './leadImport.service.js';
+import liveEventsService from './liveEvents.service.js';
+import outboundWebhookService from './outboundWebhook.service.js';
+import { inferTimezone } from '../config/callingHours.js';
+import { AppError } from '../utils/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+// Manual status changes allowed from each status. calling is owned by the
+// worker and call events, so it can't be changed or entered by hand.
+const STATUS_TRANSITIONS = {
+  pending: { failed: { reasonRequired: true }, completed: { reasonRequired: true } },
+  no_answer: { pending: {}, failed: { reasonRequired: true }, completed: { reasonRequired: true } },
+  failed: { pending: {}, completed: { reasonRequired: true } },
+  completed: { pending: { reasonRequired: true } },
+  calling: {}
+};
+
+const CONTACT_FIELDS = ['name', 'phone', 'email', 'timezone', 'course_interest'];
+
+const ATTRIBUTE_KEY = /^[a-z0-9_]+$/;
+
+const MAX_TAG_LENGTH = 50;
+
+// Fields GET /leads can sort by; _id breaks ties. Cursors are only stable
+// for createdAt, the others change while leads are worked
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'interest_score', 'attempts', 'name'];
+const DATE_SORT_FIELDS = ['createdAt', 'updatedAt'];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const LEAD_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const splitList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Lead Service
+ *
+ * Manual lead management: edits, status changes, notes, assignment,
+ * tags and deletion.
+ */
+class LeadService {
+  /**
+   * @param {Object} [user] - requesting user; counselors only see leads
+   *   assigned to them (others look not found)
+   */
+  async getLead(leadId, user = null) {
+    if (!mongoose.Types.ObjectId.isValid(leadId)) {
+      throw new AppError('Invalid lead id', 400);
+    }
+
+    const lead = await Lead.findById(leadId);
+    if (!lead || (user?.role === 'counselor' && lead.assigned_to !== user.id)) {
+      throw new AppError('Lead not found', 404);
+    }
+    return lead;
+  }
+
+  /**
+   * Applies a partial update. A status change is checked against
+   * STATUS_TRANSITIONS and applied only if the lead is still in the status
+   * it was read in, so it can't overwrite a concurrent worker update.
+   *
+   * @param {Object} data - contact fields, attributes (null value removes a
+   *   key), tags, assigned_to, status and reason
+   * @param {Object} [options]
+   * @param {string} [options.author] - who made the change
+   * @param {Object} [options.user] - requesting user (see getLead)
+   */
+  async updateLead(leadId, data, options = {}) {
+    const lead = await this.getLead(leadId, options.user);
+    const $set = {};
+    const $unset = {};
+    const update = {};
+
+    Object.assign($set, this.buildContactUpdate(data));
+
+    // A new number means a new calling window, unless a zone was given
+    if ($set.phone && $set.phone !== lead.phone && data.timezone === undefined) {
+      $set.timezone = inferTimezone($set.phone);
+    }
+
+    if (data.attributes !== undefined) {
+      if (!data.attributes || typeof data.attributes !== 'object' || Array.isArray(data.attributes)) {
+        throw new AppError('attributes must be an object', 400);
+      }
+      for (const [key, value] of Object.entries(data.attributes)) {
+        if (!ATTRIBUTE_KEY.test(key)) {
+          throw new AppError(`Invalid attribute key: ${key} (use lowercase letters, digits and _)`, 400);
+        }
+        if (value === null) {
+          $unset[`attributes.${key}`] = '';
+        } else {
+          $set[`attributes.${key}`] = String(value);
+        }
+      }
+    }
+
+    if (data.tags !== undefined) {
+      $set.tags = this.normalizeTags(data.tags);
+    }
+
+    if (data.assigned_to !== undefined) {
+      if (options.user?.role === 'counselor') {
+        throw new AppError('Only admins can reassign leads', 403);
+      }
+      $set.assigned_to = await this.resolveAssignee(data.assigned_to);
+    }
+
+    const filter = { _id: lead._id };
+
+    if (data.status !== undefined && data.status !== lead.status) {
+      Object.assign($set, this.buildStatusChange(lead, data.status, data.reason));
+      update.$push = {
+        status_history: {
+          from: lead.status,
+          to: data.status,
+          reason: data.reason || '',
+          changed_by: options.author || null,
+          timestamp: new Date()
+        }
+      };
+      filter.status = lead.status;
+    }
+
+    if (Object.keys($set).length > 0) update.$set = $set;
+    if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+    if (Object.keys(update).length === 0) {
+      throw new AppError('No editable fields in request', 400);
+    }
+
+    const updated = await this.applyUpdate(filter, update);
+    if (!updated) {
+      throw new AppError('Lead status changed concurrently, reload and try again', 409);
+    }
+
+    if (update.$push) {
+      liveEventsService.publish('lead.status_changed', {
+        leadId: updated._id,
+        campaignId: updated.campaignId,
+        status: updated.status,
+        previousStatus: lead.status,
+        attempts: updated.attempts,
+        reason: data.reason || '',
+        changed_by: options.author || null
+      });
+      logger.info(`Lead ${lead._id} ${lead.status} → ${updated.status}${options.author ? ` by ${options.author}` : ''}`);
+
+      if (updated.status === 'completed') {
+        outboundWebhookService.emitLeadEvent('lead.completed', updated._id, {
+          reason: data.reason || '',
+          changed_by: options.author || null
+        });
+      }
+    }
+    return updated;
+  }
+
+  /**
+   * @returns {Promise<string|null>} the user id of an active counselor or
+   *   admin, or null to unassign
+   */
+  async resolveAssignee(assignee) {
+    if (assignee === null) {
+      return null;
+    }
+    if (typeof assignee !== 'string' || !mongoose.Types.ObjectId.isValid(assignee)) {
+      throw new AppError('assigned_to must be a counselor user id or null', 400);
+    }
+
+    const user = await User.findOne({
+      _id: assignee,
+      active: true,
+      role: { $in: ['counselor', 'admin'] }
+    }).lean();
+    if (!user) {
+      throw new AppError('assigned_to is not an active counselor', 400);
+    }
+    return user._id.toString();
+  }
+
+  buildContactUpdate(data) {
+    const $set = {};
+
+    for (const field of CONTACT_FIELDS) {
+      if (data[field] === undefined) continue;
+      if (typeof data[field] !== 'string') {
+        throw new AppError(`${field} must be a string`, 400);
+      }
+
+      const value = data[field].trim();
+      switch (field) {
+        case 'name':
+          if (!value) throw new AppError('name cannot be empty', 400);
+          $set.name = value;
+          break;
+        case 'phone': {
+          const phone = leadImportService.normalizePhone(value);
+          if (!phone) throw new AppError(`${value} is not a valid phone number`, 400);
+          $set.phone = phone;
+          break;
+        }
+        case 'email':
+          if (!leadImportService.isValidEmail(value)) throw new AppError(`${value} is not a valid email address`, 400);
+          $set.email = value.toLowerCase();
+          break;
+        case 'timezone':
+          if (!leadImportService.isValidTimezone(value)) throw new AppError(`${value} is not a valid time zone`, 400);
+          $set.timezone = value;
+          break;
+        default:
+          $set[field] = value;
+      }
+    }
+
+    return $set;
+  }
+
+  /**
+   * @returns {Object} fields to $set for the status change
+   */
+  buildStatusChange(lead, status, reason) {
+    if (!Object.hasOwn(STATUS_TRANSITIONS, status)) {
+      throw new AppError(`Unknown status: ${status}`, 400);
+    }
+
+    const rule = STATUS_TRANSITIONS[lead.status]?.[status];
+    if (!rule) {
+      throw new AppError(`Cannot change status from ${lead.status} to ${status}`, 409);
+    }
+    if (rule.reasonRequired && !(typeof reason === 'string' && reason.trim())) {
+      throw new AppError(`A reason is required to change status from ${lead.status} to ${status}`, 400);
+    }
+
+    const $set = { status, next_attempt_at: null };
+    // A requeued lead gets a fresh retry budget
+    if (status === 'pending' && ['failed', 'completed'].includes(lead.status)) {
+      $set.attempts = 0;
+    }
+    return $set;
+  }
+
+  normalizeTags(tags) {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      throw new AppError('tags must be an array of strings', 400);
+    }
+
+    const normalized = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    const tooLong = normalized.find(tag => tag.length > MAX_TAG_LENGTH);
+    if (tooLong) {
+      throw new AppError(`Tag "${tooLong}" is longer than ${MAX_TAG_LENGTH} characters`, 400);
+    }
+    return normalized;
+  }
+
+  async applyUpdate(filter, update) {
+    try {
+      return await Lead.findOneAndUpdate(filter, update, { new: true, runValidators: true });
+    } catch (error) {
+      if (error.code === 11000) {
+        const field = error.keyValue?.email !== undefined ? 'email' : 'phone';
+        throw new AppError(`Another lead in this campaign already has this ${field}`, 409);
+      }
+      if (error.name === 'ValidationError' || error.name === 'CastError') {
+        throw new AppError(error.message, 400);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Searches leads. Filters combine with AND.
+   *
+   * Pagination is keyset-based: nextCursor encodes the sort value and _id
+   * of the last lead returned, so inserts and deletes don't shift pages.
+   * Only createdAt is immutable: with any other sort field, a lead whose
+   * value changes between pages (the worker and conversations update
+   * updatedAt and interest_score all the time) may be skipped or repeated.
+   * Passing page instead of cursor uses offset pagination.
+   *
+   * @param {Object} params - query string parameters (see README)
+   * @param {Object} [user] - requesting user; counselors only see leads
+   *   assigned to them
+   * @returns {Promise<{ leads: Array, pagination: Object }>}
+   */
+  async searchLeads(params = {}, user = null) {
+    const filter = this.buildSearchFilter(
+      user?.role === 'counselor' ? { ...params, assignedTo: user.id } : params
+    );
+    const { field, direction } = this.parseSort(params.sort);
+    const limit = Math.min(Math.max(parseInt(params.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const sort = { [field]: direction, _id: direction };
+
+    if (params.page !== undefined && params.cursor === undefined) {
+      const page = Math.max(parseInt(params.page) || 1, 1);
+      const [leads, total] = await Promise.all([
+        Lead.find(filter).sort(sort).skip((page - 1) * limit).limit(limit),
+        Lead.countDocuments(filter)
+      ]);
+      return {
+        leads,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      };
+    }
+
+    const pageFilter = params.cursor
+      ? { $and: [filter, this.cursorFilter(this.decodeCursor(params.cursor, field), field, direction)] }
+      : filter;
+
+    const [found, total] = await Promise.all([
+      Lead.find(pageFilter).sort(sort).limit(limit + 1),
+      Lead.countDocuments(filter)
+    ]);
+
+    const hasMore = found.length > limit;
+    const leads = hasMore ? found.slice(0, limit) : found;
+    const last = leads[leads.length - 1];
+
+    return {
+      leads,
+      pagination: {
+        limit,
+        total,
+        sort: `${direction === -1 ? '-' : ''}${field}`,
+        hasMore,
+        nextCursor: hasMore ? this.encodeCursor(last, field) : null
+      }
+    };
+  }
+
+  buildSearchFilter(params) {
+    const filter = {};
+
+    if (params.status) {
+      const statuses = splitList(params.status);
+      const unknown = statuses.find(status => !LEAD_STATUSES.includes(status));
+      if (unknown) {
+        throw new AppError(`Unknown status: ${unknown}`, 400);
+      }
+      filter.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+    }
+
+    if (params.campaignId) {
+      if (!mongoose.Types.ObjectId.isValid(params.campaignId)) {
+        throw new AppError('Invalid campaign id', 400);
+      }
+      filter.campaignId = new mongoose.Types.ObjectId(params.campaignId);
+    }
+
+    if (params.assignedTo) {
+      filter.assigned_to = params.assignedTo === 'none' ? null : params.assignedTo;
+    }
+
+    // tag=a,b matches leads carrying all listed tags
+    if (params.tag) {
+      filter.tags = { $all: splitList(params.tag).map(tag => tag.toLowerCase()) };
+    }
+
+    if (params.course) {
+      filter.course_interest = { $regex: escapeRegex(String(params.course).trim()), $options: 'i' };
+    }
+
+    this.addRange(filter, 'interest_score', params.minScore, params.maxScore, this.parseNumber);
+    this.addRange(filter, 'attempts', params.minAttempts, params.maxAttempts, this.parseNumber);
+    this.addRange(filter, 'createdAt', params.createdFrom, params.createdTo, this.parseDate);
+    this.addRange(filter, 'updatedAt', params.updatedFrom, params.updatedTo, this.parseDate);
+
+    // Leads with at least one call attempt recorded in the range
+    const called = this.addRange({}, 'timestamp', params.calledFrom, params.calledTo, this.parseDate);
+    if (called.timestamp) {
+      filter.call_history = { $elemMatch: called };
+    }
+
+    // Full-text search over name, email, summary and transcript
+    if (params.q && String(params.q).trim()) {
+      filter.$text = { $search: String(params.q).trim() };
+    }
+
+    return filter;
+  }
+
+  addRange(filter, field, from, to, parse) {
+    const range = {};
+    if (from !== undefined && from !== '') range.$gte = parse(from, field);
+    if (to !== undefined && to !== '') range.$lte = parse(to, field);
+    if (Object.keys(range).length > 0) filter[field] = range;
+    return filter;
+  }
+
+  parseNumber(value, field) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      throw new AppError(`${field} bounds must be numbers`, 400);
+    }
+    return number;
+  }
+
+  parseDate(value, field) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new AppError(`${field} bounds must be ISO dates`, 400);
+    }
+    return date;
+  }
+
+  // sort=interest_score (ascending) or sort=-interest_score (descending)
+  parseSort(sort) {
+    if (!sort) {
+      return { field: 'createdAt', direction: -1 };
+    }
+    // ?sort=a&sort=b arrives as an array
+    if (typeof sort !== 'string') {
+      throw new AppError('sort must be a single field', 400);
+    }
+
+    const direction = sort.startsWith('-') ? -1 : 1;
+    const field = sort.replace(/^[-+]/, '');
+    if (!SORT_FIELDS.includes(field)) {
+      throw new AppError(`Cannot sort by ${field}. Use one of: ${SORT_FIELDS.join(', ')}`, 400);
+    }
+    return { field, direction };
+  }
+
+  encodeCursor(lead, field) {
+    const value = lead.get(field);
+    return Buffer.from(JSON.stringify({
+      s: field,
+      v: value instanceof Date ? value.toISOString() : value ?? null,
+      id: lead._id.toString()
+    })).toString('base64url');
+  }
+
+  decodeCursor(cursor, field) {
+    try {
+      const { s, v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+      if (s !== field || !mongoose.Types.ObjectId.isValid(id)) throw new Error('cursor mismatch');
+
+      const value = DATE_SORT_FIELDS.includes(field) && v !== null ? new Date(v) : v;
+      return { value, id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+      throw new AppError('Invalid cursor, or cursor issued for a different sort', 400);
+    }
+  }
+
+  // Leads strictly after the cursor in (field, _id) order
+  cursorFilter({ value, id }, field, direction) {
+    const after = direction === -1 ? '$lt' : '$gt';
+    return {
+      $or: [
+        { [field]: { [after]: value } },
+        { [field]: value, _id: { [after]: id } }
+      ]
+    };
+  }
+
+  /**
+   * Adds a timestamped note.
+   *
+   * @returns {Object} the stored note
+   */
+  async addNote(leadId, { author, text } = {}, user = null) {
+    if (typeof author !== 'string' || !author.trim()) {
+      throw new AppError('author is required', 400);
+    }
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new AppError('text is required', 400);
+    }
+
+    const lead = await this.getLead(leadId, user);
+    const updated = await Lead.findByIdAndUpdate(
+      lead._id,
+      { $push: { notes: { author: author.trim(), text: text.trim(), createdAt: new Date() } } },
+      { new: true }
+    );
+    if (!updated) {
+      throw new AppError('Lead not found', 404);
+    }
+
+    return updated.notes[updated.notes.length - 1];
+  }
+
+  /**
+   * Deletes a lead and its call logs. Leads on a live call can't be
+   * deleted; wait for the call to end first.
+   */
+  async deleteLead(leadId) {
+    const lead = await this.getLead(leadId);
+    if (lead.status === 'calling') {
+      throw new AppError('Lead is on a call and cannot be deleted until it ends', 409);
+    }
+
+    const result = await Lead.deleteOne({ _id: lead._id, status: { $ne: 'calling' } });
+    if (result.deletedCount === 0) {
+      throw new AppError('Lead is on a call and cannot be deleted until it ends', 409);
+    }
+
+    await CallLog.deleteMany({ leadId: lead._id });
+    logger.info(`Lead deleted: ${lead._id}`);
+    return lead;
+  }
+}
+
+export default new LeadService();
@@ -0,0 +1,288 @@
+import { parsePhoneNumberFromString } from 'libphonenumber-js';
+import Lead from '../models/Lead.js';
+import { inferTimezone } from '../config/callingHours.js';
+import { logger } from '../utils/logger.js';
+
+// Rows written per insertMany call
+const BATCH_SIZE = 1000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+export const DEFAULT_PHONE_COUNTRY = process.env.DEFAULT_PHONE_COUNTRY || 'IN';
+
+// Headers recognized without a mapping, compared after normalizeHeader
+const DEFAULT_ALIASES = {
+  name: ['name', 'studentname', 'fullname', 'candidatename'],
+  phone: ['phone', 'mobile', 'mobileno', 'mobilenumber', 'phonenumber', 'contactnumber'],
+  email: ['email', 'emailaddress', 'emailid', 'mail'],
+  timezone: ['timezone', 'tz']
+};
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const toAttributeKey = (header) => header.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+/**
+ * Lead Import Service
+ *
+ * Validates and normalizes uploaded lead rows and bulk-inserts them.
+ * Every rejected or skipped row is reported with its line number.
+ */
+class LeadImportService {
+  /**
+   * Maps a raw file row onto lead fields using a column mapping
+   * ({ columns: [{ source, target }], keepUnmapped }). Explicit mappings
+   * win; core fields fall back to common header aliases.
+   *
+   * @returns {Object} { name, phone, email, timezone, course_interest, attributes }
+   */
+  mapRow(rawRow, mapping = null) {
+    const mapped = { attributes: {} };
+    const explicit = new Map(
+      (mapping?.columns || []).map(column => [normalizeHeader(column.source), column.target])
+    );
+    const explicitTargets = new Set(explicit.values());
+
+    for (const [header, rawValue] of Object.entries(rawRow)) {
+      const value = String(rawValue ?? '').trim();
+      const key = normalizeHeader(header);
+      let target = explicit.get(key);
+
+      // Aliases never fill a field a column is explicitly mapped to
+      if (!target) {
+        target = Object.keys(DEFAULT_ALIASES).find(field =>
+          DEFAULT_ALIASES[field].includes(key) && !explicitTargets.has(field)
+        );
+      }
+      if (!target && mapping?.keepUnmapped && toAttributeKey(header)) {
+        target = `attributes.${toAttributeKey(header)}`;
+      }
+      if (!target || value === '') continue;
+
+      if (target.startsWith('attributes.')) {
+        mapped.attributes[target.substring('attributes.'.length)] = value;
+      } else if (mapped[target] === undefined) {
+        mapped[target] = value;
+      }
+    }
+
+    return mapped;
+  }
+
+  /**
+   * @returns {string|null} the phone in E.164 format, or null if invalid
+   */
+  normalizePhone(raw, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+    const phone = parsePhoneNumberFromString(String(raw || '').trim(), defaultCountry);
+    return phone && phone.isValid() ? phone.number : null;
+  }
+
+  isValidEmail(email) {
+    return EMAIL_PATTERN.test(email);
+  }
+
+  isValidTimezone(timezone) {
+    try {
+      Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Validates one row.
+   *
+   * @returns {{ lead: Object|null, errors: Array }} the normalized lead, or
+   *   null with one error per problem field
+   */
+  validateRow(rawRow, line, options) {
+    const errors = [];
+    const row = this.mapRow(rawRow, options.mapping);
+    const name = (row.name || '').trim();
+    const rawPhone = (row.phone || '').trim();
+    const email = (row.email || '').trim().toLowerCase();
+    const timezone = (row.timezone || '').trim();
+
+    if (!name) {
+      errors.push({ line, field: 'name', value: '', message: 'name is required' });
+    }
+
+    let phone = null;
+    if (!rawPhone) {
+      errors.push({ line, field: 'phone', value: '', message: 'phone is required' });
+    } else {
+      phone = this.normalizePhone(rawPhone, options.defaultCountry);
+      if (!phone) {
+        errors.push({ line, field: 'phone', value: rawPhone, message: `not a valid phone number for ${options.defaultCountry}` });
+      }
+    }
+
+    if (!email) {
+      errors.push({ line, field: 'email', value: '', message: 'email is required' });
+    } else if (!this.isValidEmail(email)) {
+      errors.push({ line, field: 'email', value: email, message: 'not a valid email address' });
+    }
+
+    if (timezone && !this.isValidTimezone(timezone)) {
+      errors.push({ line, field: 'timezone', value: timezone, message: 'not a valid time zone' });
+    }
+
+    if (errors.length > 0) {
+      return { lead: null, errors };
+    }
+
+    return {
+      lead: {
+        campaignId: options.campaign._id,
+        name,
+        phone,
+        email,
+        timezone: timezone || inferTimezone(phone),
+        course_interest: row.course_interest || '',
+        attributes: row.attributes,
+        status: 'pending'
+      },
+      errors
+    };
+  }
+
+  /**
+   * Validates, de-duplicates and (unless dryRun) inserts rows.
+   *
+   * @param {Array<{ line: number, row: Object }>} rows - parsed rows with
+   *   their line numbers in the uploaded file
+   * @param {Object} options
+   * @param {Object} options.campaign - campaign the leads are imported into
+   * @param {string} [options.defaultCountry] - ISO country for local numbers
+   * @param {boolean} [options.dryRun] - validate and report without writing
+   * @param {Object} [options.mapping] - column mapping (see mapRow)
+   */
+  async importRows(rows, options) {
+    const opts = { defaultCountry: DEFAULT_PHONE_COUNTRY, dryRun: false, ...options };
+    const report = {
+      campaignId: opts.campaign._id,
+      dryRun: opts.dryRun,
+      total: rows.length,
+      valid: 0,
+      inserted: 0,
+      skipped: 0,
+      errors: [],
+      duplicates: []
+    };
+
+    // Validate and drop in-file duplicates (first occurrence wins)
+    const seenPhones = new Map();
+    const seenEmails = new Map();
+    const candidates = [];
+
+    for (const { line, row } of rows) {
+      const { lead, errors } = this.validateRow(row, line, opts);
+      if (!lead) {
+        report.errors.push(...errors);
+        continue;
+      }
+
+      const duplicate = this.findFileDuplicate(lead, seenPhones, seenEmails);
+      if (duplicate) {
+        report.duplicates.push({ line, ...duplicate, source: 'file' });
+        continue;
+      }
+
+      seenPhones.set(lead.phone, line);
+      seenEmails.set(lead.email, line);
+      candidates.push({ line, lead });
+    }
+
+    for (let i = 0; i < candidates.length; i += BATCH_SIZE) {
+      const batch = await this.dropExisting(candidates.slice(i, i + BATCH_SIZE), report, opts.campaign._id);
+      report.valid += batch.length;
+
+      if (!opts.dryRun && batch.length > 0) {
+        report.inserted += await this.insertBatch(batch, report);
+      }
+    }
+
+    report.skipped = report.total - report.inserted;
+    report.errors.sort((a, b) => a.line - b.line);
+    report.duplicates.sort((a, b) => a.line - b.line);
+
+    logger.info(`Lead import${opts.dryRun ? ' (dry run)' : ''}: ${report.total} rows, ${report.valid} valid, ${report.inserted} inserted, ${report.errors.length} errors, ${report.duplicates.length} duplicates`);
+    return report;
+  }
+
+  findFileDuplicate(lead, seenPhones, seenEmails) {
+    if (seenPhones.has(lead.phone)) {
+      return { field: 'phone', value: lead.phone, firstLine: seenPhones.get(lead.phone) };
+    }
+    if (seenEmails.has(lead.email)) {
+      return { field: 'email', value: lead.email, firstLine: seenEmails.get(lead.email) };
+    }
+    return null;
+  }
+
+  /**
+   * Removes rows whose phone or email already exists in the campaign,
+   * recording each as a database duplicate. Leads in other campaigns
+   * don't count.
+   */
+  async dropExisting(batch, report, campaignId) {
+    const existing = await Lead.find({
+      campaignId,
+      $or: [
+        { phone: { $in: batch.map(c => c.lead.phone) } },
+        { email: { $in: batch.map(c => c.lead.email) } }
+      ]
+    }).select('phone email').lean();
+
+    const existingPhones = new Set(existing.map(l => l.phone));
+    const existingEmails = new Set(existing.map(l => l.email));
+
+    return batch.filter(({ line, lead }) => {
+      const field = existingEmails.has(lead.email) ? 'email'
+        : existingPhones.has(lead.phone) ? 'phone'
+          : null;
+      if (field) {
+        report.duplicates.push({ line, field, value: lead[field], source: 'database' });
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Unordered bulk insert: one bad row doesn't stop the rest. Rows that
+   * still collide (inserted concurrently since dropExisting) are reported
+   * as database duplicates.
+   *
+   * @returns {number} rows inserted
+   */
+  async insertBatch(batch, report) {
+    try {
+      const result = await Lead.insertMany(batch.map(c => c.lead), { ordered: false, rawResult: true });
+      return result.insertedCount;
+    } catch (error) {
+      const writeErrors = error.writeErrors || [];
+      if (writeErrors.length === 0) {
+        throw error;
+      }
+
+      for (const writeError of writeErrors) {
+        // Mongoose re-indexes write errors; the driver's details live on .err
+        const details = writeError.err || writeError;
+        const { line, lead } = batch[writeError.index];
+
+        if (details.code === 11000) {
+          const field = details.keyValue?.email !== undefined ? 'email' : 'phone';
+          report.duplicates.push({ line, field, value: lead[field], source: 'database' });
+        } else {
+          report.errors.push({ line, field: '', value: '', message: details.errmsg || 'insert failed' });
+        }
+      }
+
+      return error.result?.insertedCount ?? (batch.length - writeErrors.length);
+    }
+  }
+}
+
+export default new LeadImportService();
@@ -0,0 +1,77 @@
+import { EventEmitter } from 'events';
+
+// Recent events kept for clients reconnecting with Last-Event-ID
+const REPLAY_BUFFER_SIZE = parseInt(process.env.LIVE_EVENTS_BUFFER) || 500;
+
+/**
+ * Live Events Service
+ *
+ * In-process publish/subscribe for the real-time stream. Publishers are
+ * the call worker, webhook call events, conversationService and manual
+ * lead updates. Events are only seen by clients connected to the same
+ * process.
+ *
+ * Event shape: { id, type, leadId, campaignId, timestamp, data }
+ */
+class LiveEventsService extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per connected stream
+    this.setMaxListeners(0);
+    this.sequence = 0;
+    this.buffer = [];
+  }
+
+  publish(type, { leadId = null, campaignId = null, ...data } = {}) {
+    const event = {
+      id: ++this.sequence,
+      type,
+      leadId: leadId ? leadId.toString() : null,
+      campaignId: campaignId ? campaignId.toString() : null,
+      timestamp: new Date().toISOString(),
+      data
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > REPLAY_BUFFER_SIZE) {
+      this.buffer.shift();
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * @param {Object} filter - { leadId, campaignId }; unset fields match all
+   * @param {Function} handler - called with each matching event
+   * @returns {Function} unsubscribe
+   */
+  subscribe(filter, handler) {
+    const listener = (event) => {
+      if (this.matches(filter, event)) {
+        handler(event);
+      }
+    };
+    this.on('event', listener);
+    return () => this.off('event', listener);
+  }
+
+  /**
+   * Buffered events after lastEventId that match the filter.
+   */
+  replaySince(lastEventId, filter) {
+    const after = Number(lastEventId);
+    if (!Number.isInteger(after) || after >= this.sequence) {
+      return [];
+    }
+    return this.buffer.filter(event => event.id > after && this.matches(filter, event));
+  }
+
+  matches(filter, event) {
+    if (filter.leadId && event.leadId !== filter.leadId) return false;
+    if (filter.campaignId && event.campaignId !== filter.campaignId) return false;
+    return true;
+  }
+}
+
+export default new LiveEventsService();
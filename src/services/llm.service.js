@@ -1,41 +1,193 @@
-import { ChatGroq } from '@langchain/groq';
+import { getLLMProvider } from './llm/index.js';
+import { INTENTS, MAX_SCORE_DELTA, TURN_JSON_SCHEMA, parseTurn } from './llm/turnSchema.js';
+import outputMetrics from './llm/outputMetrics.js';
+import { createFieldStreamer } from '../utils/jsonFieldStreamer.js';
 import { logger } from '../utils/logger.js';
 
+// Returned without calling the model when retrieval found nothing
+const NO_CONTEXT_RESULT = {
+  response: "I don't have that information in the knowledge base. Let me connect you with a counselor who can help you better.",
+  intent: 'handoff',
+  interest_score_delta: 0,
+  course_detected: '',
+  objection_detected: '',
+  handoff_required: true
+};
+
+// Returned when the model fails or its JSON doesn't validate
+const FALLBACK_RESULT = {
+  response: "I'm here to help you with admissions. Could you please rephrase your question?",
+  intent: 'general',
+  interest_score_delta: 0,
+  course_detected: '',
+  objection_detected: '',
+  handoff_required: false
+};
+
+// Extra calls that show the model its validation errors (0-2)
+const REPAIR_ATTEMPTS = Math.min(2, Math.max(0, parseInt(process.env.LLM_REPAIR_ATTEMPTS ?? 2) || 0));
+
+const repairPrompt = (errors) => `Your reply did not match the required JSON format:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply again with only the corrected JSON object.`;
+
 class LLMService {
-  constructor() {
-    this.model = null;
+  // Configured through LLM_PROVIDER and related variables, see llm/index.js
+  getProvider() {
+    return getLLMProvider();
   }
 
-  getModel() {
-    if (!this.model) {
-      if (!process.env.GROQ_API_KEY) {
-        throw new Error('GROQ_API_KEY environment variable is not set');
+  /**
+   * @param {Array} conversationHistory - transcript entries ({ role, text })
+   * @param {string} retrievedContext - knowledge base context from
+   *   ragService.formatContext; empty means nothing relevant was found
+   * @param {Object} [settings] - campaign assistant settings
+   * @param {string} [settings.institutionName] - institution the assistant represents
+   * @param {string} [settings.promptInstructions] - extra campaign guidance
+   * @param {Object} [options]
+   * @param {string} [options.summary] - summary of turns left out of
+   *   conversationHistory
+   */
+  async generateAIResponse(conversationHistory, retrievedContext, settings = {}, options = {}) {
+    let provider = null;
+    try {
+      // If no context retrieved, force safe fallback
+      if (this.hasNoContext(retrievedContext)) {
+        return { ...NO_CONTEXT_RESULT };
       }
-      this.model = new ChatGroq({
-        apiKey: process.env.GROQ_API_KEY,
-        model: 'llama-3.3-70b-versatile',
-        temperature: 0.2 // Lower temperature for more deterministic, grounded responses
-      });
+
+      provider = this.getProvider();
+      const messages = this.buildMessages(conversationHistory, retrievedContext, settings, options.summary);
+      const content = await provider.invoke(messages, { schema: TURN_JSON_SCHEMA });
+      return await this.validateReply(provider, messages, content);
+    } catch (error) {
+      logger.error(`LLM Service Error: ${error.message}`);
+      outputMetrics.recordOutcome(provider?.name || 'unknown', 'error');
+      return { ...FALLBACK_RESULT };
     }
-    return this.model;
   }
 
-  async generateAIResponse(conversationHistory, retrievedContext) {
+  /**
+   * Streaming variant of generateAIResponse. The "response" text is passed
+   * to onToken as the model writes it; the resolved result is validated
+   * and repaired exactly like generateAIResponse, so it can differ from
+   * the streamed text when the first reply was invalid.
+   *
+   * @param {Object} [options] - as generateAIResponse, plus
+   * @param {Function} [options.onToken] - called with each new piece of
+   *   response text
+   */
+  async streamAIResponse(conversationHistory, retrievedContext, settings = {}, options = {}) {
+    const onToken = options.onToken || (() => {});
+    let provider = null;
     try {
-      // If no context retrieved, force safe fallback
-      if (retrievedContext.includes('No relevant information found') || 
-          retrievedContext.includes('Unable to retrieve context')) {
-        return {
-          response: "I don't have that information in the knowledge base. Let me connect you with a counselor who can help you better.",
-          intent: 'handoff',
-          interest_score_delta: 0,
-          course_detected: '',
-          objection_detected: '',
-          handoff_required: true
-        };
+      if (this.hasNoContext(retrievedContext)) {
+        onToken(NO_CONTEXT_RESULT.response);
+        return { ...NO_CONTEXT_RESULT };
+      }
+
+      provider = this.getProvider();
+      const messages = this.buildMessages(conversationHistory, retrievedContext, settings, options.summary);
+      const responseField = createFieldStreamer('response');
+      let content = '';
+
+      for await (const piece of provider.stream(messages, { schema: TURN_JSON_SCHEMA })) {
+        content += piece;
+
+        const text = responseField.push(piece);
+        if (text) onToken(text);
       }
 
-      const systemPrompt = `You are an AI admission counselor for BML Munjal University. Your goal is to help prospective students learn about courses and guide them through the admission process.
+      return await this.validateReply(provider, messages, content);
+    } catch (error) {
+      logger.error(`LLM Service Error: ${error.message}`);
+      outputMetrics.recordOutcome(provider?.name || 'unknown', 'error');
+      return { ...FALLBACK_RESULT };
+    }
+  }
+
+  /**
+   * Validates the reply against the turn schema. An invalid reply is sent
+   * back with its errors up to REPAIR_ATTEMPTS times; if it still fails,
+   * the reply text is kept when usable, otherwise the fallback is used.
+   */
+  async validateReply(provider, messages, content) {
+    let reply = content;
+    let result = parseTurn(reply);
+    let repairs = 0;
+
+    while (result.errors.length > 0) {
+      outputMetrics.recordParseFailure(provider.name, result.errorKind);
+      if (repairs === REPAIR_ATTEMPTS) break;
+
+      repairs++;
+      outputMetrics.recordRepairAttempt();
+      logger.warn(`LLM reply failed validation (${result.errors.join('; ')}), repair attempt ${repairs}/${REPAIR_ATTEMPTS}`);
+
+      reply = await provider.invoke([
+        ...messages,
+        { role: 'assistant', content: reply },
+        { role: 'user', content: repairPrompt(result.errors) }
+      ], { schema: TURN_JSON_SCHEMA });
+      result = parseTurn(reply);
+    }
+
+    if (result.errors.length === 0) {
+      outputMetrics.recordOutcome(provider.name, repairs === 0 ? 'valid' : 'repaired');
+      return result.value;
+    }
+
+    const salvaged = this.salvage(result.value);
+    if (salvaged) {
+      logger.warn(`LLM reply still invalid after ${repairs} repair(s), keeping its response text: ${result.errors.join('; ')}`);
+      outputMetrics.recordOutcome(provider.name, 'salvaged');
+      return salvaged;
+    }
+
+    logger.warn(`LLM reply unusable after ${repairs} repair(s), using fallback: ${result.errors.join('; ')}`);
+    outputMetrics.recordOutcome(provider.name, 'fallback');
+    return { ...FALLBACK_RESULT };
+  }
+
+  /**
+   * Keeps a usable response text and replaces every invalid field with a
+   * neutral default. Returns null when there is no response text.
+   */
+  salvage(value) {
+    if (!value || typeof value.response !== 'string' || !value.response.trim()) {
+      return null;
+    }
+
+    const delta = Number(value.interest_score_delta);
+    return {
+      response: value.response,
+      intent: INTENTS.includes(value.intent) ? value.intent : 'general',
+      interest_score_delta: Number.isFinite(delta)
+        ? Math.max(-MAX_SCORE_DELTA, Math.min(MAX_SCORE_DELTA, Math.round(delta)))
+        : 0,
+      course_detected: typeof value.course_detected === 'string' ? value.course_detected : '',
+      objection_detected: typeof value.objection_detected === 'string' ? value.objection_detected : '',
+      handoff_required: typeof value.handoff_required === 'boolean' ? value.handoff_required : false
+    };
+  }
+
+  getMetrics() {
+    return outputMetrics.snapshot();
+  }
+
+  // Empty when retrieval failed or no chunk passed the relevance cutoff
+  hasNoContext(retrievedContext) {
+    return !retrievedContext || !retrievedContext.trim();
+  }
+
+  buildMessages(conversationHistory, retrievedContext, settings = {}, summary = '') {
+    const institutionName = settings.institutionName || 'BML Munjal University';
+    const campaignInstructions = settings.promptInstructions
+      ? `\nCAMPAIGN INSTRUCTIONS:\n${settings.promptInstructions}\n`
+      : '';
+
+    const systemPrompt = `You are an AI admission counselor for ${institutionName}. Your goal is to help prospective students learn about courses and guide them through the admission process.
 
 CONTEXT FROM KNOWLEDGE BASE:
 ${retrievedContext}
@@ -54,11 +206,11 @@ ADDITIONAL INSTRUCTIONS:
 - Identify any objections or concerns they express
 - Determine if human handoff is needed (complex questions, pricing details not in context, etc.)
 - Suggest relevant courses only if they are mentioned in the context
-
+${campaignInstructions}
 IMPORTANT: You MUST respond with ONLY valid JSON in this exact format:
 {
   "response": "your conversational response to the student",
-  "intent": "information_seeking|course_inquiry|admission_process|pricing|objection|general",
+  "intent": "${INTENTS.join('|')}",
   "interest_score_delta": 0,
   "course_detected": "course name or empty string",
   "objection_detected": "objection text or empty string",
@@ -72,53 +224,16 @@ interest_score_delta should be:
 
 Do not include any text outside the JSON object.`;
 
-      const messages = [
-        { role: 'system', content: systemPrompt },
-        ...conversationHistory.map(msg => ({
-          role: msg.role === 'assistant' ? 'assistant' : 'user',
-          content: msg.text
-        }))
-      ];
-
-      const response = await this.getModel().invoke(messages);
-      const content = response.content.trim();
-      
-      // Extract JSON from response
-      let jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('No JSON found in LLM response');
-      }
-
-      const parsed = JSON.parse(jsonMatch[0]);
-      
-      // Comprehensive validation of all required fields
-      const isValid = 
-        parsed.response && typeof parsed.response === 'string' &&
-        parsed.intent && typeof parsed.intent === 'string' &&
-        typeof parsed.interest_score_delta === 'number' &&
-        typeof parsed.course_detected === 'string' &&
-        typeof parsed.objection_detected === 'string' &&
-        typeof parsed.handoff_required === 'boolean';
-
-      if (!isValid) {
-        logger.warn('LLM returned incomplete JSON structure, using fallback');
-        throw new Error('Invalid JSON structure from LLM');
-      }
-
-      return parsed;
-    } catch (error) {
-      logger.error(`LLM Service Error: ${error.message}`);
-      
-      // Fallback response
-      return {
-        response: "I'm here to help you with admissions. Could you please rephrase your question?",
-        intent: 'general',
-        interest_score_delta: 0,
-        course_detected: '',
-        objection_detected: '',
-        handoff_required: false
-      };
-    }
+    return [
+      { role: 'system', content: systemPrompt },
+      ...(summary
+        ? [{ role: 'system', content: `SUMMARY OF THE EARLIER CONVERSATION (older turns not shown):\n${summary}` }]
+        : []),
+      ...conversationHistory.map(msg => ({
+        role: msg.role === 'assistant' ? 'assistant' : 'user',
+        content: msg.text
+      }))
+    ];
   }
 }
 
@@ -0,0 +1,83 @@
+import fs from 'fs';
+
+// Valid assistant turn returned when no script is configured
+const DEFAULT_REPLY = {
+  response: 'This is a scripted reply from the fake LLM provider.',
+  intent: 'general',
+  interest_score_delta: 0,
+  course_detected: '',
+  objection_detected: '',
+  handoff_required: false
+};
+
+// Calls kept in this.calls; older ones are dropped so a long-running
+// server using the fake provider doesn't grow without bound
+const MAX_RECORDED_CALLS = 50;
+
+/**
+ * Deterministic scripted provider for development and tests; no network.
+ *
+ * Replies come from config.script, or the JSON array in the file named by
+ * LLM_FAKE_SCRIPT, in order; the last one repeats once the script runs
+ * out. Each entry is a string (returned as-is), { "error": "message" }
+ * (the call fails) or any other object (returned as JSON). The messages
+ * of the last config.maxRecordedCalls calls (default 50) are kept in
+ * this.calls; reset() clears them and restarts the script.
+ */
+class FakeProvider {
+  constructor(config = {}) {
+    this.name = 'fake';
+    this.model = config.model || 'scripted';
+    this.script = config.script || this.loadScript(process.env.LLM_FAKE_SCRIPT);
+    this.maxRecordedCalls = config.maxRecordedCalls ?? MAX_RECORDED_CALLS;
+    this.reset();
+  }
+
+  reset() {
+    this.position = 0;
+    this.calls = [];
+  }
+
+  loadScript(file) {
+    if (!file) return [DEFAULT_REPLY];
+
+    const script = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(script) || script.length === 0) {
+      throw new Error(`LLM_FAKE_SCRIPT must be a non-empty JSON array: ${file}`);
+    }
+    return script;
+  }
+
+  next(messages) {
+    this.calls.push(messages);
+    if (this.calls.length > this.maxRecordedCalls) {
+      this.calls.splice(0, this.calls.length - this.maxRecordedCalls);
+    }
+    const entry = this.script[Math.min(this.position, this.script.length - 1)];
+    this.position++;
+
+    if (entry && typeof entry === 'object' && entry.error) {
+      throw new Error(entry.error);
+    }
+    return typeof entry === 'string' ? entry : JSON.stringify(entry);
+  }
+
+  // Health checks don't use up script entries
+  async ping() {
+    return true;
+  }
+
+  async invoke(messages) {
+    return this.next(messages);
+  }
+
+  // Streams the reply a few characters at a time, like a real model
+  async *stream(messages) {
+    const content = this.next(messages);
+    for (let i = 0; i < content.length; i += 8) {
+      yield content.substring(i, i + 8);
+    }
+  }
+}
+
+export default FakeProvider;
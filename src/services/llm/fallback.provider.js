@@ -0,0 +1,46 @@
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Sends each call to the primary provider and retries it on the fallback
+ * when the primary throws. A stream only switches over if the primary
+ * failed before producing any text; text already sent can't be replaced.
+ */
+class FallbackProvider {
+  constructor(primary, fallback) {
+    this.primary = primary;
+    this.fallback = fallback;
+    this.name = primary.name;
+    this.model = primary.model;
+  }
+
+  async invoke(messages, options) {
+    try {
+      return await this.primary.invoke(messages, options);
+    } catch (error) {
+      this.logSwitch(error);
+      return this.fallback.invoke(messages, options);
+    }
+  }
+
+  async *stream(messages, options) {
+    let started = false;
+    try {
+      for await (const text of this.primary.stream(messages, options)) {
+        started = true;
+        yield text;
+      }
+      return;
+    } catch (error) {
+      if (started) throw error;
+      this.logSwitch(error);
+    }
+
+    yield* this.fallback.stream(messages, options);
+  }
+
+  logSwitch(error) {
+    logger.warn(`LLM ${this.primary.name}/${this.primary.model} failed (${error.message}), using ${this.fallback.name}/${this.fallback.model}`);
+  }
+}
+
+export default FallbackProvider;
@@ -0,0 +1,34 @@
+import { ChatGroq } from '@langchain/groq';
+import LangChainProvider from './langchain.provider.js';
+
+const DEFAULT_MODEL = 'llama-3.3-70b-versatile';
+
+/**
+ * Groq chat completions
+ *
+ * Uses the provider's apiKey, or GROQ_API_KEY.
+ */
+class GroqProvider extends LangChainProvider {
+  constructor(config = {}) {
+    super();
+    const apiKey = config.apiKey || process.env.GROQ_API_KEY;
+    if (!apiKey) {
+      throw new Error('GROQ_API_KEY environment variable is not set');
+    }
+
+    this.name = 'groq';
+    this.outputMode = config.outputMode || 'json';
+    this.streamJson = config.streamJson === true;
+    this.model = config.model || DEFAULT_MODEL;
+    this.chat = new ChatGroq({
+      apiKey,
+      model: this.model,
+      temperature: config.temperature,
+      timeout: config.timeoutMs,
+      maxRetries: config.maxRetries,
+      baseUrl: config.baseUrl || undefined
+    });
+  }
+}
+
+export default GroqProvider;
@@ -0,0 +1,126 @@
+import GroqProvider from './groq.provider.js';
+import OpenAICompatibleProvider from './openaiCompatible.provider.js';
+import FakeProvider from './fake.provider.js';
+import FallbackProvider from './fallback.provider.js';
+
+/**
+ * LLM provider registry
+ *
+ * Every provider has name and model and implements:
+ * - invoke(messages, options) → full reply text
+ * - stream(messages, options) → async iterable of reply text pieces
+ * where messages are [{ role: 'system' | 'user' | 'assistant', content }]
+ * and options.schema, when set, is the JSON schema the reply must follow.
+ * An optional ping() replaces the test request sent by health checks.
+ *
+ * Configured from the environment:
+ *   LLM_PROVIDER      groq | openai | fake (default: groq)
+ *   LLM_MODEL         model name (groq default: llama-3.3-70b-versatile)
+ *   LLM_TEMPERATURE   default 0.2
+ *   LLM_TIMEOUT_MS    per request, default 30000
+ *   LLM_MAX_RETRIES   retries of a failed request, default 2
+ *   LLM_OUTPUT_MODE   json | tool | prompt, how structured replies are
+ *                     requested (default json, see langchain.provider.js)
+ *   LLM_STREAM_JSON   true to use JSON mode for streamed replies too
+ *                     (only if the model supports it; default false)
+ *   LLM_BASE_URL      API base URL (required for openai)
+ *   LLM_API_KEY       API key (groq falls back to GROQ_API_KEY)
+ * Setting LLM_FALLBACK_PROVIDER adds a secondary provider used when the
+ * primary errors, configured by the same variables with LLM_FALLBACK_.
+ */
+const PROVIDERS = {
+  groq: GroqProvider,
+  openai: OpenAICompatibleProvider,
+  fake: FakeProvider
+};
+
+const OUTPUT_MODES = ['json', 'tool', 'prompt'];
+
+const DEFAULT_TEMPERATURE = 0.2;
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 2;
+
+const readConfig = (prefix) => {
+  const temperature = parseFloat(process.env[`${prefix}_TEMPERATURE`]);
+  const maxRetries = parseInt(process.env[`${prefix}_MAX_RETRIES`]);
+  return {
+    provider: process.env[`${prefix}_PROVIDER`],
+    model: process.env[`${prefix}_MODEL`],
+    temperature: Number.isNaN(temperature) ? DEFAULT_TEMPERATURE : temperature,
+    timeoutMs: parseInt(process.env[`${prefix}_TIMEOUT_MS`]) || DEFAULT_TIMEOUT_MS,
+    maxRetries: Number.isNaN(maxRetries) ? DEFAULT_MAX_RETRIES : maxRetries,
+    baseUrl: process.env[`${prefix}_BASE_URL`],
+    apiKey: process.env[`${prefix}_API_KEY`],
+    outputMode: process.env[`${prefix}_OUTPUT_MODE`],
+    streamJson: process.env[`${prefix}_STREAM_JSON`] === 'true'
+  };
+};
+
+export const createLLMProvider = (name, config = {}) => {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider: ${name}. Use: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  if (config.outputMode && !OUTPUT_MODES.includes(config.outputMode)) {
+    throw new Error(`Unknown LLM output mode: ${config.outputMode}. Use: ${OUTPUT_MODES.join(', ')}`);
+  }
+  return new Provider(config);
+};
+
+let provider = null;
+
+export const getLLMProvider = () => {
+  if (!provider) {
+    const config = readConfig('LLM');
+    const primary = createLLMProvider(config.provider || 'groq', config);
+
+    const fallbackConfig = readConfig('LLM_FALLBACK');
+    provider = fallbackConfig.provider
+      ? new FallbackProvider(primary, createLLMProvider(fallbackConfig.provider, fallbackConfig))
+      : primary;
+  }
+  return provider;
+};
+
+const ping = async (target, timeoutMs) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('Timeout')), timeoutMs);
+  });
+
+  try {
+    const request = target.ping
+      ? target.ping()
+      : target.invoke([{ role: 'user', content: 'ping' }]);
+    await Promise.race([request, timeout]);
+    return { status: 'connected', provider: target.name, model: target.model, message: `${target.name} is reachable` };
+  } catch (error) {
+    return { status: 'error', provider: target.name, model: target.model, message: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Pings the configured providers for /health/detailed.
+ *
+ * @returns {Promise<Object>} { llm } plus { llm_fallback } when a fallback
+ *   is configured; each { status, provider, model, message }
+ */
+export const checkLLMProviders = async (timeoutMs = 5000) => {
+  let active;
+  try {
+    active = getLLMProvider();
+  } catch (error) {
+    return { llm: { status: 'error', message: error.message } };
+  }
+
+  if (active instanceof FallbackProvider) {
+    const [llm, llmFallback] = await Promise.all([
+      ping(active.primary, timeoutMs),
+      ping(active.fallback, timeoutMs)
+    ]);
+    return { llm, llm_fallback: llmFallback };
+  }
+  return { llm: await ping(active, timeoutMs) };
+};
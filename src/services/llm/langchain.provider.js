@@ -0,0 +1,79 @@
+// Function the model is made to call in tool output mode
+const REPLY_TOOL = 'reply';
+
+/**
+ * Shared invoke/stream for providers backed by a LangChain chat model.
+ * Subclasses set this.name, this.model, this.chat, this.outputMode and
+ * this.streamJson.
+ *
+ * When a call passes options.schema, outputMode picks how the provider
+ * is asked for JSON:
+ *   json    native JSON mode (response_format json_object)
+ *   tool    forced call of a "reply" tool whose parameters are the schema
+ *   prompt  prompt instructions only
+ * Not every model accepts JSON mode while streaming, so stream() only
+ * uses it when streamJson is set; otherwise streamed replies rely on the
+ * prompt and the caller's validation and repair.
+ */
+class LangChainProvider {
+  async invoke(messages, { schema } = {}) {
+    if (schema && this.outputMode === 'tool') {
+      const response = await this.withReplyTool(schema).invoke(messages);
+      return this.toolArguments(response) ?? this.toText(response.content);
+    }
+
+    const response = await this.chat.invoke(messages, this.callOptions(schema));
+    return this.toText(response.content);
+  }
+
+  async *stream(messages, { schema } = {}) {
+    if (schema && this.outputMode === 'tool') {
+      // Tool arguments arrive as raw JSON text fragments
+      for await (const chunk of await this.withReplyTool(schema).stream(messages)) {
+        for (const call of chunk.tool_call_chunks || []) {
+          if (call.args) yield call.args;
+        }
+      }
+      return;
+    }
+
+    for await (const chunk of await this.chat.stream(messages, this.callOptions(schema, { streaming: true }))) {
+      const text = this.toText(chunk.content);
+      if (text) yield text;
+    }
+  }
+
+  callOptions(schema, { streaming = false } = {}) {
+    return schema && this.outputMode === 'json' && (!streaming || this.streamJson)
+      ? { response_format: { type: 'json_object' } }
+      : {};
+  }
+
+  withReplyTool(schema) {
+    return this.chat.bindTools(
+      [{
+        type: 'function',
+        function: { name: REPLY_TOOL, description: 'Send the reply to the student', parameters: schema }
+      }],
+      { tool_choice: { type: 'function', function: { name: REPLY_TOOL } } }
+    );
+  }
+
+  // Unparseable arguments end up in invalid_tool_calls as a raw string
+  toolArguments(response) {
+    const call = response.tool_calls?.[0];
+    if (call) return JSON.stringify(call.args);
+    return response.invalid_tool_calls?.[0]?.args ?? null;
+  }
+
+  // Content is a string, or an array of parts for multimodal models
+  toText(content) {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+      return content.map(part => (typeof part === 'string' ? part : part?.text || '')).join('');
+    }
+    return '';
+  }
+}
+
+export default LangChainProvider;
@@ -0,0 +1,37 @@
+import { ChatOpenAI } from '@langchain/openai';
+import LangChainProvider from './langchain.provider.js';
+
+/**
+ * Any OpenAI-compatible chat completions API: OpenAI itself, or a local
+ * server such as Ollama (http://localhost:11434/v1) or llama.cpp
+ * (http://localhost:8080/v1).
+ *
+ * Needs a model and a base URL. Local servers usually ignore the API
+ * key, so one is only sent when configured.
+ */
+class OpenAICompatibleProvider extends LangChainProvider {
+  constructor(config = {}) {
+    super();
+    if (!config.baseUrl) {
+      throw new Error('OpenAI-compatible provider needs a base URL (LLM_BASE_URL)');
+    }
+    if (!config.model) {
+      throw new Error('OpenAI-compatible provider needs a model (LLM_MODEL)');
+    }
+
+    this.name = 'openai';
+    this.outputMode = config.outputMode || 'json';
+    this.streamJson = config.streamJson === true;
+    this.model = config.model;
+    this.chat = new ChatOpenAI({
+      apiKey: config.apiKey || 'not-needed',
+      model: this.model,
+      temperature: config.temperature,
+      timeout: config.timeoutMs,
+      maxRetries: config.maxRetries,
+      configuration: { baseURL: config.baseUrl }
+    });
+  }
+}
+
+export default OpenAICompatibleProvider;
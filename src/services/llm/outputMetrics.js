@@ -0,0 +1,66 @@
+/**
+ * In-process counters for structured output from the model, reset on
+ * restart. Each turn ends as one of:
+ *   valid     first reply passed validation
+ *   repaired  a repair attempt produced a valid reply
+ *   salvaged  repairs failed but the reply text was usable; the other
+ *             fields were replaced with safe defaults
+ *   fallback  nothing usable; the generic fallback answer was sent
+ *   error     the provider call itself failed
+ * Every failed validation also counts under parseFailures by kind.
+ */
+class OutputMetrics {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.since = new Date();
+    this.turns = 0;
+    this.outcomes = { valid: 0, repaired: 0, salvaged: 0, fallback: 0, error: 0 };
+    this.parseFailures = { no_json: 0, invalid_json: 0, schema: 0 };
+    this.repairAttempts = 0;
+    this.byProvider = {};
+  }
+
+  providerCounts(provider) {
+    if (!this.byProvider[provider]) {
+      this.byProvider[provider] = { turns: 0, parseFailures: 0, fallback: 0 };
+    }
+    return this.byProvider[provider];
+  }
+
+  recordParseFailure(provider, kind) {
+    this.parseFailures[kind] = (this.parseFailures[kind] || 0) + 1;
+    this.providerCounts(provider).parseFailures++;
+  }
+
+  recordRepairAttempt() {
+    this.repairAttempts++;
+  }
+
+  recordOutcome(provider, outcome) {
+    this.turns++;
+    this.outcomes[outcome]++;
+
+    const counts = this.providerCounts(provider);
+    counts.turns++;
+    if (outcome === 'fallback' || outcome === 'error') {
+      counts.fallback++;
+    }
+  }
+
+  snapshot() {
+    return {
+      since: this.since,
+      turns: this.turns,
+      outcomes: { ...this.outcomes },
+      parseFailures: { ...this.parseFailures },
+      repairAttempts: this.repairAttempts,
+      firstTryValidRate: this.turns ? this.outcomes.valid / this.turns : null,
+      byProvider: JSON.parse(JSON.stringify(this.byProvider))
+    };
+  }
+}
+
+export default new OutputMetrics();
@@ -0,0 +1,150 @@
+/**
+ * Contract for one assistant turn returned by the model.
+ *
+ * TURN_JSON_SCHEMA is sent to providers that support schema-constrained
+ * output (tool calling); parseTurn checks every reply against the same
+ * rules regardless of provider.
+ */
+
+export const INTENTS = [
+  'information_seeking',
+  'course_inquiry',
+  'admission_process',
+  'pricing',
+  'objection',
+  'general'
+];
+
+// interest_score_delta is an integer in [-MAX_SCORE_DELTA, MAX_SCORE_DELTA]
+export const MAX_SCORE_DELTA = 3;
+
+export const TURN_JSON_SCHEMA = {
+  type: 'object',
+  properties: {
+    response: { type: 'string', minLength: 1, description: 'Conversational reply to the student' },
+    intent: { type: 'string', enum: INTENTS },
+    interest_score_delta: { type: 'integer', minimum: -MAX_SCORE_DELTA, maximum: MAX_SCORE_DELTA },
+    course_detected: { type: 'string', description: 'Course name or empty string' },
+    objection_detected: { type: 'string', description: 'Objection text or empty string' },
+    handoff_required: { type: 'boolean' }
+  },
+  required: ['response', 'intent', 'interest_score_delta', 'course_detected', 'objection_detected', 'handoff_required'],
+  additionalProperties: false
+};
+
+/**
+ * Finds the JSON object in a reply: the whole reply, a ```json fence, or
+ * the first balanced {...} that parses. Stray braces in surrounding text
+ * don't break it.
+ *
+ * @returns {{ value?: Object, error?: { kind: 'no_json' | 'invalid_json', message: string } }}
+ */
+export const extractJson = (content = '') => {
+  const text = content.trim();
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+
+  let lastError = null;
+  for (const candidate of [text, fenced?.[1]?.trim(), ...balancedObjects(text)]) {
+    if (!candidate || !candidate.startsWith('{')) continue;
+    try {
+      const value = JSON.parse(candidate);
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return { value };
+      }
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  return lastError
+    ? { error: { kind: 'invalid_json', message: `Reply is not valid JSON: ${lastError.message}` } }
+    : { error: { kind: 'no_json', message: 'Reply contains no JSON object' } };
+};
+
+// Top-level {...} spans, skipping braces inside strings
+const balancedObjects = (text) => {
+  const spans = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"' && depth > 0) {
+      inString = true;
+    } else if (char === '{') {
+      if (depth === 0) start = i;
+      depth++;
+    } else if (char === '}' && depth > 0) {
+      depth--;
+      if (depth === 0) spans.push(text.substring(start, i + 1));
+    }
+  }
+  return spans;
+};
+
+/**
+ * @returns {string[]} one message per rule the value breaks
+ */
+export const validateTurn = (value) => {
+  const errors = [];
+  const { properties } = TURN_JSON_SCHEMA;
+
+  for (const field of TURN_JSON_SCHEMA.required) {
+    if (value[field] === undefined) {
+      errors.push(`"${field}" is required`);
+    }
+  }
+
+  if (value.response !== undefined && (typeof value.response !== 'string' || !value.response.trim())) {
+    errors.push('"response" must be a non-empty string');
+  }
+  if (value.intent !== undefined && !properties.intent.enum.includes(value.intent)) {
+    errors.push(`"intent" must be one of: ${INTENTS.join(', ')} (got ${JSON.stringify(value.intent)})`);
+  }
+  if (value.interest_score_delta !== undefined &&
+    (!Number.isInteger(value.interest_score_delta) || Math.abs(value.interest_score_delta) > MAX_SCORE_DELTA)) {
+    errors.push(`"interest_score_delta" must be an integer from -${MAX_SCORE_DELTA} to ${MAX_SCORE_DELTA} (got ${JSON.stringify(value.interest_score_delta)})`);
+  }
+  for (const field of ['course_detected', 'objection_detected']) {
+    if (value[field] !== undefined && typeof value[field] !== 'string') {
+      errors.push(`"${field}" must be a string`);
+    }
+  }
+  if (value.handoff_required !== undefined && typeof value.handoff_required !== 'boolean') {
+    errors.push('"handoff_required" must be true or false');
+  }
+
+  return errors;
+};
+
+/**
+ * Parses and validates a reply. Unknown fields are dropped.
+ *
+ * @returns {{ value: Object|null, errorKind: string|null, errors: string[] }}
+ *   errorKind is 'no_json', 'invalid_json' or 'schema' when errors is
+ *   non-empty
+ */
+export const parseTurn = (content) => {
+  const extracted = extractJson(content);
+  if (extracted.error) {
+    return { value: null, errorKind: extracted.error.kind, errors: [extracted.error.message] };
+  }
+
+  const errors = validateTurn(extracted.value);
+  if (errors.length > 0) {
+    return { value: extracted.value, errorKind: 'schema', errors };
+  }
+
+  const value = Object.fromEntries(
+    TURN_JSON_SCHEMA.required.map(field => [field, extracted.value[field]])
+  );
+  return { value, errorKind: null, errors: [] };
+};
@@ -0,0 +1,341 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import mongoose from 'mongoose';
+import Lead from '../models/Lead.js';
+import WebhookSubscription, { OUTBOUND_EVENTS } from '../models/WebhookSubscription.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { AppError } from '../utils/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+// Attempts before a delivery goes to the dead-letter log
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS) || 6;
+const TIMEOUT_MS = parseInt(process.env.OUTBOUND_WEBHOOK_TIMEOUT_MS) || 10000;
+
+// Retry n waits BASE_DELAY_MS * 2^(n-1), capped at MAX_DELAY_MS
+const BASE_DELAY_MS = 60 * 1000;
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+
+// A claimed delivery is hidden from other workers this long
+const CLAIM_MS = 2 * 60 * 1000;
+
+// Deliveries attempted per worker run
+const BATCH_SIZE = 20;
+
+const EDITABLE_FIELDS = ['url', 'events', 'description', 'active'];
+
+/**
+ * Outbound Webhook Service
+ *
+ * Sends lead events to subscribed CRM endpoints. Each delivery is
+ * stored, attempted right away, retried with exponential backoff by the
+ * webhook delivery worker, and kept as 'dead' once retries run out.
+ *
+ * Requests are POSTed as JSON with:
+ *   X-Webhook-Id         event id (same for every subscription)
+ *   X-Webhook-Event      event type
+ *   X-Webhook-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256(secret, `${t}.${body}`)>
+ */
+class OutboundWebhookService {
+  /**
+   * Queues the event for every active subscription and attempts each
+   * delivery in the background. Never throws; a CRM problem must not
+   * break the call or conversation that raised the event.
+   */
+  async emit(event, data) {
+    try {
+      const subscriptions = await WebhookSubscription.find({ active: true, events: event }).select('_id').lean();
+      if (subscriptions.length === 0) {
+        return [];
+      }
+
+      const eventId = `evt_${crypto.randomUUID()}`;
+      const payload = { id: eventId, type: event, createdAt: new Date().toISOString(), data };
+
+      const deliveries = await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+        subscriptionId: subscription._id,
+        eventId,
+        event,
+        payload
+      })));
+
+      for (const delivery of deliveries) {
+        this.claim({ _id: delivery._id })
+          .then(claimed => claimed && this.deliver(claimed))
+          .catch(error => logger.error(`Webhook delivery ${delivery._id} failed: ${error.message}`));
+      }
+
+      logger.info(`Outbound webhook ${event} queued for ${deliveries.length} subscription(s)`);
+      return deliveries;
+    } catch (error) {
+      logger.error(`Could not queue outbound webhook ${event}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Emits a lead event with the lead's current fields as data.lead.
+   */
+  async emitLeadEvent(event, leadId, extra = {}) {
+    try {
+      const lead = await Lead.findById(leadId)
+        .select('campaignId name phone email status attempts interest_score course_interest summary assigned_to tags')
+        .lean();
+      if (!lead) return [];
+
+      return this.emit(event, { lead: this.leadSummary(lead), ...extra });
+    } catch (error) {
+      logger.error(`Could not emit ${event} for lead ${leadId}: ${error.message}`);
+      return [];
+    }
+  }
+
+  leadSummary(lead) {
+    return {
+      id: lead._id.toString(),
+      campaignId: lead.campaignId ? lead.campaignId.toString() : null,
+      name: lead.name,
+      phone: lead.phone,
+      email: lead.email,
+      status: lead.status,
+      attempts: lead.attempts,
+      interest_score: lead.interest_score,
+      course_interest: lead.course_interest,
+      summary: lead.summary,
+      assigned_to: lead.assigned_to || null,
+      tags: lead.tags || []
+    };
+  }
+
+  /**
+   * Atomically takes a due delivery so only one process sends it.
+   */
+  async claim(filter, now = new Date()) {
+    return WebhookDelivery.findOneAndUpdate(
+      { ...filter, status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_MS) } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  // Attempts due deliveries; run by the webhook delivery worker
+  async processDue() {
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      const delivery = await this.claim({});
+      if (!delivery) break;
+      await this.deliver(delivery);
+    }
+  }
+
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  async deliver(delivery) {
+    const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret').lean();
+    if (!subscription || !subscription.active) {
+      return this.recordAttempt(delivery, { error: 'subscription deleted or inactive' }, true);
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+
+    try {
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'admission-campaign-webhooks/1.0',
+          'X-Webhook-Id': delivery.eventId,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Signature': `t=${timestamp},v1=${this.sign(subscription.secret, timestamp, body)}`
+        },
+        timeout: TIMEOUT_MS,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+
+      const ok = response.status >= 200 && response.status < 300;
+      return this.recordAttempt(delivery, {
+        statusCode: response.status,
+        error: ok ? '' : `HTTP ${response.status}`,
+        durationMs: Date.now() - started
+      });
+    } catch (error) {
+      return this.recordAttempt(delivery, { error: error.message, durationMs: Date.now() - started });
+    }
+  }
+
+  /**
+   * Stores an attempt and moves the delivery to succeeded, back to
+   * pending with a backoff, or to dead.
+   */
+  async recordAttempt(delivery, result, giveUp = false) {
+    const now = new Date();
+    const attempts = delivery.attempts + 1;
+    const succeeded = !result.error;
+    const update = {
+      $set: { attempts, lastError: result.error || '' },
+      $push: { attemptLog: { at: now, statusCode: result.statusCode, error: result.error || '', durationMs: result.durationMs } }
+    };
+
+    if (succeeded) {
+      update.$set.status = 'succeeded';
+      update.$set.deliveredAt = now;
+    } else if (giveUp || attempts >= MAX_ATTEMPTS) {
+      update.$set.status = 'dead';
+      update.$set.deadAt = now;
+      logger.warn(`Webhook delivery ${delivery._id} (${delivery.event}) dead after ${attempts} attempt(s): ${result.error}`);
+    } else {
+      const delay = Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+      update.$set.nextAttemptAt = new Date(now.getTime() + delay);
+      logger.info(`Webhook delivery ${delivery._id} failed (${result.error}), retry ${attempts + 1} in ${Math.round(delay / 1000)}s`);
+    }
+
+    return WebhookDelivery.findByIdAndUpdate(delivery._id, update, { new: true });
+  }
+
+  /**
+   * @returns {Promise<{ subscription: Object, secret: string }>} the secret
+   *   is only available here
+   */
+  async createSubscription(data = {}, createdBy = null) {
+    const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+    const subscription = new WebhookSubscription({ ...this.pickEditable(data), secret, createdBy });
+    await this.save(subscription);
+
+    logger.info(`Webhook subscription created: ${subscription.url} (${subscription.events.join(', ')})`);
+    return { subscription: this.toPublic(subscription), secret };
+  }
+
+  async getSubscription(subscriptionId) {
+    if (!mongoose.Types.ObjectId.isValid(subscriptionId)) {
+      throw new AppError('Invalid subscription id', 400);
+    }
+
+    const subscription = await WebhookSubscription.findById(subscriptionId);
+    if (!subscription) {
+      throw new AppError('Webhook subscription not found', 404);
+    }
+    return subscription;
+  }
+
+  async listSubscriptions() {
+    const subscriptions = await WebhookSubscription.find().sort({ createdAt: -1 });
+    return subscriptions.map(subscription => this.toPublic(subscription));
+  }
+
+  async updateSubscription(subscriptionId, data = {}) {
+    const subscription = await this.getSubscription(subscriptionId);
+    subscription.set(this.pickEditable(data));
+    await this.save(subscription);
+    return this.toPublic(subscription);
+  }
+
+  // Pending deliveries to a deleted subscription go to the dead-letter log
+  async deleteSubscription(subscriptionId) {
+    const subscription = await this.getSubscription(subscriptionId);
+    await WebhookSubscription.deleteOne({ _id: subscription._id });
+    logger.info(`Webhook subscription deleted: ${subscription.url}`);
+  }
+
+  async save(subscription) {
+    try {
+      await subscription.save();
+    } catch (error) {
+      if (error.name === 'ValidationError' || error.name === 'CastError') {
+        throw new AppError(error.message, 400);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delivery history, newest first.
+   *
+   * @param {Object} params - subscriptionId, status, event, limit
+   */
+  async listDeliveries(params = {}) {
+    const filter = {};
+
+    if (params.subscriptionId) {
+      if (!mongoose.Types.ObjectId.isValid(params.subscriptionId)) {
+        throw new AppError('Invalid subscription id', 400);
+      }
+      filter.subscriptionId = params.subscriptionId;
+    }
+    if (params.status) {
+      if (!['pending', 'succeeded', 'dead'].includes(params.status)) {
+        throw new AppError(`Unknown delivery status: ${params.status}`, 400);
+      }
+      filter.status = params.status;
+    }
+    if (params.event) filter.event = params.event;
+
+    const limit = Math.min(parseInt(params.limit) || 50, 200);
+    return WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(limit);
+  }
+
+  async getDelivery(deliveryId) {
+    if (!mongoose.Types.ObjectId.isValid(deliveryId)) {
+      throw new AppError('Invalid delivery id', 400);
+    }
+
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery) {
+      throw new AppError('Webhook delivery not found', 404);
+    }
+    return delivery;
+  }
+
+  /**
+   * Requeues a dead delivery with a fresh set of attempts.
+   */
+  async retryDelivery(deliveryId) {
+    const delivery = await this.getDelivery(deliveryId);
+    if (delivery.status !== 'dead') {
+      throw new AppError(`Only dead deliveries can be retried; this one is ${delivery.status}`, 409);
+    }
+
+    const requeued = await WebhookDelivery.findOneAndUpdate(
+      { _id: delivery._id, status: 'dead' },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), deadAt: null } },
+      { new: true }
+    );
+    if (!requeued) {
+      throw new AppError('Delivery changed concurrently, reload and try again', 409);
+    }
+
+    const claimed = await this.claim({ _id: requeued._id });
+    return claimed ? this.deliver(claimed) : requeued;
+  }
+
+  pickEditable(data) {
+    const picked = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (data[field] !== undefined) {
+        picked[field] = data[field];
+      }
+    }
+    if (picked.events !== undefined) {
+      const unknown = [].concat(picked.events).find(event => !OUTBOUND_EVENTS.includes(event));
+      if (unknown) {
+        throw new AppError(`Unknown event: ${unknown}. Use: ${OUTBOUND_EVENTS.join(', ')}`, 400);
+      }
+    }
+    return picked;
+  }
+
+  toPublic(subscription) {
+    return {
+      id: subscription._id.toString(),
+      url: subscription.url,
+      events: subscription.events,
+      description: subscription.description,
+      active: subscription.active,
+      createdAt: subscription.createdAt,
+      updatedAt: subscription.updatedAt
+    };
+  }
+}
+
+export default new OutboundWebhookService();
@@ -0,0 +1,90 @@
+import { getLLMProvider } from './llm/index.js';
+import { extractJson } from './llm/turnSchema.js';
+import { logger } from '../utils/logger.js';
+
+// QUERY_REWRITE=false sends the raw message to retrieval
+const ENABLED = process.env.QUERY_REWRITE !== 'false';
+
+// Transcript entries shown to the rewriter
+const HISTORY_TURNS = parseInt(process.env.QUERY_REWRITE_HISTORY_TURNS) || 6;
+
+// Extra queries for messages that ask several things (0 turns them off)
+const MAX_SUB_QUERIES = Math.max(0, parseInt(process.env.QUERY_REWRITE_MAX_SUB_QUERIES ?? 2) || 0);
+
+const MAX_QUERY_LENGTH = 300;
+
+const REWRITE_SCHEMA = {
+  type: 'object',
+  properties: {
+    query: { type: 'string' },
+    sub_queries: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['query', 'sub_queries']
+};
+
+const SYSTEM_PROMPT = `You turn a student's latest message in a university admissions conversation into search queries for the admissions knowledge base.
+
+Write "query": one standalone search query that makes sense without the conversation. Replace pronouns and references like "that course" or "the fees for it" with what they refer to. Keep the student's meaning; do not answer the question.
+${MAX_SUB_QUERIES > 0
+    ? `If the message asks about several separate things, also write up to ${MAX_SUB_QUERIES} "sub_queries", one per thing. Otherwise leave "sub_queries" empty.`
+    : 'Always leave "sub_queries" empty.'}
+
+Respond with ONLY this JSON object:
+{ "query": "standalone search query", "sub_queries": [] }`;
+
+const cleanQuery = (value) => (typeof value === 'string' ? value.trim().substring(0, MAX_QUERY_LENGTH) : '');
+
+/**
+ * Query Rewrite Service
+ *
+ * Reformulates a follow-up message ("and what are the fees for that?")
+ * into a standalone retrieval query using the recent conversation.
+ */
+class QueryRewriteService {
+  /**
+   * @param {string} message - the student's latest message
+   * @param {Array} history - earlier transcript entries ({ role, text })
+   * @param {string} [summary] - rolling summary of the conversation
+   * @returns {Promise<{ query: string, subQueries: string[], rewritten: boolean }>}
+   *   query is the message itself when there is nothing to rewrite or
+   *   the rewrite fails
+   */
+  async rewrite(message, history = [], summary = '') {
+    const unchanged = { query: message, subQueries: [], rewritten: false };
+
+    // A first message has nothing to resolve against
+    if (!ENABLED || (history.length === 0 && !summary)) {
+      return unchanged;
+    }
+
+    try {
+      const recent = history.slice(-HISTORY_TURNS).map(turn => `${turn.role}: ${turn.text}`).join('\n');
+      const content = await getLLMProvider().invoke([
+        { role: 'system', content: SYSTEM_PROMPT },
+        {
+          role: 'user',
+          content: `${summary ? `CONVERSATION SUMMARY:\n${summary}\n\n` : ''}RECENT CONVERSATION:\n${recent}\n\nLATEST MESSAGE:\n${message}`
+        }
+      ], { schema: REWRITE_SCHEMA });
+
+      const { value, error } = extractJson(content);
+      const query = cleanQuery(value?.query);
+      if (error || !query) {
+        logger.warn(`Query rewrite unusable, searching with the raw message: ${error?.message || 'empty query'}`);
+        return unchanged;
+      }
+
+      const subQueries = [...new Set((Array.isArray(value.sub_queries) ? value.sub_queries : [])
+        .map(cleanQuery)
+        .filter(subQuery => subQuery && subQuery.toLowerCase() !== query.toLowerCase()))]
+        .slice(0, MAX_SUB_QUERIES);
+
+      return { query, subQueries, rewritten: query !== message || subQueries.length > 0 };
+    } catch (error) {
+      logger.error(`Query rewrite failed, searching with the raw message: ${error.message}`);
+      return unchanged;
+    }
+  }
+}
+
+export default new QueryRewriteService();
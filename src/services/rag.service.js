@@ -1,5 +1,25 @@
+import crypto from 'crypto';
 import { getChromaClient } from '../config/chroma.js';
+import { resolveRetrievalSettings } from '../config/retrieval.js';
 import { logger } from '../utils/logger.js';
+import { Bm25Index } from './retrieval/bm25.js';
+import { fuseRankings } from './retrieval/fusion.js';
+import { getReranker } from './retrieval/index.js';
+
+// Max age of a keyword index before it is rebuilt from the collection
+const LEXICAL_REFRESH_MS = parseInt(process.env.RAG_LEXICAL_REFRESH_MS) || 5 * 60 * 1000;
+
+// Records read per collection.get() when scanning a whole collection
+const PAGE_SIZE = 1000;
+
+const round = (score) => Number(score.toFixed(4));
+
+// Stable chunk id: re-ingesting unchanged text maps to the same record
+const chunkId = (source = '', text = '') => `chunk_${crypto
+  .createHash('sha256')
+  .update(`${source}\n${text}`)
+  .digest('hex')
+  .substring(0, 32)}`;
 
 /**
  * RAG Service using ChromaDB native embeddings
@@ -10,104 +30,361 @@ import { logger } from '../utils/logger.js';
  * - Same embedding function used for both ingestion and query
  * - No external embedding API required (OpenAI/Groq)
  * - Ensures dimension consistency automatically
+ *
+ * A BM25 keyword index of each collection is kept in memory alongside it
+ * for hybrid retrieval (see retrieve).
  */
 class RAGService {
   constructor() {
     this.collectionName = process.env.CHROMA_COLLECTION || 'bml_admissions';
     this.collection = null;
+    // Campaigns can use their own collections; cached by name
+    this.collections = new Map();
+    // Keyword (BM25) indexes per collection: { index: Promise, builtAt }
+    this.lexicalIndexes = new Map();
   }
 
-  async initializeCollection() {
+  async initializeCollection(collectionName = this.collectionName) {
     try {
       const client = getChromaClient();
       
       // Get or create collection with ChromaDB native embeddings
       try {
-        this.collection = await client.getOrCreateCollection({
-          name: this.collectionName,
+        const collection = await client.getOrCreateCollection({
+          name: collectionName,
           metadata: { 'hnsw:space': 'cosine' }
         });
-        logger.info(`ChromaDB collection '${this.collectionName}' initialized with native embeddings`);
+        this.collections.set(collectionName, collection);
+        if (collectionName === this.collectionName) {
+          this.collection = collection;
+        }
+        logger.info(`ChromaDB collection '${collectionName}' initialized with native embeddings`);
+        return collection;
       } catch (error) {
         logger.error(`Failed to initialize collection: ${error.message}`);
         throw error;
       }
-
-      return this.collection;
     } catch (error) {
       logger.error(`RAG Service Initialization Error: ${error.message}`);
       throw error;
     }
   }
 
-  async addDocuments(documents) {
+  async getCollection(collectionName = this.collectionName) {
+    return this.collections.get(collectionName) || this.initializeCollection(collectionName);
+  }
+
+  /**
+   * Stores chunks under ids derived from their source and text, so adding
+   * the same chunks again updates them in place instead of duplicating
+   * them. Identical chunks within one call are stored once.
+   *
+   * @returns {Promise<{ success: boolean, count: number, ids: string[] }>}
+   */
+  async addDocuments(documents, collectionName = this.collectionName) {
     try {
-      if (!this.collection) {
-        await this.initializeCollection();
-      }
+      const collection = await this.getCollection(collectionName);
 
-      const ids = documents.map((_, idx) => `doc_${Date.now()}_${idx}`);
-      const texts = documents.map(doc => doc.pageContent || doc.text);
-      const metadatas = documents.map(doc => doc.metadata || {});
+      const records = new Map();
+      for (const doc of documents) {
+        const text = doc.pageContent || doc.text;
+        const metadata = doc.metadata || {};
+        const id = chunkId(metadata.source, text);
+        if (!records.has(id)) {
+          records.set(id, { text, metadata });
+        }
+      }
 
-      await this.collection.add({
+      const ids = [...records.keys()];
+      await collection.upsert({
         ids,
-        documents: texts,
-        metadatas
+        documents: ids.map(id => records.get(id).text),
+        metadatas: ids.map(id => records.get(id).metadata)
       });
 
-      logger.info(`Added ${documents.length} documents to ChromaDB`);
-      return { success: true, count: documents.length };
+      this.lexicalIndexes.delete(collectionName);
+      logger.info(`Added ${ids.length} documents to ChromaDB collection '${collectionName}'`);
+      return { success: true, count: ids.length, ids };
     } catch (error) {
       logger.error(`Add Documents Error: ${error.message}`);
       throw error;
     }
   }
 
-  async retrieveContext(query, topK = 3, filter = {}) {
-    try {
-      if (!this.collection) {
-        await this.initializeCollection();
-      }
+  /**
+   * @returns {Promise<Array>} { id, metadata } of every chunk from the
+   *   source file
+   */
+  async getSourceChunks(source, collectionName = this.collectionName) {
+    const collection = await this.getCollection(collectionName);
+    const result = await collection.get({ where: { source }, include: ['metadatas'] });
 
-      const queryParams = {
-        queryTexts: [query],
-        nResults: topK
-      };
+    return result.ids.map((id, idx) => ({ id, metadata: result.metadatas?.[idx] || {} }));
+  }
 
-      if (Object.keys(filter).length > 0) {
-        queryParams.where = filter;
-      }
+  /**
+   * Sources in a collection with their chunk counts, most recently
+   * ingested first. Chunks stored before ingestedAt was recorded have
+   * ingestedAt null.
+   *
+   * @returns {Promise<Array>} { source, fileType, chunks, ingestedAt }
+   */
+  async listSources(collectionName = this.collectionName) {
+    const collection = await this.getCollection(collectionName);
+    const sources = new Map();
 
-      const results = await this.collection.query(queryParams);
-      
-      if (!results.documents || results.documents.length === 0) {
-        return 'No relevant information found in knowledge base.';
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const page = await collection.get({ include: ['metadatas'], limit: PAGE_SIZE, offset });
+
+      for (const metadata of page.metadatas || []) {
+        const name = metadata?.source || 'unknown';
+        const entry = sources.get(name) || { source: name, fileType: metadata?.fileType || null, chunks: 0, ingestedAt: null };
+        entry.chunks++;
+        if (metadata?.ingestedAt && (!entry.ingestedAt || metadata.ingestedAt > entry.ingestedAt)) {
+          entry.ingestedAt = metadata.ingestedAt;
+        }
+        sources.set(name, entry);
       }
+      if (page.ids.length < PAGE_SIZE) break;
+    }
+
+    return [...sources.values()].sort((a, b) =>
+      (b.ingestedAt || '').localeCompare(a.ingestedAt || '') || a.source.localeCompare(b.source));
+  }
+
+  async deleteChunks(ids, collectionName = this.collectionName) {
+    if (ids.length === 0) return 0;
+
+    const collection = await this.getCollection(collectionName);
+    await collection.delete({ ids });
+
+    this.lexicalIndexes.delete(collectionName);
+    logger.info(`Deleted ${ids.length} documents from ChromaDB collection '${collectionName}'`);
+    return ids.length;
+  }
+
+  /**
+   * Searches the knowledge base and keeps chunks scoring at least
+   * minRelevance.
+   *
+   * Per query: the vector and/or keyword (BM25) searches each fetch
+   * `candidates` chunks, the lists are fused by rank, and the optional
+   * reranker rescores the top `rerankCandidates`. A hit's score is the
+   * reranker's relevance when reranked, otherwise the better of its cosine
+   * similarity (1 - distance) and normalized BM25 score, all in [0, 1].
+   *
+   * @param {string|string[]} query - one query, or several (a rewritten
+   *   query and its sub-queries) whose results are merged
+   * @param {Object} [options] - retrieval settings overriding the server
+   *   defaults (see config/retrieval.js), plus
+   * @param {Object} [options.filter] - metadata filter; the keyword search
+   *   supports plain equality only
+   * @param {string} [options.collectionName]
+   * @returns {Promise<{ hits: Array, belowThreshold: number, settings: Object, error?: string }>}
+   *   hits are { id, text, source, chunkIndex, score, vectorScore?,
+   *   lexicalScore?, rerankScore? }, best first per query
+   */
+  async retrieve(query, options = {}) {
+    const { filter = {}, collectionName = this.collectionName, ...overrides } = options;
+    let settings = null;
+
+    try {
+      settings = resolveRetrievalSettings(overrides);
+      const queries = [].concat(query);
+
+      const [vectorLists, lexicalLists] = await Promise.all([
+        settings.mode === 'lexical' ? null : this.vectorSearch(queries, settings.candidates, filter, collectionName),
+        settings.mode === 'vector' ? null : this.lexicalSearch(queries, settings.candidates, filter, collectionName)
+      ]);
 
-      // Combine retrieved documents
-      const context = results.documents[0]
-        .map((doc, idx) => `[Source ${idx + 1}]: ${doc}`)
-        .join('\n\n');
+      const lists = await Promise.all(queries.map(async (text, idx) => {
+        const fused = fuseRankings([
+          { hits: vectorLists?.[idx] || [], weight: settings.vectorWeight },
+          { hits: lexicalLists?.[idx] || [], weight: settings.lexicalWeight }
+        ]).map(hit => ({ ...hit, score: Math.max(hit.vectorScore ?? 0, hit.lexicalScore ?? 0) }));
 
-      return context;
+        return this.rerank(text, fused, settings);
+      }));
+
+      const found = lists.flat();
+      const relevant = lists.map(hits => hits.filter(hit => hit.score >= settings.minRelevance));
+      const hits = this.mergeResults(relevant, settings.topK);
+
+      return { hits, belowThreshold: found.length - relevant.flat().length, settings };
     } catch (error) {
       logger.error(`Retrieve Context Error: ${error.message}`);
-      return 'Unable to retrieve context from knowledge base.';
+      return { hits: [], belowThreshold: 0, settings, error: error.message };
+    }
+  }
+
+  // One list of hits per query, most similar first
+  async vectorSearch(queries, limit, filter, collectionName) {
+    const collection = await this.getCollection(collectionName);
+
+    const queryParams = {
+      queryTexts: queries,
+      nResults: limit
+    };
+
+    if (Object.keys(filter).length > 0) {
+      queryParams.where = filter;
     }
+
+    const results = await collection.query(queryParams);
+
+    return (results.documents || []).map((docs, queryIdx) => docs
+      .map((text, rank) => {
+        const distance = results.distances?.[queryIdx]?.[rank];
+        return {
+          ...this.toHit(results.ids?.[queryIdx]?.[rank], text, results.metadatas?.[queryIdx]?.[rank]),
+          vectorScore: typeof distance === 'number' ? round(1 - distance) : 0
+        };
+      })
+      .filter(hit => hit.text != null));
   }
 
-  async getCollectionStats() {
+  async lexicalSearch(queries, limit, filter, collectionName) {
+    const index = await this.getLexicalIndex(collectionName);
+    const conditions = Object.entries(filter);
+
+    return queries.map(text => index
+      .search(text, conditions.length > 0 ? index.size : limit)
+      .filter(({ chunk }) => conditions.every(([key, value]) => chunk.metadata?.[key] === value))
+      .slice(0, limit)
+      .map(({ chunk, score }) => ({
+        ...this.toHit(chunk.id, chunk.text, chunk.metadata),
+        lexicalScore: round(score)
+      })));
+  }
+
+  toHit(id, text, metadata) {
+    return {
+      id,
+      text,
+      source: metadata?.source || 'unknown',
+      chunkIndex: metadata?.chunkIndex ?? null
+    };
+  }
+
+  /**
+   * Rescores the top fused hits and reorders them by relevance. A failing
+   * reranker is logged and the fused order kept, so retrieval still works.
+   */
+  async rerank(query, hits, settings) {
+    const reranker = getReranker(settings.reranker);
+    if (!reranker || hits.length === 0) return hits;
+
+    const candidates = hits.slice(0, settings.rerankCandidates);
     try {
-      if (!this.collection) {
-        await this.initializeCollection();
+      const scores = await reranker.rerank(query, candidates);
+      return candidates
+        .map((hit, idx) => ({ ...hit, rerankScore: round(scores[idx]), score: round(scores[idx]) }))
+        .sort((a, b) => b.rerankScore - a.rerankScore);
+    } catch (error) {
+      logger.warn(`Reranker ${reranker.name} failed, keeping fused order: ${error.message}`);
+      return hits;
+    }
+  }
+
+  /**
+   * BM25 index over every chunk of a collection, built on first use and
+   * rebuilt after documents are added here or RAG_LEXICAL_REFRESH_MS has
+   * passed (to pick up ingestion by other processes).
+   */
+  async getLexicalIndex(collectionName = this.collectionName) {
+    const cached = this.lexicalIndexes.get(collectionName);
+    if (cached && Date.now() - cached.builtAt < LEXICAL_REFRESH_MS) {
+      return cached.index;
+    }
+
+    const entry = {
+      builtAt: Date.now(),
+      index: this.buildLexicalIndex(collectionName)
+    };
+    this.lexicalIndexes.set(collectionName, entry);
+    // Don't cache a failed build
+    entry.index.catch(() => {
+      if (this.lexicalIndexes.get(collectionName) === entry) {
+        this.lexicalIndexes.delete(collectionName);
+      }
+    });
+    return entry.index;
+  }
+
+  async buildLexicalIndex(collectionName) {
+    const collection = await this.getCollection(collectionName);
+    const chunks = [];
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const page = await collection.get({
+        include: ['documents', 'metadatas'],
+        limit: PAGE_SIZE,
+        offset
+      });
+
+      page.ids.forEach((id, idx) => {
+        if (page.documents[idx] != null) {
+          chunks.push({ id, text: page.documents[idx], metadata: page.metadatas?.[idx] || {} });
+        }
+      });
+      if (page.ids.length < PAGE_SIZE) break;
+    }
+
+    logger.info(`BM25 index for '${collectionName}' built with ${chunks.length} chunks`);
+    return new Bm25Index(chunks);
+  }
+
+  /**
+   * Merges the per-query hit lists of a multi-query search: takes each
+   * query's next best chunk in turn, skipping chunks already taken, so
+   * every sub-query is represented. Keeps up to topK chunks per query, at
+   * most 2 * topK overall.
+   */
+  mergeResults(lists, topK) {
+    const limit = Math.min(topK * lists.length, topK * 2);
+    const merged = [];
+
+    for (let rank = 0; rank < topK && merged.length < limit; rank++) {
+      for (const hits of lists) {
+        const hit = hits[rank];
+        if (!hit) continue;
+
+        // Same text under two ids happens when a file is ingested twice
+        const taken = merged.find(other => other.text === hit.text);
+        if (taken) {
+          taken.score = Math.max(taken.score ?? -Infinity, hit.score ?? -Infinity);
+          continue;
+        }
+        merged.push(hit);
+        if (merged.length === limit) break;
       }
+    }
+    return merged;
+  }
+
+  // Prompt context: numbered chunks labelled with their source file
+  formatContext(hits) {
+    return hits
+      .map((hit, idx) => `[Source ${idx + 1}: ${hit.source}${hit.chunkIndex != null ? ` #${hit.chunkIndex}` : ''}]: ${hit.text}`)
+      .join('\n\n');
+  }
+
+  // Citations for responses and CallLogs, without the chunk text
+  toCitations(hits) {
+    return hits.map(({ source, chunkIndex, score, vectorScore, lexicalScore, rerankScore }) => ({
+      source, chunkIndex, score, vectorScore, lexicalScore, rerankScore
+    }));
+  }
+
+  async getCollectionStats(collectionName = this.collectionName) {
+    try {
+      const collection = await this.getCollection(collectionName);
 
-      const count = await this.collection.count();
-      return { collectionName: this.collectionName, documentCount: count };
+      const count = await collection.count();
+      return { collectionName, documentCount: count };
     } catch (error) {
       logger.error(`Get Stats Error: ${error.message}`);
-      return { collectionName: this.collectionName, documentCount: 0 };
+      return { collectionName, documentCount: 0 };
     }
   }
 }
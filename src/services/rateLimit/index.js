@@ -0,0 +1,30 @@
+import MemoryRateLimitStore from './memory.store.js';
+import MongoRateLimitStore from './mongo.store.js';
+
+/**
+ * Rate limit store registry
+ *
+ * Every store implements fixed-window counters:
+ * - increment(key, windowMs) → { count, resetAt }  (count after this hit)
+ * - get(key, windowMs)       → { count, resetAt }
+ *
+ * Selected with RATE_LIMIT_STORE (memory | mongo, default: memory).
+ */
+const STORES = {
+  memory: MemoryRateLimitStore,
+  mongo: MongoRateLimitStore
+};
+
+let store = null;
+
+export const getRateLimitStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    const Store = STORES[name];
+    if (!Store) {
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${name}`);
+    }
+    store = new Store();
+  }
+  return store;
+};
@@ -0,0 +1,52 @@
+// Expired windows are swept at most this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * In-process rate limit store
+ *
+ * Fixed-window counters in a Map. Counts are per process and reset on
+ * restart; use the mongo store when running more than one instance.
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.name = 'memory';
+    this.windows = new Map();
+    this.lastSweep = Date.now();
+  }
+
+  async increment(key, windowMs, now = Date.now()) {
+    this.sweep(now);
+
+    const resetAt = this.windowEnd(windowMs, now);
+    const id = `${key}:${resetAt}`;
+    const entry = this.windows.get(id) || { count: 0, resetAt };
+    entry.count++;
+    this.windows.set(id, entry);
+
+    return { count: entry.count, resetAt: new Date(resetAt) };
+  }
+
+  async get(key, windowMs, now = Date.now()) {
+    const resetAt = this.windowEnd(windowMs, now);
+    const entry = this.windows.get(`${key}:${resetAt}`);
+    return { count: entry?.count || 0, resetAt: new Date(resetAt) };
+  }
+
+  // Windows are aligned to the epoch, so daily windows are UTC days
+  windowEnd(windowMs, now) {
+    return (Math.floor(now / windowMs) + 1) * windowMs;
+  }
+
+  sweep(now) {
+    if (now - this.lastSweep < SWEEP_INTERVAL_MS) return;
+    this.lastSweep = now;
+
+    for (const [id, entry] of this.windows) {
+      if (entry.resetAt <= now) {
+        this.windows.delete(id);
+      }
+    }
+  }
+}
+
+export default MemoryRateLimitStore;
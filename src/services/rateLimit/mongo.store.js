@@ -0,0 +1,45 @@
+import RateLimitCounter from '../../models/RateLimitCounter.js';
+
+/**
+ * MongoDB rate limit store
+ *
+ * Same fixed windows as the memory store, shared by every instance
+ * connected to the database.
+ */
+class MongoRateLimitStore {
+  constructor() {
+    this.name = 'mongo';
+  }
+
+  async increment(key, windowMs, now = Date.now()) {
+    const resetAt = this.windowEnd(windowMs, now);
+    const filter = { key: `${key}:${resetAt}` };
+    const update = {
+      $inc: { count: 1 },
+      $setOnInsert: { expiresAt: new Date(resetAt) }
+    };
+
+    let counter;
+    try {
+      counter = await RateLimitCounter.findOneAndUpdate(filter, update, { upsert: true, new: true });
+    } catch (error) {
+      // Two first requests in a window raced on the upsert; the retry updates
+      if (error.code !== 11000) throw error;
+      counter = await RateLimitCounter.findOneAndUpdate(filter, update, { upsert: true, new: true });
+    }
+
+    return { count: counter.count, resetAt: new Date(resetAt) };
+  }
+
+  async get(key, windowMs, now = Date.now()) {
+    const resetAt = this.windowEnd(windowMs, now);
+    const counter = await RateLimitCounter.findOne({ key: `${key}:${resetAt}` }).lean();
+    return { count: counter?.count || 0, resetAt: new Date(resetAt) };
+  }
+
+  windowEnd(windowMs, now) {
+    return (Math.floor(now / windowMs) + 1) * windowMs;
+  }
+}
+
+export default MongoRateLimitStore;
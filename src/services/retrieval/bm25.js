@@ -0,0 +1,90 @@
+/**
+ * In-memory BM25 index over knowledge base chunks.
+ *
+ * Catches exact terms the embeddings blur together: program names and
+ * codes like "B.Tech CSE AI/ML" or "BBA LLB".
+ */
+
+const K1 = 1.2;
+const B = 0.75;
+
+// "B.Tech" and "BTech" both become "btech"; "AI/ML" becomes "ai", "ml".
+// Combining marks (\p{M}) stay in the word: Devanagari vowel signs are marks
+export const tokenize = (text = '') => text
+  .toLowerCase()
+  .replace(/(\w)\.(?=\w)/g, '$1')
+  .split(/[^\p{L}\p{M}\p{N}]+/u)
+  .filter(Boolean);
+
+export class Bm25Index {
+  /**
+   * @param {Array} chunks - { id, text, metadata }
+   */
+  constructor(chunks = []) {
+    this.chunks = [];
+    this.termFrequencies = [];
+    this.lengths = [];
+    this.documentFrequency = new Map();
+
+    for (const chunk of chunks) {
+      const terms = tokenize(chunk.text);
+      const frequencies = new Map();
+      for (const term of terms) {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1);
+      }
+      for (const term of frequencies.keys()) {
+        this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+      }
+
+      this.chunks.push(chunk);
+      this.termFrequencies.push(frequencies);
+      this.lengths.push(terms.length);
+    }
+
+    this.averageLength = this.lengths.reduce((sum, length) => sum + length, 0) / (this.lengths.length || 1);
+  }
+
+  get size() {
+    return this.chunks.length;
+  }
+
+  idf(term) {
+    const df = this.documentFrequency.get(term) || 0;
+    return Math.log(1 + (this.chunks.length - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * @returns {Array} { chunk, score } best first, only chunks sharing a
+   *   term with the query. score is BM25 relative to a chunk of average
+   *   length containing every query term once, capped at 1, so it is
+   *   comparable across queries.
+   */
+  search(query, limit = 10) {
+    const terms = [...new Set(tokenize(query))];
+    if (!terms.some(term => this.documentFrequency.has(term))) return [];
+
+    // Terms no chunk contains still count towards a full match, so
+    // "MBA fees" doesn't fully match a chunk that only mentions fees
+    const idfs = terms.map(term => this.idf(term));
+    const fullMatch = idfs.reduce((sum, idf) => sum + idf, 0);
+
+    const results = [];
+    this.termFrequencies.forEach((frequencies, idx) => {
+      let score = 0;
+      const norm = K1 * (1 - B + B * this.lengths[idx] / (this.averageLength || 1));
+
+      terms.forEach((term, termIdx) => {
+        const tf = frequencies.get(term);
+        if (tf) {
+          score += idfs[termIdx] * (tf * (K1 + 1)) / (tf + norm);
+        }
+      });
+
+      if (score > 0) {
+        results.push({ chunk: this.chunks[idx], score: Math.min(1, score / fullMatch) });
+      }
+    });
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
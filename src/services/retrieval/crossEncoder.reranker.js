@@ -0,0 +1,62 @@
+import { logger } from '../../utils/logger.js';
+
+const DEFAULT_MODEL = 'Xenova/ms-marco-MiniLM-L-6-v2';
+
+/**
+ * Local cross-encoder reranker: scores each (query, chunk) pair jointly,
+ * which ranks far better than comparing separate embeddings. Runs on the
+ * CPU through @xenova/transformers, an optional peer dependency installed
+ * separately. The model is downloaded on first use and cached.
+ * RAG_CROSS_ENCODER_MODEL picks the model (default
+ * Xenova/ms-marco-MiniLM-L-6-v2).
+ */
+class CrossEncoderReranker {
+  constructor() {
+    this.name = 'cross-encoder';
+    this.model = process.env.RAG_CROSS_ENCODER_MODEL || DEFAULT_MODEL;
+    this.loading = null;
+  }
+
+  async load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        let transformers;
+        try {
+          transformers = await import('@xenova/transformers');
+        } catch {
+          throw new Error('The cross-encoder reranker needs the @xenova/transformers package: npm install @xenova/transformers');
+        }
+
+        const [tokenizer, model] = await Promise.all([
+          transformers.AutoTokenizer.from_pretrained(this.model),
+          transformers.AutoModelForSequenceClassification.from_pretrained(this.model)
+        ]);
+        logger.info(`Cross-encoder reranker loaded: ${this.model}`);
+        return { tokenizer, model };
+      })();
+
+      // Let a later call retry a failed load
+      this.loading.catch(() => { this.loading = null; });
+    }
+    return this.loading;
+  }
+
+  /**
+   * @returns {Promise<number[]>} relevance in [0, 1] per chunk, in order
+   */
+  async rerank(query, hits) {
+    if (hits.length === 0) return [];
+
+    const { tokenizer, model } = await this.load();
+    const inputs = tokenizer(hits.map(() => query), {
+      text_pair: hits.map(hit => hit.text),
+      padding: true,
+      truncation: true
+    });
+    const { logits } = await model(inputs);
+
+    return Array.from(logits.data, logit => 1 / (1 + Math.exp(-logit)));
+  }
+}
+
+export default CrossEncoderReranker;
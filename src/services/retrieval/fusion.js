@@ -0,0 +1,33 @@
+// Damps the gap between the first few ranks; 60 is the usual RRF choice
+const RRF_K = 60;
+
+/**
+ * Weighted reciprocal rank fusion: a chunk earns weight / (RRF_K + rank)
+ * from every list it appears in, so chunks found by both the vector and
+ * the keyword search rise to the top. Only ranks count, which sidesteps
+ * cosine similarities and BM25 scores living on different scales.
+ *
+ * @param {Array} rankings - { hits, weight } with hits best first; hits
+ *   are matched by id and their fields merged
+ * @returns {Array} merged hits with fusedScore, best first
+ */
+export const fuseRankings = (rankings) => {
+  const fused = new Map();
+
+  for (const { hits, weight = 1 } of rankings) {
+    if (!weight) continue;
+
+    hits.forEach((hit, rank) => {
+      const existing = fused.get(hit.id);
+      const contribution = weight / (RRF_K + rank + 1);
+
+      if (existing) {
+        Object.assign(existing, hit, { fusedScore: existing.fusedScore + contribution });
+      } else {
+        fused.set(hit.id, { ...hit, fusedScore: contribution });
+      }
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.fusedScore - a.fusedScore);
+};
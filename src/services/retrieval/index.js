@@ -0,0 +1,33 @@
+import CrossEncoderReranker from './crossEncoder.reranker.js';
+import LLMReranker from './llm.reranker.js';
+import { RERANKER_NAMES } from '../../config/retrieval.js';
+
+/**
+ * Reranker registry
+ *
+ * Every reranker has a name and implements:
+ * - rerank(query, hits) → relevance in [0, 1] per hit, in order
+ *
+ * Retrieval settings (mode, topK, reranker, ...) live in
+ * config/retrieval.js; a new reranker also needs its name in RERANKER_NAMES.
+ */
+const RERANKERS = {
+  'cross-encoder': CrossEncoderReranker,
+  llm: LLMReranker
+};
+
+const rerankers = new Map();
+
+// null for 'none'; instances are shared so a loaded model is reused
+export const getReranker = (name) => {
+  if (!name || name === 'none') return null;
+
+  if (!rerankers.has(name)) {
+    const Reranker = RERANKERS[name];
+    if (!Reranker) {
+      throw new Error(`Unknown reranker: ${name}. Use: ${RERANKER_NAMES.join(', ')}`);
+    }
+    rerankers.set(name, new Reranker());
+  }
+  return rerankers.get(name);
+};
@@ -0,0 +1,58 @@
+import { getLLMProvider } from '../llm/index.js';
+import { extractJson } from '../llm/turnSchema.js';
+
+// Chunk text shown to the model per passage
+const MAX_PASSAGE_LENGTH = 1000;
+
+const RERANK_SCHEMA = {
+  type: 'object',
+  properties: {
+    scores: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 10 } }
+  },
+  required: ['scores']
+};
+
+const SYSTEM_PROMPT = `You rate how well passages from a university admissions knowledge base answer a student's search query.
+
+Give each passage a score from 0 (unrelated) to 10 (answers the query directly), in the order the passages are listed. A passage about a different program than the one asked about scores low even if the wording is similar.
+
+Respond with ONLY this JSON object:
+{ "scores": [7, 0, 3] }`;
+
+/**
+ * Reranks with the configured LLM provider in a single request per query.
+ * Slower and costlier than the cross-encoder; needs no local model.
+ */
+class LLMReranker {
+  constructor() {
+    this.name = 'llm';
+  }
+
+  /**
+   * @returns {Promise<number[]>} relevance in [0, 1] per chunk, in order
+   */
+  async rerank(query, hits) {
+    if (hits.length === 0) return [];
+
+    const passages = hits
+      .map((hit, idx) => `[${idx + 1}] ${hit.text.substring(0, MAX_PASSAGE_LENGTH)}`)
+      .join('\n\n');
+
+    const content = await getLLMProvider().invoke([
+      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'user', content: `QUERY:\n${query}\n\nPASSAGES:\n${passages}` }
+    ], { schema: RERANK_SCHEMA });
+
+    const { value, error } = extractJson(content);
+    if (error) {
+      throw new Error(error.message);
+    }
+    if (!Array.isArray(value.scores) || value.scores.length !== hits.length) {
+      throw new Error(`Expected ${hits.length} scores, got ${JSON.stringify(value.scores)}`);
+    }
+
+    return value.scores.map(score => Math.max(0, Math.min(10, Number(score) || 0)) / 10);
+  }
+}
+
+export default LLMReranker;
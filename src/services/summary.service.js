@@ -0,0 +1,151 @@
+import Lead from '../models/Lead.js';
+import { getLLMProvider } from './llm/index.js';
+import { extractJson } from './llm/turnSchema.js';
+import { logger } from '../utils/logger.js';
+
+// New transcript entries needed before the summary is refreshed
+const UPDATE_EVERY = parseInt(process.env.SUMMARY_UPDATE_EVERY_TURNS) || 4;
+
+// Limits on what the model may put in the summary
+const MAX_ITEMS = 10;
+const MAX_TEXT = 300;
+
+const SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    courses: { type: 'array', items: { type: 'string' } },
+    concerns: { type: 'array', items: { type: 'string' } },
+    next_step: { type: 'string' },
+    notes: { type: 'string' }
+  },
+  required: ['courses', 'concerns', 'next_step', 'notes']
+};
+
+const SYSTEM_PROMPT = `You keep a running summary of a conversation between a university admission counselor (assistant) and a prospective student (user).
+
+Update the CURRENT SUMMARY with the NEW TURNS and respond with ONLY this JSON object:
+{
+  "courses": ["courses the student discussed or showed interest in"],
+  "concerns": ["questions left open, objections or worries the student raised"],
+  "next_step": "the agreed or most sensible next step, or empty string",
+  "notes": "other facts the student shared (background, timeline, preferences), one or two sentences"
+}
+
+Keep earlier items unless the new turns resolve or contradict them. Use only what was said in the conversation. Keep each item short.`;
+
+const cleanList = (value) => (Array.isArray(value) ? value : [])
+  .filter(item => typeof item === 'string' && item.trim())
+  .map(item => item.trim().substring(0, MAX_TEXT))
+  .slice(0, MAX_ITEMS);
+
+const sentence = (text) => (/[.!?]$/.test(text) ? text : `${text}.`);
+
+const cleanText = (value) => (typeof value === 'string' ? value.trim().substring(0, MAX_TEXT * 2) : '');
+
+/**
+ * Summary Service
+ *
+ * Maintains Lead.conversation_summary (courses, concerns, next step)
+ * incrementally: each refresh sends the previous summary and only the
+ * transcript entries added since, so the cost doesn't grow with the call.
+ * Lead.summary gets the text form used in exports and search.
+ */
+class SummaryService {
+  constructor() {
+    // Leads being summarized by this process
+    this.inFlight = new Set();
+  }
+
+  /**
+   * Refreshes the lead's summary when enough new turns have built up.
+   * Never throws; a failed refresh is retried after the next turn.
+   */
+  async refresh(leadId) {
+    const key = leadId.toString();
+    if (this.inFlight.has(key)) return null;
+    this.inFlight.add(key);
+
+    try {
+      const lead = await Lead.findById(leadId).select('transcript conversation_summary').lean();
+      if (!lead) return null;
+
+      const previous = lead.conversation_summary;
+      const covered = previous?.covered_turns || 0;
+      const newTurns = (lead.transcript || []).slice(covered);
+      if (newTurns.length < UPDATE_EVERY) {
+        return previous;
+      }
+
+      const summary = await this.summarize(previous, newTurns);
+      if (!summary) return previous;
+
+      const next = { ...summary, covered_turns: covered + newTurns.length, updatedAt: new Date() };
+
+      // Only if no one else moved the summary on in the meantime
+      const updated = await Lead.findOneAndUpdate(
+        { _id: lead._id, 'conversation_summary.covered_turns': covered ? covered : { $in: [0, null] } },
+        { $set: { conversation_summary: next, summary: this.render(next) } },
+        { new: true }
+      ).select('conversation_summary').lean();
+
+      if (updated) {
+        logger.debug(`Summary for lead ${key} now covers ${next.covered_turns} turns`);
+      }
+      return updated?.conversation_summary || previous;
+    } catch (error) {
+      logger.error(`Could not update summary for lead ${key}: ${error.message}`);
+      return null;
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  /**
+   * @returns {Promise<Object|null>} { courses, concerns, next_step, notes },
+   *   or null when the model's reply is unusable
+   */
+  async summarize(previous, newTurns) {
+    const current = previous
+      ? JSON.stringify({
+        courses: previous.courses,
+        concerns: previous.concerns,
+        next_step: previous.next_step,
+        notes: previous.notes
+      })
+      : 'none yet';
+
+    const turns = newTurns.map(turn => `${turn.role}: ${turn.text}`).join('\n');
+
+    const content = await getLLMProvider().invoke([
+      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'user', content: `CURRENT SUMMARY:\n${current}\n\nNEW TURNS:\n${turns}` }
+    ], { schema: SUMMARY_SCHEMA });
+
+    const { value, error } = extractJson(content);
+    if (error || !Array.isArray(value.courses) || !Array.isArray(value.concerns)) {
+      logger.warn(`Summary reply unusable: ${error?.message || 'courses and concerns must be arrays'}`);
+      return null;
+    }
+
+    return {
+      courses: cleanList(value.courses),
+      concerns: cleanList(value.concerns),
+      next_step: cleanText(value.next_step),
+      notes: cleanText(value.notes)
+    };
+  }
+
+  // Text form for Lead.summary, CSV exports and the prompt
+  render(summary) {
+    if (!summary) return '';
+
+    return [
+      summary.courses?.length ? sentence(`Courses: ${summary.courses.join(', ')}`) : '',
+      summary.concerns?.length ? sentence(`Concerns: ${summary.concerns.join('; ')}`) : '',
+      summary.next_step ? sentence(`Next step: ${summary.next_step}`) : '',
+      summary.notes ? sentence(`Notes: ${summary.notes}`) : ''
+    ].filter(Boolean).join(' ');
+  }
+}
+
+export default new SummaryService();
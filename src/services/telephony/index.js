@@ -0,0 +1,32 @@
+import VapiProvider from './vapi.provider.js';
+import MockProvider from './mock.provider.js';
+
+/**
+ * Telephony provider registry
+ *
+ * Every provider implements:
+ * - placeCall(lead, campaign)  → { providerCallId }
+ * - cancelCall(providerCallId) → { cancelled }
+ * - mapStatus(endedReason)     → 'completed' | 'no_answer' | 'busy' |
+ *                                'voicemail' | 'failed' | 'provider_error'
+ *
+ * Selected with TELEPHONY_PROVIDER (vapi | mock, default: mock).
+ */
+const PROVIDERS = {
+  vapi: VapiProvider,
+  mock: MockProvider
+};
+
+let provider = null;
+
+export const getTelephonyProvider = () => {
+  if (!provider) {
+    const name = process.env.TELEPHONY_PROVIDER || 'mock';
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+      throw new Error(`Unknown TELEPHONY_PROVIDER: ${name}`);
+    }
+    provider = new Provider();
+  }
+  return provider;
+};
@@ -0,0 +1,78 @@
+import crypto from 'crypto';
+import { logger } from '../../utils/logger.js';
+
+// Vapi-style endedReason emitted for each configured outcome
+const OUTCOME_REASONS = {
+  completed: 'customer-ended-call',
+  no_answer: 'customer-did-not-answer',
+  busy: 'customer-busy',
+  voicemail: 'voicemail',
+  failed: 'assistant-not-valid',
+  provider_error: 'pipeline-error-mock'
+};
+
+/**
+ * Local mock telephony provider
+ *
+ * Deterministic stand-in for development and testing. No call is placed;
+ * instead the same events Vapi would send are fed through the webhook
+ * event handler after a short delay.
+ *
+ * MOCK_CALL_OUTCOME  completed | no_answer | busy | voicemail | failed |
+ *                    provider_error (default: completed)
+ * MOCK_CALL_DELAY_MS delay before the call "ends" (default: 100)
+ */
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.outcome = process.env.MOCK_CALL_OUTCOME || 'completed';
+    this.delayMs = parseInt(process.env.MOCK_CALL_DELAY_MS) || 100;
+    this.pendingCalls = new Map();
+  }
+
+  async placeCall(lead) {
+    // One id per dial: a requeued lead restarts its attempts at 0, so an
+    // id built from them would land on a call log that is already closed
+    const providerCallId = `mock_${lead.current_call_id || crypto.randomBytes(12).toString('hex')}`;
+    const call = { id: providerCallId, metadata: { leadId: lead._id.toString(), dialId: lead.current_call_id } };
+    const endedReason = OUTCOME_REASONS[this.outcome] || OUTCOME_REASONS.completed;
+
+    logger.info(`Mock call placed for lead ${lead._id} (${providerCallId})`);
+
+    const timer = setTimeout(async () => {
+      this.pendingCalls.delete(providerCallId);
+      await this.emit({ type: 'call.started', call });
+      await this.emit({ type: 'call.ended', call, endedReason, durationSeconds: 0 });
+    }, this.delayMs);
+
+    this.pendingCalls.set(providerCallId, timer);
+    return { providerCallId };
+  }
+
+  async cancelCall(providerCallId) {
+    const timer = this.pendingCalls.get(providerCallId);
+    if (!timer) {
+      return { cancelled: false };
+    }
+    clearTimeout(timer);
+    this.pendingCalls.delete(providerCallId);
+    return { cancelled: true };
+  }
+
+  mapStatus(endedReason) {
+    const outcome = Object.keys(OUTCOME_REASONS).find(key => OUTCOME_REASONS[key] === endedReason);
+    return outcome || 'provider_error';
+  }
+
+  async emit(event) {
+    try {
+      // Loaded lazily: the events service itself resolves the active provider
+      const { default: callEventsService } = await import('../callEvents.service.js');
+      await callEventsService.handleEvent(event);
+    } catch (error) {
+      logger.error(`Mock provider failed to deliver ${event.type}: ${error.message}`);
+    }
+  }
+}
+
+export default MockProvider;
@@ -0,0 +1,82 @@
+import axios from 'axios';
+import { triggerCall } from '../vapiService.js';
+import { logger } from '../../utils/logger.js';
+
+const VAPI_API_URL = 'https://api.vapi.ai';
+
+const NO_ANSWER_REASONS = ['customer-did-not-answer', 'no-answer'];
+const BUSY_REASONS = ['customer-busy', 'busy'];
+const VOICEMAIL_REASONS = ['voicemail'];
+
+// Ended reasons a retry won't fix
+const FAILED_REASONS = [
+  'assistant-not-found',
+  'assistant-not-valid',
+  'assistant-request-returned-error',
+  'customer-did-not-give-microphone-permission',
+  'manually-canceled'
+];
+
+const COMPLETED_REASONS = [
+  'assistant-ended-call',
+  'customer-ended-call',
+  'assistant-said-end-call-phrase',
+  'exceeded-max-duration',
+  'silence-timed-out',
+  'completed'
+];
+
+/**
+ * Vapi telephony provider
+ *
+ * Places outbound calls through the Vapi REST API. Outcomes are not
+ * known here: Vapi reports them later to /api/vapi/webhook.
+ */
+class VapiProvider {
+  constructor() {
+    this.name = 'vapi';
+  }
+
+  async placeCall(lead, campaign = null) {
+    const call = await triggerCall(lead.phone, lead._id.toString(), {
+      assistantId: campaign?.assistant?.vapiAssistantId || undefined,
+      campaignId: campaign?._id?.toString(),
+      dialId: lead.current_call_id || undefined
+    });
+    return { providerCallId: call.id };
+  }
+
+  async cancelCall(providerCallId) {
+    const headers = { Authorization: `Bearer ${process.env.VAPI_API_KEY}` };
+
+    // Live calls are ended through the per-call control URL
+    const { data: call } = await axios.get(`${VAPI_API_URL}/call/${providerCallId}`, { headers });
+    const controlUrl = call.monitor?.controlUrl;
+
+    if (!controlUrl) {
+      logger.warn(`Vapi call ${providerCallId} has no control URL (status: ${call.status})`);
+      return { cancelled: false };
+    }
+
+    await axios.post(controlUrl, { type: 'end-call' });
+    return { cancelled: true };
+  }
+
+  /**
+   * Maps a Vapi endedReason to a call disposition. Unknown reasons are
+   * treated as provider errors (pipeline, carrier, transport) and retried.
+   *
+   * @returns {string} 'completed', 'no_answer', 'busy', 'voicemail',
+   *   'failed', or 'provider_error'
+   */
+  mapStatus(endedReason) {
+    if (COMPLETED_REASONS.includes(endedReason)) return 'completed';
+    if (NO_ANSWER_REASONS.includes(endedReason)) return 'no_answer';
+    if (BUSY_REASONS.includes(endedReason)) return 'busy';
+    if (VOICEMAIL_REASONS.includes(endedReason)) return 'voicemail';
+    if (FAILED_REASONS.includes(endedReason)) return 'failed';
+    return 'provider_error';
+  }
+}
+
+export default VapiProvider;
@@ -1,17 +1,20 @@
 import axios from "axios";
 
-export async function triggerCall(phone, leadId) {
+export async function triggerCall(phone, leadId, options = {}) {
   try {
     const response = await axios.post(
       "https://api.vapi.ai/call",
       {
-        assistantId: process.env.VAPI_ASSISTANT_ID,
+        assistantId: options.assistantId || process.env.VAPI_ASSISTANT_ID,
         phoneNumberId: process.env.VAPI_PHONE_NUMBER_ID,
         customer: {
           number: phone
         },
         metadata: {
-          leadId
+          leadId,
+          campaignId: options.campaignId,
+          // Lets events that arrive before this request returns find the lead
+          dialId: options.dialId
         }
       },
       {
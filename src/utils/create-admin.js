@@ -0,0 +1,30 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { connectDB } from '../config/database.js';
+import authService from '../services/auth.service.js';
+import { logger } from './logger.js';
+
+/**
+ * Creates an admin account, e.g. the first one on a new install:
+ *   node src/utils/create-admin.js <email> <password> [name]
+ */
+async function createAdmin() {
+  const [email, password, name] = process.argv.slice(2);
+  if (!email || !password) {
+    logger.error('Usage: node src/utils/create-admin.js <email> <password> [name]');
+    process.exit(1);
+  }
+
+  try {
+    await connectDB();
+    const user = await authService.createUser({ email, password, name, role: 'admin' });
+    logger.info(`✓ Admin created: ${user.email} (${user.id})`);
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Could not create admin: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+createAdmin();
@@ -1,104 +1,45 @@
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import pdf from 'pdf-parse';
 import ragService from '../services/rag.service.js';
+import knowledgeBaseService, { SUPPORTED_FILE_TYPES } from '../services/knowledgeBase.service.js';
 import { initializeChroma } from '../config/chroma.js';
 import { logger } from './logger.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 class DocumentIngestion {
-  constructor() {
-    this.chunkSize = 1000;
-    this.chunkOverlap = 200;
-  }
-
-  async loadPDF(filePath) {
-    try {
-      const dataBuffer = fs.readFileSync(filePath);
-      const data = await pdf(dataBuffer);
-      return data.text;
-    } catch (error) {
-      logger.error(`Failed to load PDF: ${error.message}`);
-      throw error;
-    }
-  }
-
-  loadTextFile(filePath) {
-    try {
-      return fs.readFileSync(filePath, 'utf-8');
-    } catch (error) {
-      logger.error(`Failed to load text file: ${error.message}`);
-      throw error;
-    }
-  }
-
-  chunkText(text, metadata = {}) {
-    const chunks = [];
-    const words = text.split(/\s+/);
-    
-    for (let i = 0; i < words.length; i += this.chunkSize - this.chunkOverlap) {
-      const chunk = words.slice(i, i + this.chunkSize).join(' ');
-      if (chunk.trim().length > 0) {
-        chunks.push({
-          pageContent: chunk,
-          metadata: {
-            ...metadata,
-            chunkIndex: chunks.length,
-            source: metadata.source || 'unknown'
-          }
-        });
-      }
-    }
-
-    return chunks;
-  }
-
-  async ingestDocuments(documentsPath) {
+  async ingestDocuments(documentsPath, collectionName = ragService.collectionName) {
     try {
       // Initialize ChromaDB
       await initializeChroma();
-      await ragService.initializeCollection();
+      await ragService.initializeCollection(collectionName);
 
       const files = fs.readdirSync(documentsPath);
       let totalChunks = 0;
 
       for (const file of files) {
-        const filePath = path.join(documentsPath, file);
         const ext = path.extname(file).toLowerCase();
-
-        logger.info(`Processing: ${file}`);
-
-        let text = '';
-        
-        if (ext === '.pdf') {
-          text = await this.loadPDF(filePath);
-        } else if (ext === '.txt' || ext === '.md') {
-          text = this.loadTextFile(filePath);
-        } else {
+        if (!SUPPORTED_FILE_TYPES.includes(ext)) {
           logger.warn(`Skipping unsupported file type: ${file}`);
           continue;
         }
 
-        const chunks = this.chunkText(text, {
-          source: file,
-          fileType: ext
-        });
+        logger.info(`Processing: ${file}`);
 
-        await ragService.addDocuments(chunks);
-        totalChunks += chunks.length;
+        // Re-running is safe: unchanged files are skipped, changed ones replaced
+        const result = await knowledgeBaseService.ingestDocument(
+          { filename: file, buffer: fs.readFileSync(path.join(documentsPath, file)) },
+          { collectionName, replace: true }
+        );
+        totalChunks += result.chunks;
 
-        logger.info(`✓ Processed ${file}: ${chunks.length} chunks`);
+        logger.info(`✓ Processed ${file}: ${result.chunks} chunks (${result.status})`);
       }
 
-      const stats = await ragService.getCollectionStats();
+      const stats = await ragService.getCollectionStats(collectionName);
       logger.info(`\n✓ Ingestion complete!`);
-      logger.info(`Total chunks added: ${totalChunks}`);
+      logger.info(`Total chunks: ${totalChunks}`);
       logger.info(`Collection stats: ${JSON.stringify(stats)}`);
 
     } catch (error) {
@@ -111,15 +52,17 @@ class DocumentIngestion {
 // CLI execution
 const ingestion = new DocumentIngestion();
 const docsPath = process.argv[2] || path.join(process.cwd(), 'documents');
+// Optional target collection, e.g. a campaign's knowledgeCollection
+const collectionName = process.argv[3] || ragService.collectionName;
 
 if (!fs.existsSync(docsPath)) {
   logger.error(`Documents directory not found: ${docsPath}`);
-  logger.info('Usage: node src/utils/ingest.js [documents_path]');
+  logger.info('Usage: node src/utils/ingest.js [documents_path] [collection_name]');
   process.exit(1);
 }
 
-logger.info(`Starting document ingestion from: ${docsPath}`);
-ingestion.ingestDocuments(docsPath)
+logger.info(`Starting document ingestion from: ${docsPath} into '${collectionName}'`);
+ingestion.ingestDocuments(docsPath, collectionName)
   .then(() => {
     logger.info('Ingestion completed successfully');
     process.exit(0);
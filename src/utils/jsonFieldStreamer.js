@@ -0,0 +1,66 @@
+/**
+ * Incremental reader for one string field of a JSON object that is still
+ * being generated, e.g. the "response" field of a streamed LLM reply.
+ *
+ * push() takes the next raw chunk and returns the newly decoded text of
+ * the field (empty until the field starts, and after it ends). Escape
+ * sequences split across chunks are held back until complete.
+ */
+
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+export const createFieldStreamer = (field) => {
+  const opening = new RegExp(`"${field}"\\s*:\\s*"`);
+  let buffer = '';
+  let position = -1; // index of the next unread character of the value
+  let done = false;
+
+  const push = (chunk) => {
+    buffer += chunk;
+    if (done) return '';
+
+    if (position === -1) {
+      const match = opening.exec(buffer);
+      if (!match) return '';
+      position = match.index + match[0].length;
+    }
+
+    let text = '';
+    while (position < buffer.length) {
+      const char = buffer[position];
+
+      if (char === '"') {
+        done = true;
+        break;
+      }
+
+      if (char !== '\\') {
+        text += char;
+        position++;
+        continue;
+      }
+
+      const code = buffer[position + 1];
+      if (code === undefined) break;
+
+      if (code === 'u') {
+        const hex = buffer.substring(position + 2, position + 6);
+        if (hex.length < 4) break;
+        text += String.fromCharCode(parseInt(hex, 16));
+        position += 6;
+      } else {
+        text += ESCAPES[code] ?? code;
+        position += 2;
+      }
+    }
+
+    return text;
+  };
+
+  return {
+    push,
+    get done() {
+      return done;
+    }
+  };
+};
@@ -0,0 +1,123 @@
+import path from 'path';
+import csvParser from 'csv-parser';
+import ExcelJS from 'exceljs';
+import StreamArray from 'stream-json/streamers/StreamArray.js';
+
+/**
+ * Streaming parsers for lead upload files.
+ *
+ * Each parser consumes a readable stream and resolves to
+ * [{ line, row }] where row maps the file's own headers to raw string
+ * values. line is the 1-based line (CSV, header = line 1), sheet row
+ * (XLSX) or array position (JSON) used in import reports.
+ */
+
+export const SUPPORTED_FORMATS = ['csv', 'xlsx', 'json'];
+
+export const detectFormat = (filename = '', mimeType = '') => {
+  const ext = path.extname(filename).toLowerCase().replace('.', '');
+  if (SUPPORTED_FORMATS.includes(ext)) return ext;
+
+  if (mimeType === 'text/csv') return 'csv';
+  if (mimeType === 'application/json') return 'json';
+  if (mimeType === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') return 'xlsx';
+  return null;
+};
+
+const toText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    // ExcelJS rich text, hyperlink and formula cells
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return toText(value.text);
+    if (value.result !== undefined) return toText(value.result);
+    return '';
+  }
+  return String(value);
+};
+
+const parseCsv = (stream) => new Promise((resolve, reject) => {
+  const rows = [];
+  // Line 1 is the header, so data rows start at line 2
+  let line = 1;
+
+  stream
+    .pipe(csvParser({ mapHeaders: ({ header }) => header.trim() }))
+    .on('data', (row) => {
+      line++;
+      rows.push({ line, row });
+    })
+    .on('end', () => resolve(rows))
+    .on('error', reject);
+});
+
+// First worksheet only; its first row is the header
+const parseXlsx = async (stream) => {
+  const rows = [];
+  const reader = new ExcelJS.stream.xlsx.WorkbookReader(stream, {
+    sharedStrings: 'cache',
+    hyperlinks: 'ignore',
+    // Number formats are styles; without them dates read as serial numbers
+    styles: 'cache',
+    worksheets: 'emit'
+  });
+
+  for await (const worksheet of reader) {
+    let headers = null;
+
+    for await (const sheetRow of worksheet) {
+      // row.values is 1-indexed
+      const values = sheetRow.values.slice(1).map(toText);
+
+      if (!headers) {
+        headers = values.map(header => header.trim());
+        continue;
+      }
+
+      const row = {};
+      headers.forEach((header, idx) => {
+        if (header) row[header] = values[idx] ?? '';
+      });
+      rows.push({ line: sheetRow.number, row });
+    }
+    break;
+  }
+
+  // Drain the rest of the workbook so the upload stream finishes
+  stream.resume();
+  return rows;
+};
+
+// Top-level JSON array of objects
+const parseJson = (stream) => new Promise((resolve, reject) => {
+  const rows = [];
+
+  stream
+    .pipe(StreamArray.withParser())
+    .on('data', ({ key, value }) => {
+      const row = {};
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        for (const [field, fieldValue] of Object.entries(value)) {
+          row[field.trim()] = toText(fieldValue);
+        }
+      }
+      rows.push({ line: key + 1, row });
+    })
+    .on('end', () => resolve(rows))
+    .on('error', reject);
+});
+
+const PARSERS = {
+  csv: parseCsv,
+  xlsx: parseXlsx,
+  json: parseJson
+};
+
+export const parseLeadStream = (stream, format) => {
+  const parser = PARSERS[format];
+  if (!parser) {
+    throw new Error(`Unsupported file format: ${format}`);
+  }
+  return parser(stream);
+};
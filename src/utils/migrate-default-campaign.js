@@ -0,0 +1,51 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { connectDB } from '../config/database.js';
+import Campaign from '../models/Campaign.js';
+import Lead from '../models/Lead.js';
+import { logger } from './logger.js';
+
+/**
+ * Migration script to move leads created before campaigns existed into a
+ * "Default campaign", so the call worker keeps dialing them.
+ * Safe to run more than once.
+ */
+async function migrateDefaultCampaign() {
+  try {
+    await connectDB();
+
+    logger.info('Starting default campaign migration...');
+
+    const orphanCount = await Lead.countDocuments({ campaignId: null });
+    if (orphanCount === 0) {
+      logger.info('✓ All leads already belong to a campaign');
+      process.exit(0);
+    }
+
+    let campaign = await Campaign.findOne({ name: 'Default campaign' });
+    if (!campaign) {
+      campaign = await Campaign.create({
+        name: 'Default campaign',
+        description: 'Leads uploaded before campaigns were introduced',
+        state: 'running',
+        startedAt: new Date()
+      });
+      logger.info(`✓ Created running campaign "${campaign.name}" (${campaign._id})`);
+    }
+
+    const result = await Lead.updateMany(
+      { campaignId: null },
+      { $set: { campaignId: campaign._id } }
+    );
+    logger.info(`✓ Assigned ${result.modifiedCount} leads to "${campaign.name}"`);
+
+    logger.info('Migration completed successfully');
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Migration failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+migrateDefaultCampaign();
@@ -0,0 +1,66 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { connectDB } from '../config/database.js';
+import Lead from '../models/Lead.js';
+import { logger } from './logger.js';
+
+// Global unique indexes from before leads were unique per campaign
+const LEGACY_INDEXES = ['email_1', 'phone_1'];
+
+const FIELDS = ['email', 'phone'];
+
+/**
+ * Migration script to make lead email and phone unique per campaign
+ * instead of globally, so a student can be in several campaigns.
+ * Drops the old global indexes and creates { campaignId, email } and
+ * { campaignId, phone }. Safe to run more than once.
+ */
+async function migrateLeadIndexes() {
+  try {
+    await connectDB();
+
+    logger.info('Starting lead index migration...');
+
+    // Check for duplicates within a campaign before creating the indexes
+    let duplicateCount = 0;
+    for (const field of FIELDS) {
+      const duplicates = await Lead.aggregate([
+        { $group: { _id: { campaignId: '$campaignId', value: `$${field}` }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } }
+      ]);
+
+      duplicates.forEach(dup => {
+        logger.warn(`  ${field}: ${dup._id.value} in campaign ${dup._id.campaignId} (${dup.count} occurrences)`);
+      });
+      duplicateCount += duplicates.length;
+    }
+
+    if (duplicateCount > 0) {
+      logger.warn(`Found ${duplicateCount} duplicate emails/phones within campaigns`);
+      logger.warn('Please resolve duplicates before running this migration');
+      process.exit(1);
+    }
+
+    const existing = await Lead.collection.indexes();
+    for (const name of LEGACY_INDEXES) {
+      if (existing.some(index => index.name === name)) {
+        await Lead.collection.dropIndex(name);
+        logger.info(`✓ Dropped global index ${name}`);
+      }
+    }
+
+    for (const field of FIELDS) {
+      await Lead.collection.createIndex({ campaignId: 1, [field]: 1 }, { unique: true });
+      logger.info(`✓ Unique index created on campaignId + ${field}`);
+    }
+
+    logger.info('Migration completed successfully');
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Migration failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+migrateLeadIndexes();
@@ -0,0 +1,38 @@
+/**
+ * Rough token counting for prompt budgets. About four characters per
+ * token for English text; close enough to keep prompts inside a model's
+ * context without loading a tokenizer per provider.
+ */
+
+const CHARS_PER_TOKEN = 4;
+
+// Role label and message framing per transcript entry
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+export const estimateTokens = (text = '') => Math.ceil(text.length / CHARS_PER_TOKEN);
+
+/**
+ * Keeps the newest transcript entries that fit in the budget. The last
+ * entry is always kept, even on its own over budget, and at most
+ * maxOmitted entries are dropped, even if the rest is over budget.
+ *
+ * @param {Array} entries - transcript entries ({ role, text }), oldest first
+ * @param {number} budget - tokens
+ * @param {number} [maxOmitted] - default: no limit
+ * @returns {{ kept: Array, omitted: number }} omitted = entries dropped
+ *   from the start
+ */
+export const trimToTokenBudget = (entries, budget, maxOmitted = entries.length) => {
+  let used = 0;
+  let start = entries.length;
+
+  while (start > 0) {
+    const cost = estimateTokens(entries[start - 1].text) + MESSAGE_OVERHEAD_TOKENS;
+    if (start < entries.length && used + cost > budget) break;
+    used += cost;
+    start--;
+  }
+
+  start = Math.min(start, Math.max(0, maxOmitted));
+  return { kept: entries.slice(start), omitted: start };
+};
@@ -32,17 +32,17 @@ async function verifyHardening() {
       logger.error(`✗ MongoDB failed: ${error.message}\n`);
     }
 
-    // Test 2: Phone Unique Index
+    // Test 2: Phone Unique Index (per campaign)
     logger.info('Test 2: Phone Unique Index');
     try {
       const indexes = await Lead.collection.getIndexes();
-      const hasPhoneIndex = Object.keys(indexes).some(key => key.includes('phone'));
+      const hasPhoneIndex = Object.keys(indexes).includes('campaignId_1_phone_1');
       if (hasPhoneIndex) {
         results.passed.push('Phone unique index exists');
         logger.info('✓ Phone unique index found\n');
       } else {
-        results.warnings.push('Phone unique index not found - run migration script');
-        logger.warn('⚠ Phone unique index not found\n');
+        results.warnings.push('Per-campaign phone unique index not found - run migration script');
+        logger.warn('⚠ Per-campaign phone unique index not found\n');
       }
     } catch (error) {
       results.failed.push(`Index check: ${error.message}`);
@@ -66,7 +66,7 @@ async function verifyHardening() {
     logger.info('Test 4: RAG Service Architecture');
     try {
       // Check that vectorStore is not used
-      const hasVectorStore = ragService.hasOwnProperty('vectorStore');
+      const hasVectorStore = Object.hasOwn(ragService, 'vectorStore');
       if (!hasVectorStore) {
         results.passed.push('RAG service uses native embeddings (no vectorStore)');
         logger.info('✓ RAG architecture cleaned (native embeddings)\n');
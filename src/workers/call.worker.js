@@ -1,10 +1,32 @@
 import cron from 'node-cron';
+import os from 'os';
+import crypto from 'crypto';
 import Lead from '../models/Lead.js';
+import callEventsService from '../services/callEvents.service.js';
+import callingWindowService from '../services/callingWindow.service.js';
+import liveEventsService from '../services/liveEvents.service.js';
+import campaignService from '../services/campaign.service.js';
+import { getTelephonyProvider } from '../services/telephony/index.js';
 import { logger } from '../utils/logger.js';
 
+// Leads dialed per run
+const BATCH_SIZE = 5;
+
+// How long a claimed lead stays ours before the reaper may take it back
+const LEASE_MS = (parseInt(process.env.CALL_LEASE_MINUTES) || 30) * 60 * 1000;
+
+/**
+ * Call Worker
+ *
+ * Several instances may run side by side. A lead is dialed only by the
+ * worker that atomically claims it (claimed_by + lease_expires_at); the
+ * in-memory isRunning flag only stops one process from overlapping itself.
+ */
 class CallWorker {
   constructor() {
     this.isRunning = false;
+    this.workerId = process.env.WORKER_ID ||
+      `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
   }
 
   start() {
@@ -18,6 +40,7 @@ class CallWorker {
       this.isRunning = true;
       
       try {
+        await this.reapExpiredLeases();
         await this.processCallQueue();
       } catch (error) {
         logger.error(`Call worker execution failed: ${error.message}`);
@@ -27,61 +50,123 @@ class CallWorker {
       }
     });
 
-    logger.info('Call worker started - running every 1 minute');
+    logger.info(`Call worker ${this.workerId} started - running every 1 minute`);
+  }
+
+  /**
+   * Leads due a call: pending or unanswered leads whose retry time has come
+   */
+  getDueFilter(now = new Date()) {
+    return {
+      status: { $in: ['pending', 'no_answer'] },
+      $or: [
+        { next_attempt_at: null },
+        { next_attempt_at: { $lte: now } }
+      ]
+    };
+  }
+
+  /**
+   * Leads of one campaign that are due and inside their calling window.
+   * Skipped leads keep their attempts.
+   */
+  async findCallableLeads(campaign, limit) {
+    const dueFilter = { ...this.getDueFilter(), campaignId: campaign._id };
+    const schedule = campaignService.getSchedule(campaign);
+
+    // Only look at leads whose local calling window is open right now;
+    // leads without a stored time zone are checked one by one below
+    const timezones = await Lead.distinct('timezone', dueFilter);
+    const openTimezones = callingWindowService.filterOpenTimezones(timezones, schedule);
+
+    const candidates = await Lead.find({
+      $and: [
+        dueFilter,
+        { $or: [{ timezone: { $in: openTimezones } }, { timezone: null }] }
+      ]
+    })
+      .sort({ createdAt: 1 })
+      .limit(limit * 4);
+
+    return candidates
+      .filter(lead => callingWindowService.isWithinWindow(lead, schedule))
+      .slice(0, limit);
   }
 
   async processCallQueue() {
     try {
-      // Fetch 5 pending leads
-      const leads = await Lead.find({ status: 'pending' })
-        .sort({ createdAt: 1 })
-        .limit(5);
+      // Only running campaigns are dialed
+      const campaigns = await campaignService.getRunningCampaigns();
+      if (campaigns.length === 0) {
+        logger.debug('No running campaigns');
+        return;
+      }
 
-      if (leads.length === 0) {
-        logger.debug('No pending leads in queue');
+      const perCampaign = await Promise.all(
+        campaigns.map(campaign => this.findCallableLeads(campaign, BATCH_SIZE))
+      );
+
+      // Take turns between campaigns so one large campaign can't starve the rest
+      const queue = [];
+      for (let i = 0; queue.length < BATCH_SIZE && i < BATCH_SIZE; i++) {
+        perCampaign.forEach((leads, idx) => {
+          if (leads[i] && queue.length < BATCH_SIZE) {
+            queue.push({ lead: leads[i], campaign: campaigns[idx] });
+          }
+        });
+      }
+
+      if (queue.length === 0) {
+        logger.debug('No leads in queue within their calling window');
         return;
       }
 
-      logger.info(`Processing ${leads.length} leads from call queue`);
+      const provider = getTelephonyProvider();
+      logger.info(`Processing ${queue.length} leads from call queue via ${provider.name}`);
+
+      for (const { lead: candidate, campaign } of queue) {
+        const lead = await this.claimLead(candidate);
+        if (!lead) {
+          logger.debug(`Lead ${candidate._id} was claimed by another worker`);
+          continue;
+        }
+
+        liveEventsService.publish('lead.status_changed', {
+          leadId: lead._id,
+          campaignId: lead.campaignId,
+          status: 'calling',
+          previousStatus: candidate.status,
+          attempts: lead.attempts
+        });
 
-      for (const lead of leads) {
         try {
-          // Update status to calling and increment attempts
-          lead.status = 'calling';
-          lead.attempts += 1;
-          await lead.save();
-
-          logger.info(`Simulated call initiated for lead: ${lead.name} (${lead.email}) - Attempt ${lead.attempts}`);
-
-          // Simulate call outcome
-          // TODO: Replace with actual Vapi/Twilio integration
-          const outcome = await this.simulateCallOutcome(lead);
-
-          // Update lead based on outcome
-          if (outcome === 'completed') {
-            lead.status = 'completed';
-          } else if (outcome === 'no_answer') {
-            // Check if max attempts reached
-            if (lead.attempts >= 3) {
-              lead.status = 'failed';
-              logger.warn(`Lead ${lead.name} marked as failed after ${lead.attempts} attempts`);
-            } else {
-              lead.status = 'pending'; // Retry later
-            }
-          } else if (outcome === 'failed') {
-            lead.status = 'failed';
-          }
+          // The outcome arrives later through the provider webhook
+          const { providerCallId } = await provider.placeCall(lead, campaign);
+
+          // Swap the dial id for the real call id, unless the call's
+          // events already did (or already finished it)
+          await callEventsService.registerCall(lead._id, providerCallId);
+          await Lead.updateOne(
+            { _id: lead._id, status: 'calling', current_call_id: lead.current_call_id, claimed_by: this.workerId },
+            { $set: { current_call_id: providerCallId } }
+          );
+
+          liveEventsService.publish('call.placed', {
+            leadId: lead._id,
+            campaignId: lead.campaignId,
+            providerCallId,
+            provider: provider.name
+          });
 
-          await lead.save();
-          logger.info(`Call outcome for ${lead.name}: ${outcome} (status: ${lead.status})`);
-          
+          logger.info(`Call placed for lead: ${lead.name} (${lead.email}) - Attempt ${lead.attempts}, call ${providerCallId}`);
         } catch (error) {
-          logger.error(`Failed to process lead ${lead._id}: ${error.message}`);
-          
-          // Mark lead as failed if processing error occurs
+          logger.error(`Failed to place call for lead ${lead._id}: ${error.message}`);
+
+          // Retried later under the provider_error policy
           try {
-            lead.status = 'failed';
-            await lead.save();
+            await callEventsService.recordOutcome(lead._id, null, 'provider_error', error.message, {
+              current_call_id: lead.current_call_id
+            });
           } catch (saveError) {
             logger.error(`Failed to update lead status: ${saveError.message}`);
           }
@@ -93,21 +178,73 @@ class CallWorker {
   }
 
   /**
-   * Simulates call outcome for testing
-   * TODO: Replace with actual voice API integration (Vapi/Twilio)
-   * 
-   * @returns {string} 'completed', 'no_answer', or 'failed'
+   * Atomically moves a due lead to calling, counts the attempt and leases
+   * it to this worker. current_call_id gets a dial id, sent with the call,
+   * so events arriving before placeCall returns still match the lead.
+   * Returns null if another worker got there first or the lead is no
+   * longer due.
    */
-  async simulateCallOutcome(lead) {
-    // Simulate random outcomes for testing
-    // In production, this would be determined by actual call result
-    const outcomes = ['completed', 'no_answer', 'no_answer', 'completed'];
-    const randomOutcome = outcomes[Math.floor(Math.random() * outcomes.length)];
-    
-    // Simulate call duration
-    await new Promise(resolve => setTimeout(resolve, 100));
-    
-    return randomOutcome;
+  async claimLead(lead) {
+    const now = new Date();
+
+    return Lead.findOneAndUpdate(
+      { ...this.getDueFilter(now), _id: lead._id },
+      {
+        $set: {
+          status: 'calling',
+          current_call_id: callEventsService.newDialId(),
+          claimed_by: this.workerId,
+          lease_expires_at: new Date(now.getTime() + LEASE_MS)
+        },
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Returns leads stuck in calling past their lease (a worker crashed or
+   * the provider never reported back) to the queue under the
+   * provider_error retry policy, recording why in call_history.
+   */
+  async reapExpiredLeases() {
+    const now = new Date();
+    const expired = await Lead.find({
+      status: 'calling',
+      lease_expires_at: { $lt: now }
+    })
+      .select('current_call_id claimed_by lease_expires_at')
+      .limit(50)
+      .lean();
+
+    for (const lead of expired) {
+      try {
+        // A dial id means placeCall never returned a provider call id
+        const providerCallId = callEventsService.isDialId(lead.current_call_id) ? null : lead.current_call_id;
+        const reason = `lease expired (worker ${lead.claimed_by || 'unknown'})`;
+        const reaped = await callEventsService.recordOutcome(
+          lead._id,
+          providerCallId,
+          'provider_error',
+          reason,
+          { lease_expires_at: { $lt: now }, current_call_id: lead.current_call_id }
+        );
+
+        if (!reaped) continue;
+        logger.warn(`Reaped lead ${lead._id}: ${reason}`);
+
+        // The call may still be live at the provider; end it if we can.
+        // Its late events (such as the end this causes) are ignored.
+        if (providerCallId) {
+          await callEventsService.markReaped(providerCallId);
+          await getTelephonyProvider().cancelCall(providerCallId).catch(error => {
+            logger.debug(`Could not cancel call ${providerCallId}: ${error.message}`);
+          });
+        }
+      } catch (error) {
+        logger.error(`Failed to reap lead ${lead._id}: ${error.message}`);
+      }
+    }
   }
 
   // Manual trigger for testing
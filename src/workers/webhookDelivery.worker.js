@@ -0,0 +1,39 @@
+import cron from 'node-cron';
+import outboundWebhookService from '../services/outboundWebhook.service.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Webhook Delivery Worker
+ *
+ * Retries outbound webhook deliveries whose backoff has passed. First
+ * attempts happen when the event is emitted; this only picks up failures.
+ */
+class WebhookDeliveryWorker {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  start() {
+    // Run every 1 minute
+    cron.schedule('* * * * *', async () => {
+      if (this.isRunning) {
+        logger.debug('Webhook delivery worker already running, skipping...');
+        return;
+      }
+
+      this.isRunning = true;
+
+      try {
+        await outboundWebhookService.processDue();
+      } catch (error) {
+        logger.error(`Webhook delivery worker execution failed: ${error.message}`);
+      } finally {
+        this.isRunning = false;
+      }
+    });
+
+    logger.info('Webhook delivery worker started - running every 1 minute');
+  }
+}
+
+export default new WebhookDeliveryWorker();
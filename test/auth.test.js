@@ -0,0 +1,228 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Lead from '../src/models/Lead.js';
+import authService from '../src/services/auth.service.js';
+import apiKeyService from '../src/services/apiKey.service.js';
+import leadService from '../src/services/lead.service.js';
+import { authenticate, authorize, requireRole, requireRoleOrScope } from '../src/middleware/auth.js';
+import { stubModel, silenceLogger } from './helpers/memoryModel.js';
+import { startApp } from './helpers/http.js';
+
+const USERS = {
+  'admin-token': { id: 'admin-1', email: 'admin@example.com', name: 'Admin', role: 'admin' },
+  'counselor-token': { id: 'counselor-a', email: 'a@example.com', name: 'Asha', role: 'counselor' },
+  'viewer-token': { id: 'viewer-1', email: 'v@example.com', name: 'Vik', role: 'viewer' }
+};
+
+const KEYS = {
+  'ak_read': { _id: 'key-1', name: 'CRM sync', scopes: ['leads:read'] },
+  'ak_stats': { _id: 'key-2', name: 'Dashboard', scopes: ['stats:read'] }
+};
+
+const OWN_LEAD = '64c000000000000000000301';
+const UNASSIGNED_LEAD = '64c000000000000000000302';
+const OTHER_LEAD = '64c000000000000000000303';
+
+const bearer = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+const apiKey = (key) => ({ headers: { 'x-api-key': key } });
+
+const stubAuth = () => {
+  mock.method(authService, 'authenticate', async (token) => USERS[token] || null);
+  mock.method(apiKeyService, 'authenticate', async (key) => KEYS[key] || null);
+  return mock.method(apiKeyService, 'consume', async () => ({ allowed: true, headers: { 'X-RateLimit-Remaining': '59' } }));
+};
+
+// Runs middleware (or a list of it) against a fake request, resolving
+// with the error passed to next, or null
+const run = async (middleware, headers = {}) => {
+  const req = { headers, get: (name) => headers[name.toLowerCase()] };
+  const res = { set: () => {} };
+  for (const step of [middleware].flat()) {
+    const error = await new Promise((resolve) => step(req, res, (err) => resolve(err ?? null)));
+    if (error) return { error, req };
+  }
+  return { error: null, req };
+};
+
+const statusOf = async (middleware, headers) => (await run(middleware, headers)).error?.statusCode ?? 200;
+
+describe('auth middleware', () => {
+  beforeEach(() => {
+    stubAuth();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('authenticate', () => {
+    it('resolves the bearer token to req.user', async () => {
+      const { error, req } = await run(authenticate, { authorization: 'Bearer counselor-token' });
+
+      assert.equal(error, null);
+      assert.deepEqual(req.user, USERS['counselor-token']);
+      assert.equal(req.token, 'counselor-token');
+    });
+
+    it('rejects a missing, malformed or unknown token', async () => {
+      assert.equal(await statusOf(authenticate, {}), 401);
+      assert.equal(await statusOf(authenticate, { authorization: 'Basic counselor-token' }), 401);
+      assert.equal(await statusOf(authenticate, { authorization: 'Bearer expired' }), 401);
+    });
+  });
+
+  describe('authorize', () => {
+    const as = (token) => ({ authorization: `Bearer ${token}` });
+
+    it('lets admins through every role check', async () => {
+      for (const roles of [['admin'], ['counselor'], ['viewer']]) {
+        assert.equal(await statusOf(requireRole(...roles), as('admin-token')), 200);
+      }
+    });
+
+    it('allows only the listed roles otherwise', async () => {
+      assert.equal(await statusOf(requireRole('counselor'), as('counselor-token')), 200);
+      assert.equal(await statusOf(requireRole('admin'), as('counselor-token')), 403);
+      assert.equal(await statusOf(requireRole('viewer'), as('counselor-token')), 403);
+
+      assert.equal(await statusOf(requireRole('viewer'), as('viewer-token')), 200);
+      assert.equal(await statusOf(requireRole('counselor'), as('viewer-token')), 403);
+      assert.equal(await statusOf(requireRole('counselor', 'viewer'), as('viewer-token')), 200);
+    });
+
+    it('requires authenticate to have run', async () => {
+      assert.equal(await statusOf(authorize('counselor'), {}), 401);
+    });
+  });
+
+  describe('requireRoleOrScope', () => {
+    it('accepts a key with the scope and sets req.apiKey instead of req.user', async () => {
+      const { error, req } = await run(requireRoleOrScope('leads:read', 'counselor'), { 'x-api-key': 'ak_read' });
+
+      assert.equal(error, null);
+      assert.deepEqual(req.apiKey, { id: 'key-1', name: 'CRM sync', scopes: ['leads:read'] });
+      assert.equal(req.user, undefined);
+    });
+
+    it('checks the key\'s scope, not the route\'s roles', async () => {
+      assert.equal(await statusOf(requireRoleOrScope('leads:read', 'counselor'), { 'x-api-key': 'ak_stats' }), 403);
+      assert.equal(await statusOf(requireRoleOrScope('stats:read', 'viewer'), { 'x-api-key': 'ak_stats' }), 200);
+      assert.equal(await statusOf(requireRoleOrScope('leads:read', 'admin'), { 'x-api-key': 'ak_read' }), 200);
+      assert.equal(await statusOf(requireRoleOrScope('leads:read'), { 'x-api-key': 'ak_unknown' }), 401);
+    });
+
+    it('refuses a key over its limit with 429', async () => {
+      apiKeyService.consume.mock.mockImplementation(async () => ({
+        allowed: false,
+        headers: {},
+        reason: 'Rate limit exceeded',
+        retryAfterSeconds: 12
+      }));
+
+      const { error } = await run(requireRoleOrScope('leads:read', 'counselor'), { 'x-api-key': 'ak_read' });
+      assert.equal(error.statusCode, 429);
+      assert.equal(error.message, 'Rate limit exceeded, retry in 12s');
+    });
+
+    it('falls back to the user\'s role without a key', async () => {
+      const check = requireRoleOrScope('stats:read', 'viewer');
+
+      assert.equal(await statusOf(check, { authorization: 'Bearer viewer-token' }), 200);
+      assert.equal(await statusOf(check, { authorization: 'Bearer counselor-token' }), 403);
+      assert.equal(await statusOf(check, {}), 401);
+    });
+  });
+});
+
+describe('lead routes', () => {
+  let server;
+
+  before(async () => {
+    server = await startApp();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    silenceLogger();
+    stubAuth();
+    stubModel(Lead, [
+      { _id: OWN_LEAD, name: 'Own', assigned_to: 'counselor-a' },
+      { _id: UNASSIGNED_LEAD, name: 'Unassigned', assigned_to: null },
+      { _id: OTHER_LEAD, name: 'Other', assigned_to: 'counselor-b' }
+    ]);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const getLead = (id, options) => server.request('GET', `/api/leads/${id}`, options);
+
+  it('shows a counselor only the leads assigned to them', async () => {
+    const own = await getLead(OWN_LEAD, bearer('counselor-token'));
+    assert.equal(own.status, 200);
+    assert.equal(own.body.data.name, 'Own');
+
+    assert.equal((await getLead(UNASSIGNED_LEAD, bearer('counselor-token'))).status, 404);
+    assert.equal((await getLead(OTHER_LEAD, bearer('counselor-token'))).status, 404);
+  });
+
+  it('shows admins and API keys every lead', async () => {
+    for (const id of [UNASSIGNED_LEAD, OTHER_LEAD]) {
+      assert.equal((await getLead(id, bearer('admin-token'))).status, 200);
+      assert.equal((await getLead(id, apiKey('ak_read'))).status, 200);
+    }
+  });
+
+  it('keeps viewers and keys without the scope out', async () => {
+    assert.equal((await getLead(OWN_LEAD, bearer('viewer-token'))).status, 403);
+    assert.equal((await getLead(OWN_LEAD, apiKey('ak_stats'))).status, 403);
+  });
+
+  it('refuses API keys on user-only routes', async () => {
+    const response = await server.request('DELETE', `/api/leads/${OWN_LEAD}`, apiKey('ak_read'));
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error, 'Authentication required');
+  });
+
+  it('keeps counselors off admin routes', async () => {
+    assert.equal((await server.request('DELETE', `/api/leads/${OWN_LEAD}`, bearer('counselor-token'))).status, 403);
+  });
+});
+
+describe('leadService.searchLeads', () => {
+  let filters;
+
+  beforeEach(() => {
+    filters = [];
+    const query = { sort: () => query, skip: () => query, limit: async () => [] };
+    mock.method(Lead, 'find', (filter) => {
+      filters.push(filter);
+      return query;
+    });
+    mock.method(Lead, 'countDocuments', async () => 0);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('limits counselors to their own leads, whatever they ask for', async () => {
+    await leadService.searchLeads({ assignedTo: 'none' }, USERS['counselor-token']);
+    await leadService.searchLeads({ assignedTo: 'counselor-b' }, USERS['counselor-token']);
+
+    assert.deepEqual(filters.map(filter => filter.assigned_to), ['counselor-a', 'counselor-a']);
+  });
+
+  it('lets admins and API keys filter by any counselor', async () => {
+    await leadService.searchLeads({ assignedTo: 'none' }, USERS['admin-token']);
+    await leadService.searchLeads({ assignedTo: 'counselor-b' });
+    await leadService.searchLeads({});
+
+    assert.deepEqual(filters.map(filter => filter.assigned_to), [null, 'counselor-b', undefined]);
+  });
+});
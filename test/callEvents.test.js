@@ -0,0 +1,253 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Lead from '../src/models/Lead.js';
+import CallLog from '../src/models/CallLog.js';
+import callEventsService from '../src/services/callEvents.service.js';
+import callWorker from '../src/workers/call.worker.js';
+import leadService from '../src/services/lead.service.js';
+import MockProvider from '../src/services/telephony/mock.provider.js';
+import liveEventsService from '../src/services/liveEvents.service.js';
+import outboundWebhookService from '../src/services/outboundWebhook.service.js';
+import { stubModel, silenceLogger } from './helpers/memoryModel.js';
+
+const LEAD_ID = '64b000000000000000000001';
+const CALL_ID = 'call_1';
+
+const started = (callId = CALL_ID, metadata = { leadId: LEAD_ID }) => ({
+  message: { type: 'call.started', call: { id: callId, metadata } }
+});
+
+const ended = (callId = CALL_ID, endedReason = 'customer-ended-call', metadata = { leadId: LEAD_ID }) => ({
+  message: { type: 'call.ended', endedReason, durationSeconds: 42, call: { id: callId, metadata } }
+});
+
+let leads;
+let callLogs;
+
+beforeEach(() => {
+  silenceLogger();
+  mock.method(liveEventsService, 'publish', () => {});
+  mock.method(outboundWebhookService, 'emitLeadEvent', async () => {});
+
+  leads = stubModel(Lead, [{
+    _id: LEAD_ID,
+    status: 'pending',
+    attempts: 1,
+    current_call_id: CALL_ID,
+    call_history: []
+  }]);
+  callLogs = stubModel(CallLog, []);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('callEventsService', () => {
+  describe('normalizeEvent', () => {
+    it('maps Vapi server messages onto call events', () => {
+      const type = (message) => callEventsService.normalizeEvent({ message }).type;
+
+      assert.equal(type({ type: 'status-update', status: 'in-progress' }), 'call.started');
+      assert.equal(type({ type: 'status-update', status: 'ended' }), 'call.ended');
+      assert.equal(type({ type: 'end-of-call-report' }), 'call.ended');
+      assert.equal(type({ type: 'transcript' }), 'transcript');
+      assert.equal(type({ type: 'speech-update' }), null);
+    });
+
+    it('accepts the legacy flat shape', () => {
+      const event = callEventsService.normalizeEvent({ type: 'call.started', call: { id: CALL_ID } });
+      assert.equal(event.type, 'call.started');
+      assert.equal(event.call.id, CALL_ID);
+    });
+  });
+
+  it('ignores unsupported events, events without a call id and unknown leads', async () => {
+    assert.equal((await callEventsService.handleEvent({ message: { type: 'speech-update' } })).reason, 'unsupported_event');
+    assert.equal((await callEventsService.handleEvent({ message: { type: 'call.started', call: {} } })).reason, 'missing_call_id');
+    assert.equal((await callEventsService.handleEvent(started('call_x', { leadId: '64b0000000000000000000ff' }))).reason, 'lead_not_found');
+  });
+
+  it('moves the lead to calling and opens the call log on call.started', async () => {
+    const result = await callEventsService.handleEvent(started());
+
+    assert.deepEqual(result, { handled: true, leadUpdated: true });
+    assert.equal(leads[0].status, 'calling');
+    assert.equal(callLogs.length, 1);
+    assert.equal(callLogs[0].providerCallId, CALL_ID);
+    assert.ok(callLogs[0].startedAt instanceof Date);
+  });
+
+  it('records the outcome and closes the call log on call.ended', async () => {
+    await callEventsService.handleEvent(started());
+    const result = await callEventsService.handleEvent(ended());
+
+    assert.equal(result.outcome, 'completed');
+    assert.equal(result.leadUpdated, true);
+    assert.equal(leads[0].status, 'completed');
+    assert.equal(leads[0].current_call_id, null);
+    assert.equal(leads[0].call_history.length, 1);
+    assert.equal(leads[0].call_history[0].outcome, 'completed');
+    assert.equal(callLogs[0].duration, 42);
+    assert.ok(callLogs[0].endedAt instanceof Date);
+  });
+
+  it('schedules a retry for a retryable outcome', async () => {
+    await callEventsService.handleEvent(ended(CALL_ID, 'customer-did-not-answer'));
+
+    assert.equal(leads[0].status, 'no_answer');
+    assert.ok(leads[0].next_attempt_at > new Date());
+  });
+
+  it('treats a replayed call.ended as a duplicate', async () => {
+    await callEventsService.handleEvent(ended());
+    const replay = await callEventsService.handleEvent(ended());
+
+    assert.deepEqual(replay, { handled: true, duplicate: true });
+    assert.equal(leads[0].call_history.length, 1);
+  });
+
+  it('does not reopen a lead that already reached a final state', async () => {
+    await callEventsService.handleEvent(ended());
+    const result = await callEventsService.handleEvent(started());
+
+    assert.equal(result.leadUpdated, false);
+    assert.equal(leads[0].status, 'completed');
+  });
+
+  it('resolves the lead from the call log when metadata is missing', async () => {
+    await callEventsService.handleEvent(started());
+    const result = await callEventsService.handleEvent(ended(CALL_ID, 'customer-ended-call', {}));
+
+    assert.equal(result.leadUpdated, true);
+    assert.equal(leads[0].status, 'completed');
+  });
+});
+
+describe('late events after a lead moves on', () => {
+  // The lead as the worker leaves it after claiming and dialing
+  const dialing = (current_call_id, extra = {}) => Object.assign(leads[0], {
+    status: 'calling',
+    current_call_id,
+    claimed_by: 'worker-1',
+    lease_expires_at: new Date(Date.now() + 60 * 1000),
+    ...extra
+  });
+
+  it('matches events on the dial id before placeCall returns the call id', async () => {
+    const dialId = callEventsService.newDialId();
+    dialing(dialId);
+
+    const result = await callEventsService.handleEvent(started('call_2', { leadId: LEAD_ID, dialId }));
+
+    assert.equal(result.leadUpdated, true);
+    assert.equal(leads[0].current_call_id, 'call_2');
+  });
+
+  it('ignores a dialId that is not a dial id', async () => {
+    dialing('call_2');
+
+    const result = await callEventsService.handleEvent(started('call_1', { leadId: LEAD_ID, dialId: 'call_2' }));
+
+    assert.equal(result.leadUpdated, false);
+    assert.equal(leads[0].current_call_id, 'call_2');
+  });
+
+  it('does not let a late call.started from an earlier attempt touch the current one', async () => {
+    dialing(callEventsService.newDialId(), { status: 'pending' });
+
+    const result = await callEventsService.handleEvent(started(CALL_ID));
+
+    assert.equal(result.leadUpdated, false);
+    assert.equal(leads[0].status, 'pending');
+    assert.ok(callEventsService.isDialId(leads[0].current_call_id));
+  });
+
+  it('does not let a late call.ended from an earlier attempt record an outcome', async () => {
+    dialing('call_2', { attempts: 2 });
+
+    const result = await callEventsService.handleEvent(ended(CALL_ID, 'customer-did-not-answer'));
+
+    assert.equal(result.leadUpdated, false);
+    assert.equal(leads[0].status, 'calling');
+    assert.equal(leads[0].current_call_id, 'call_2');
+    assert.equal(leads[0].call_history.length, 0);
+  });
+
+  it('ignores every event of a call the reaper requeued', async () => {
+    await callEventsService.handleEvent(started());
+    dialing(CALL_ID, { lease_expires_at: new Date(Date.now() - 1000) });
+
+    await callWorker.reapExpiredLeases();
+
+    assert.equal(leads[0].status, 'pending');
+    assert.equal(leads[0].current_call_id, null);
+    assert.equal(leads[0].call_history[0].outcome, 'provider_error');
+    assert.ok(callLogs[0].reapedAt instanceof Date);
+
+    // The lead is claimed again before the old call reports back
+    dialing(callEventsService.newDialId());
+
+    assert.equal((await callEventsService.handleEvent(started())).reason, 'reaped_call');
+    assert.equal((await callEventsService.handleEvent(ended())).reason, 'reaped_call');
+    assert.equal(leads[0].status, 'calling');
+    assert.equal(leads[0].call_history.length, 1);
+    assert.equal(callLogs[0].endedAt, undefined);
+  });
+
+  it('leaves a lead whose lease was renewed to its call', async () => {
+    dialing(CALL_ID, { lease_expires_at: new Date(Date.now() - 1000) });
+    const expired = leads.map(lead => ({ ...lead }));
+    // Renewed between the reaper's scan and its update
+    mock.method(Lead, 'find', () => ({
+      select() { return this; },
+      limit() { return this; },
+      lean: async () => expired
+    }));
+    leads[0].lease_expires_at = new Date(Date.now() + 60 * 1000);
+
+    await callWorker.reapExpiredLeases();
+
+    assert.equal(leads[0].status, 'calling');
+    assert.equal(leads[0].current_call_id, CALL_ID);
+  });
+});
+
+describe('redialing a requeued lead', () => {
+  const provider = new MockProvider();
+
+  // What the worker does: claim with a dial id, place the call, then swap
+  // in the provider's call id. The mock call is cancelled so the test
+  // delivers its events itself.
+  const dial = async () => {
+    Object.assign(leads[0], {
+      status: 'calling',
+      attempts: leads[0].attempts + 1,
+      current_call_id: callEventsService.newDialId()
+    });
+    const { providerCallId } = await provider.placeCall(leads[0]);
+    await provider.cancelCall(providerCallId);
+    await callEventsService.registerCall(LEAD_ID, providerCallId);
+    leads[0].current_call_id = providerCallId;
+    return providerCallId;
+  };
+
+  it('gives every dial a new call id, so the redial\'s outcome is recorded', async () => {
+    leads[0].attempts = 0;
+    const first = await dial();
+    await callEventsService.handleEvent(ended(first));
+    assert.equal(leads[0].status, 'completed');
+
+    // Requeueing resets attempts, so the redial is attempt 1 again
+    Object.assign(leads[0], leadService.buildStatusChange(leads[0], 'pending', 'Asked to be called back'));
+    assert.equal(leads[0].attempts, 0);
+
+    const second = await dial();
+    assert.notEqual(second, first);
+
+    const result = await callEventsService.handleEvent(ended(second));
+    assert.equal(result.leadUpdated, true);
+    assert.equal(leads[0].status, 'completed');
+    assert.equal(leads[0].call_history.length, 2);
+  });
+});
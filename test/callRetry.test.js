@@ -0,0 +1,107 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import callRetryService from '../src/services/callRetry.service.js';
+import { getRetryPolicies } from '../src/config/callRetry.js';
+import { logger } from '../src/utils/logger.js';
+
+const MINUTE_MS = 60 * 1000;
+const NOW = new Date('2026-10-19T10:00:00Z');
+
+const delayMinutes = (decision) => (decision.nextAttemptAt - NOW) / MINUTE_MS;
+
+describe('callRetryService.decide', () => {
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.CALL_RETRY_POLICIES;
+  });
+
+  it('completes on a completed call', () => {
+    assert.deepEqual(callRetryService.decide('completed', 1, NOW), {
+      status: 'completed',
+      nextAttemptAt: null,
+      reason: 'completed'
+    });
+  });
+
+  it('fails dispositions without a retry policy', () => {
+    assert.deepEqual(callRetryService.decide('failed', 1, NOW), {
+      status: 'failed',
+      nextAttemptAt: null,
+      reason: 'failed'
+    });
+    assert.equal(callRetryService.decide(undefined, 1, NOW).status, 'failed');
+  });
+
+  it('retries no_answer, busy and voicemail as no_answer', () => {
+    for (const disposition of ['no_answer', 'busy', 'voicemail']) {
+      const decision = callRetryService.decide(disposition, 1, NOW);
+      assert.equal(decision.status, 'no_answer');
+      assert.equal(decision.reason, disposition);
+      assert.ok(decision.nextAttemptAt > NOW);
+    }
+  });
+
+  it('returns provider errors to pending', () => {
+    assert.equal(callRetryService.decide('provider_error', 1, NOW).status, 'pending');
+  });
+
+  it('fails once maxAttempts is used', () => {
+    const { maxAttempts } = getRetryPolicies().no_answer;
+
+    assert.equal(callRetryService.decide('no_answer', maxAttempts - 1, NOW).status, 'no_answer');
+    assert.deepEqual(callRetryService.decide('no_answer', maxAttempts, NOW), {
+      status: 'failed',
+      nextAttemptAt: null,
+      reason: `no_answer after ${maxAttempts} attempts`
+    });
+  });
+
+  it('backs off exponentially up to maxDelayMinutes', () => {
+    // No jitter: Math.random() = 0.5 spreads by exactly 0
+    mock.method(Math, 'random', () => 0.5);
+    process.env.CALL_RETRY_POLICIES = JSON.stringify({
+      busy: { maxAttempts: 10, baseDelayMinutes: 15, multiplier: 2, maxDelayMinutes: 100 }
+    });
+
+    assert.equal(delayMinutes(callRetryService.decide('busy', 1, NOW)), 15);
+    assert.equal(delayMinutes(callRetryService.decide('busy', 2, NOW)), 30);
+    assert.equal(delayMinutes(callRetryService.decide('busy', 3, NOW)), 60);
+    assert.equal(delayMinutes(callRetryService.decide('busy', 4, NOW)), 100);
+  });
+
+  it('spreads the delay by at most the jitter fraction', () => {
+    const policy = { baseDelayMinutes: 60, multiplier: 2, maxDelayMinutes: 600, jitter: 0.2 };
+
+    mock.method(Math, 'random', () => 0);
+    assert.equal(callRetryService.computeDelayMs(policy, 1), 48 * MINUTE_MS);
+    mock.method(Math, 'random', () => 0.999999);
+    assert.ok(callRetryService.computeDelayMs(policy, 1) <= 72 * MINUTE_MS);
+  });
+});
+
+describe('getRetryPolicies', () => {
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.CALL_RETRY_POLICIES;
+  });
+
+  it('merges CALL_RETRY_POLICIES over the defaults field by field', () => {
+    const defaults = getRetryPolicies();
+    process.env.CALL_RETRY_POLICIES = '{"busy":{"baseDelayMinutes":30}}';
+
+    const policies = getRetryPolicies();
+    assert.equal(policies.busy.baseDelayMinutes, 30);
+    assert.equal(policies.busy.maxAttempts, defaults.busy.maxAttempts);
+    assert.deepEqual(policies.no_answer, defaults.no_answer);
+  });
+
+  it('ignores invalid JSON', () => {
+    const warn = mock.method(logger, 'warn', () => {});
+    process.env.CALL_RETRY_POLICIES = '{busy';
+
+    const defaults = getRetryPolicies();
+    delete process.env.CALL_RETRY_POLICIES;
+    assert.deepEqual(defaults, getRetryPolicies());
+    assert.equal(warn.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_TIMEZONE, getDefaultSchedule, inferTimezone } from '../src/config/callingHours.js';
+import callingWindowService from '../src/services/callingWindow.service.js';
+
+const SCHEDULE = { days: [1, 2, 3, 4, 5, 6], startHour: 9, endHour: 20, holidays: [] };
+
+// Monday 2026-10-19
+const at = (iso) => new Date(iso);
+
+describe('inferTimezone', () => {
+  it('maps country calling codes, longest code first', () => {
+    assert.equal(inferTimezone('+919876543210'), 'Asia/Kolkata');
+    assert.equal(inferTimezone('+971501234567'), 'Asia/Dubai');
+    assert.equal(inferTimezone('+14155550100'), 'America/New_York');
+  });
+
+  it('falls back to the default for unknown codes and local numbers', () => {
+    assert.equal(inferTimezone('+999123456'), DEFAULT_TIMEZONE);
+    assert.equal(inferTimezone('09876543210'), DEFAULT_TIMEZONE);
+    assert.equal(inferTimezone(undefined), DEFAULT_TIMEZONE);
+  });
+});
+
+describe('getDefaultSchedule', () => {
+  const saved = { ...process.env };
+
+  afterEach(() => {
+    for (const key of ['CALLING_DAYS', 'CALLING_START_HOUR', 'CALLING_END_HOUR', 'CALLING_HOLIDAYS']) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+  });
+
+  it('reads the environment and drops invalid values', () => {
+    process.env.CALLING_DAYS = '1, 2, 9';
+    process.env.CALLING_START_HOUR = '25';
+    process.env.CALLING_END_HOUR = '18';
+    process.env.CALLING_HOLIDAYS = '2026-12-25,';
+
+    assert.deepEqual(getDefaultSchedule(), {
+      days: [1, 2],
+      startHour: 9,
+      endHour: 18,
+      holidays: ['2026-12-25']
+    });
+  });
+});
+
+describe('callingWindowService.isOpen', () => {
+  it('opens at startHour and closes at endHour, local time', () => {
+    assert.equal(callingWindowService.isOpen('Asia/Kolkata', SCHEDULE, at('2026-10-19T03:29:00Z')), false);
+    assert.equal(callingWindowService.isOpen('Asia/Kolkata', SCHEDULE, at('2026-10-19T03:30:00Z')), true);
+    assert.equal(callingWindowService.isOpen('Asia/Kolkata', SCHEDULE, at('2026-10-19T14:29:00Z')), true);
+    assert.equal(callingWindowService.isOpen('Asia/Kolkata', SCHEDULE, at('2026-10-19T14:30:00Z')), false);
+  });
+
+  it('evaluates the same instant in each lead\'s own zone', () => {
+    const now = at('2026-10-19T15:00:00Z');
+    assert.equal(callingWindowService.isOpen('Asia/Kolkata', SCHEDULE, now), false);
+    assert.equal(callingWindowService.isOpen('America/New_York', SCHEDULE, now), true);
+  });
+
+  it('skips days outside the schedule', () => {
+    // Sunday morning in Kolkata
+    assert.equal(callingWindowService.isOpen('Asia/Kolkata', SCHEDULE, at('2026-10-18T06:00:00Z')), false);
+  });
+
+  it('matches holidays against the local date', () => {
+    const schedule = { ...SCHEDULE, holidays: ['2026-10-20'] };
+    // Still Monday in UTC, already Tuesday the 20th in Auckland
+    const now = at('2026-10-19T21:00:00Z');
+    assert.equal(callingWindowService.isOpen('Pacific/Auckland', schedule, now), false);
+    assert.equal(callingWindowService.isOpen('Pacific/Auckland', SCHEDULE, now), true);
+  });
+});
+
+describe('callingWindowService.isWithinWindow', () => {
+  const now = at('2026-10-19T15:00:00Z');
+
+  it('uses the lead\'s time zone when it is valid', () => {
+    assert.equal(callingWindowService.isWithinWindow({ timezone: 'America/New_York', phone: '+919876543210' }, SCHEDULE, now), true);
+  });
+
+  it('infers the zone from the phone when it is missing or invalid', () => {
+    assert.equal(callingWindowService.isWithinWindow({ phone: '+14155550100' }, SCHEDULE, now), true);
+    assert.equal(callingWindowService.isWithinWindow({ timezone: 'Mars/Olympus', phone: '+919876543210' }, SCHEDULE, now), false);
+  });
+
+  it('filters a list of zones down to the open, valid ones', () => {
+    assert.deepEqual(
+      callingWindowService.filterOpenTimezones(['Asia/Kolkata', 'America/New_York', 'Mars/Olympus', null], SCHEDULE, now),
+      ['America/New_York']
+    );
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import conversationService from '../src/services/conversation.service.js';
+import callEventsService from '../src/services/callEvents.service.js';
+import { silenceLogger } from './helpers/memoryModel.js';
+import { startApp } from './helpers/http.js';
+
+const KEY = 'test-llm-key';
+const PATH = '/api/vapi/llm/chat/completions';
+const LEAD_ID = '64c000000000000000000401';
+
+const completion = (body = {}) => ({
+  headers: { authorization: `Bearer ${KEY}` },
+  body: { messages: [{ role: 'user', content: 'What are the BBA fees?' }], call: { id: 'call_1' }, ...body }
+});
+
+describe('POST /api/vapi/llm/chat/completions', () => {
+  let server;
+  let processMessage;
+
+  before(async () => {
+    server = await startApp();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    process.env.VAPI_LLM_API_KEY = KEY;
+    silenceLogger();
+    mock.method(callEventsService, 'resolveLeadId', async () => LEAD_ID);
+    processMessage = mock.method(conversationService, 'processMessage', async () => ({
+      response: 'The BBA fee is listed in the brochure.',
+      metadata: { intent: 'pricing' }
+    }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.VAPI_LLM_API_KEY;
+  });
+
+  it('answers with a chat completion', async () => {
+    const response = await server.request('POST', PATH, completion());
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.object, 'chat.completion');
+    assert.deepEqual(response.body.choices[0].message, {
+      role: 'assistant',
+      content: 'The BBA fee is listed in the brochure.'
+    });
+    assert.deepEqual(processMessage.mock.calls[0].arguments, [LEAD_ID, 'What are the BBA fees?']);
+  });
+
+  it('returns an OpenAI-style error when the turn fails', async () => {
+    processMessage.mock.mockImplementation(async () => {
+      throw new Error('LLM provider unavailable');
+    });
+
+    const response = await server.request('POST', PATH, completion());
+
+    assert.equal(response.status, 500);
+    assert.deepEqual(response.body, {
+      error: { message: 'Failed to generate a response', type: 'server_error', code: 'internal_error' }
+    });
+  });
+
+  it('rejects a wrong key and requests without a user message', async () => {
+    const wrongKey = completion();
+    wrongKey.headers.authorization = 'Bearer wrong';
+
+    assert.equal((await server.request('POST', PATH, wrongKey)).body.error.code, 'invalid_api_key');
+    assert.equal(
+      (await server.request('POST', PATH, completion({ messages: [{ role: 'system', content: 'hi' }] }))).body.error.code,
+      'missing_user_message'
+    );
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import HandoffTicket from '../src/models/HandoffTicket.js';
+import Lead from '../src/models/Lead.js';
+import handoffService from '../src/services/handoff.service.js';
+import { stubModel, silenceLogger } from './helpers/memoryModel.js';
+
+const TICKET_ID = '64c000000000000000000101';
+const LEAD_ID = '64c000000000000000000201';
+
+describe('handoffService', () => {
+  let tickets;
+  let leads;
+
+  beforeEach(() => {
+    silenceLogger();
+    tickets = stubModel(HandoffTicket, [
+      { _id: TICKET_ID, leadId: LEAD_ID, status: 'open', active: true, claimed_by: null, notes: [] }
+    ]);
+    leads = stubModel(Lead, [{ _id: LEAD_ID, assigned_to: null }]);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const rejectsWith = (promise, status, message) => assert.rejects(promise, (error) => {
+    assert.equal(error.statusCode, status);
+    if (message) assert.match(error.message, message);
+    return true;
+  });
+
+  describe('claimTicket', () => {
+    it('claims an open ticket and assigns the unassigned lead', async () => {
+      const claimed = await handoffService.claimTicket(TICKET_ID, 'counselor-a');
+
+      assert.equal(claimed.status, 'claimed');
+      assert.equal(claimed.claimed_by, 'counselor-a');
+      assert.ok(claimed.claimedAt instanceof Date);
+      assert.equal(leads[0].assigned_to, 'counselor-a');
+    });
+
+    it('claims a ticket of a lead already assigned to the counselor', async () => {
+      leads[0].assigned_to = 'counselor-a';
+
+      assert.equal((await handoffService.claimTicket(TICKET_ID, 'counselor-a')).status, 'claimed');
+    });
+
+    it('refuses a ticket that is already claimed', async () => {
+      await handoffService.claimTicket(TICKET_ID, 'counselor-a');
+
+      await rejectsWith(handoffService.claimTicket(TICKET_ID, 'counselor-b'), 409, /already claimed by counselor-a/);
+      assert.equal(tickets[0].claimed_by, 'counselor-a');
+    });
+
+    it('refuses a lead assigned to another counselor', async () => {
+      leads[0].assigned_to = 'counselor-b';
+
+      await rejectsWith(handoffService.claimTicket(TICKET_ID, 'counselor-a'), 403, /assigned to another counselor/);
+      assert.equal(tickets[0].status, 'open');
+    });
+
+    it('hands the ticket back when the lead is assigned elsewhere mid-claim', async () => {
+      const findOneAndUpdate = HandoffTicket.findOneAndUpdate;
+      mock.method(HandoffTicket, 'findOneAndUpdate', (...args) => {
+        leads[0].assigned_to = 'counselor-b';
+        return findOneAndUpdate(...args);
+      });
+
+      await rejectsWith(handoffService.claimTicket(TICKET_ID, 'counselor-a'), 403);
+      assert.equal(tickets[0].status, 'open');
+      assert.equal(tickets[0].claimed_by, null);
+      assert.equal(leads[0].assigned_to, 'counselor-b');
+    });
+
+    it('lets an admin claim another counselor\'s lead without reassigning it', async () => {
+      leads[0].assigned_to = 'counselor-b';
+
+      const claimed = await handoffService.claimTicket(TICKET_ID, 'admin-1', { override: true });
+      assert.equal(claimed.claimed_by, 'admin-1');
+      assert.equal(leads[0].assigned_to, 'counselor-b');
+    });
+
+    it('rejects invalid and unknown ticket ids', async () => {
+      await rejectsWith(handoffService.claimTicket('nope', 'counselor-a'), 400);
+      await rejectsWith(handoffService.claimTicket('64c000000000000000000999', 'counselor-a'), 404);
+    });
+  });
+
+  describe('addNote', () => {
+    it('adds a note to a ticket of the counselor\'s lead', async () => {
+      leads[0].assigned_to = 'counselor-a';
+
+      const note = await handoffService.addNote(TICKET_ID, { counselor: 'counselor-a', author: 'Asha', text: ' Called back ' });
+      assert.equal(note.author, 'Asha');
+      assert.equal(note.text, 'Called back');
+      assert.equal(tickets[0].notes.length, 1);
+    });
+
+    it('refuses notes on another counselor\'s lead, except from an admin', async () => {
+      leads[0].assigned_to = 'counselor-b';
+      const note = { counselor: 'counselor-a', author: 'Asha', text: 'Called back' };
+
+      await rejectsWith(handoffService.addNote(TICKET_ID, note), 403);
+      await handoffService.addNote(TICKET_ID, note, { override: true });
+      assert.equal(tickets[0].notes.length, 1);
+    });
+  });
+
+  describe('resolveTicket', () => {
+    it('resolves the counselor\'s claimed ticket', async () => {
+      await handoffService.claimTicket(TICKET_ID, 'counselor-a');
+
+      const resolved = await handoffService.resolveTicket(TICKET_ID, { counselor: 'counselor-a', resolution: ' Fees sent ' });
+      assert.equal(resolved.status, 'resolved');
+      assert.equal(resolved.active, false);
+      assert.equal(resolved.resolved_by, 'counselor-a');
+      assert.equal(resolved.resolution, 'Fees sent');
+    });
+
+    it('refuses a ticket claimed by someone else unless overridden', async () => {
+      await handoffService.claimTicket(TICKET_ID, 'counselor-a');
+
+      await rejectsWith(handoffService.resolveTicket(TICKET_ID, { counselor: 'counselor-b' }), 409, /claimed by counselor-a/);
+      const resolved = await handoffService.resolveTicket(TICKET_ID, { counselor: 'admin-1' }, { override: true });
+      assert.equal(resolved.resolved_by, 'admin-1');
+    });
+
+    it('refuses an open ticket of another counselor\'s lead', async () => {
+      leads[0].assigned_to = 'counselor-b';
+
+      await rejectsWith(handoffService.resolveTicket(TICKET_ID, { counselor: 'counselor-a' }), 403);
+      assert.equal(tickets[0].status, 'open');
+    });
+
+    it('refuses a ticket that is already resolved', async () => {
+      await handoffService.resolveTicket(TICKET_ID, { counselor: 'counselor-a' });
+
+      await rejectsWith(handoffService.resolveTicket(TICKET_ID, { counselor: 'counselor-a' }), 409, /already resolved/);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+import { once } from 'events';
+import app from '../../src/app.js';
+
+/**
+ * Serves the real Express app on a free port for route tests. Stub the
+ * models and services a route uses before calling request().
+ *
+ * @returns {Promise<{ request: Function, close: Function }>}
+ */
+export const startApp = async () => {
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * @param {Object} [options] - headers, and body (sent as JSON) or raw
+   *   (sent as is)
+   * @returns {Promise<{ status: number, body: Object|null, text: string }>}
+   */
+  const request = async (method, path, { headers = {}, body, raw } = {}) => {
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', ...headers },
+      body: raw ?? (body === undefined ? undefined : JSON.stringify(body))
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      // Not JSON; callers read text
+    }
+    return { status: response.status, body: json, text };
+  };
+
+  const close = () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+
+  return { request, close };
+};
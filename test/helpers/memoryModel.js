@@ -0,0 +1,125 @@
+import { mock } from 'node:test';
+import { logger } from '../../src/utils/logger.js';
+
+/**
+ * Replaces the Mongoose statics a service uses with an in-memory
+ * collection, so services can be tested without a database. Supports the
+ * filters and updates the services actually send: equality, $in, $ne, $lt,
+ * $set, $setOnInsert and $push (with $each).
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.unique] - fields of a unique index; create()
+ *   fails with code 11000 on a duplicate, like MongoDB
+ * @returns {Array} the collection's documents, for assertions
+ */
+export const stubModel = (Model, docs = [], { unique = null } = {}) => {
+  const find = (filter) => docs.find(doc => matches(doc, filter)) || null;
+
+  mock.method(Model, 'create', async (data) => {
+    if (unique && find(Object.fromEntries(unique.map(field => [field, data[field]])))) {
+      const error = new Error('E11000 duplicate key error');
+      error.code = 11000;
+      throw error;
+    }
+    const doc = { ...data };
+    docs.push(doc);
+    return doc;
+  });
+  mock.method(Model, 'deleteOne', (filter) => chain(() => {
+    const idx = docs.findIndex(doc => matches(doc, filter));
+    if (idx !== -1) docs.splice(idx, 1);
+    return { deletedCount: idx === -1 ? 0 : 1 };
+  }));
+
+  mock.method(Model, 'find', (filter) => chain(() => docs.filter(doc => matches(doc, filter))));
+  mock.method(Model, 'exists', (filter) => chain(() => {
+    const doc = find(filter);
+    return doc ? { _id: doc._id } : null;
+  }));
+  mock.method(Model, 'findOne', (filter) => chain(() => find(filter)));
+  mock.method(Model, 'findById', (id) => chain(() => find({ _id: id })));
+
+  mock.method(Model, 'findOneAndUpdate', (filter, update, options = {}) => chain(() => {
+    let doc = find(filter);
+    if (!doc) {
+      if (!options.upsert) return null;
+      doc = insert(docs, filter, update);
+    } else {
+      applyUpdate(doc, update);
+    }
+    return doc;
+  }));
+
+  mock.method(Model, 'findByIdAndUpdate', (id, update) => chain(() => {
+    const doc = find({ _id: id });
+    if (doc) applyUpdate(doc, update);
+    return doc;
+  }));
+
+  mock.method(Model, 'updateOne', (filter, update) => chain(() => {
+    const doc = find(filter);
+    if (doc) applyUpdate(doc, update);
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  }));
+
+  return docs;
+};
+
+export const silenceLogger = () => {
+  for (const level of ['error', 'warn', 'info', 'debug']) {
+    mock.method(logger, level, () => {});
+  }
+};
+
+// Thenable standing in for a Mongoose query
+const chain = (run) => {
+  const query = {
+    select: () => query,
+    limit: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject),
+    catch: (reject) => query.then(undefined, reject)
+  };
+  return query;
+};
+
+const equal = (a, b) => {
+  if (a === undefined || a === null || b === undefined || b === null) {
+    return (a ?? null) === (b ?? null);
+  }
+  return String(a) === String(b);
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  const value = doc[key];
+  const isOperator = condition && typeof condition === 'object' &&
+    Object.keys(condition).some(op => op.startsWith('$'));
+  if (!isOperator) return equal(value, condition);
+
+  return Object.entries(condition).every(([op, arg]) => {
+    switch (op) {
+      case '$in': return arg.some(item => equal(value, item));
+      case '$ne': return !equal(value, arg);
+      case '$lt': return value !== undefined && value !== null && value < arg;
+      default: throw new Error(`stubModel does not support ${op}`);
+    }
+  });
+});
+
+const applyUpdate = (doc, update, inserting = false) => {
+  Object.assign(doc, update.$set);
+  if (inserting) Object.assign(doc, update.$setOnInsert);
+  for (const [key, value] of Object.entries(update.$push || {})) {
+    doc[key] = [...(doc[key] || []), ...(value.$each || [value])];
+  }
+};
+
+const insert = (docs, filter, update) => {
+  const doc = {};
+  for (const [key, value] of Object.entries(filter)) {
+    if (value === null || typeof value !== 'object') doc[key] = value;
+  }
+  applyUpdate(doc, update, true);
+  docs.push(doc);
+  return doc;
+};
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+import { detectFormat, parseLeadStream } from '../src/utils/leadFileParser.js';
+
+const streamOf = (content) => Readable.from([Buffer.from(content)]);
+
+describe('detectFormat', () => {
+  it('prefers the file extension', () => {
+    assert.equal(detectFormat('Leads.CSV', 'application/json'), 'csv');
+    assert.equal(detectFormat('leads.xlsx'), 'xlsx');
+    assert.equal(detectFormat('leads.json'), 'json');
+  });
+
+  it('falls back to the MIME type', () => {
+    assert.equal(detectFormat('upload', 'text/csv'), 'csv');
+    assert.equal(detectFormat('upload', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'), 'xlsx');
+    assert.equal(detectFormat('leads.pdf', 'application/pdf'), null);
+  });
+});
+
+describe('parseLeadStream', () => {
+  it('parses CSV with trimmed headers and file line numbers', async () => {
+    const rows = await parseLeadStream(streamOf(' Name ,Phone\nAsha,9876543210\n"Rao, Ravi",9876500001\n'), 'csv');
+
+    assert.deepEqual(rows, [
+      { line: 2, row: { Name: 'Asha', Phone: '9876543210' } },
+      { line: 3, row: { Name: 'Rao, Ravi', Phone: '9876500001' } }
+    ]);
+  });
+
+  it('parses a JSON array, numbering rows from 1 and stringifying values', async () => {
+    const rows = await parseLeadStream(streamOf(JSON.stringify([
+      { ' Name': 'Asha', Phone: 9876543210, Score: null },
+      'not an object'
+    ])), 'json');
+
+    assert.deepEqual(rows, [
+      { line: 1, row: { Name: 'Asha', Phone: '9876543210', Score: '' } },
+      { line: 2, row: {} }
+    ]);
+  });
+
+  it('rejects malformed JSON', async () => {
+    await assert.rejects(parseLeadStream(streamOf('[{"Name": '), 'json'));
+  });
+
+  it('parses the first worksheet of an XLSX file', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Leads');
+    sheet.addRow(['Name', 'Phone', 'Enrolled']);
+    sheet.addRow(['Asha', 9876543210, new Date('2026-01-15T00:00:00Z')]);
+    sheet.addRow([{ richText: [{ text: 'Ra' }, { text: 'vi' }] }, '9876500001']);
+    workbook.addWorksheet('Ignored').addRow(['Name']);
+
+    const rows = await parseLeadStream(Readable.from([await workbook.xlsx.writeBuffer()]), 'xlsx');
+
+    assert.deepEqual(rows, [
+      { line: 2, row: { Name: 'Asha', Phone: '9876543210', Enrolled: '2026-01-15T00:00:00.000Z' } },
+      { line: 3, row: { Name: 'Ravi', Phone: '9876500001', Enrolled: '' } }
+    ]);
+  });
+
+  it('throws on an unsupported format', () => {
+    assert.throws(() => parseLeadStream(streamOf(''), 'pdf'), /Unsupported file format: pdf/);
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Lead from '../src/models/Lead.js';
+import leadImportService from '../src/services/leadImport.service.js';
+import { silenceLogger } from './helpers/memoryModel.js';
+
+const CAMPAIGN = { _id: '64c000000000000000000001' };
+const OPTIONS = { campaign: CAMPAIGN, defaultCountry: 'IN' };
+
+const row = (overrides = {}) => ({
+  Name: 'Asha Rao',
+  Phone: '98765 43210',
+  Email: 'Asha@Example.com',
+  ...overrides
+});
+
+describe('leadImportService.mapRow', () => {
+  it('recognizes common header aliases without a mapping', () => {
+    assert.deepEqual(
+      leadImportService.mapRow({ 'Student Name': 'Asha', 'Mobile No.': '98765', 'E-mail ID': 'a@x.in', City: 'Pune' }),
+      { name: 'Asha', phone: '98765', email: 'a@x.in', attributes: {} }
+    );
+  });
+
+  it('applies explicit mappings before aliases and keeps unmapped columns on request', () => {
+    const mapping = {
+      columns: [
+        { source: 'Parent Mobile', target: 'phone' },
+        { source: 'Program', target: 'course_interest' },
+        { source: 'Score', target: 'attributes.entrance_score' }
+      ],
+      keepUnmapped: true
+    };
+
+    assert.deepEqual(
+      leadImportService.mapRow({
+        Mobile: '11111',
+        'Parent Mobile': '98765',
+        Program: 'BBA',
+        Score: '88',
+        'Home City': 'Pune',
+        Notes: ''
+      }, mapping),
+      {
+        phone: '98765',
+        course_interest: 'BBA',
+        attributes: { mobile: '11111', entrance_score: '88', home_city: 'Pune' }
+      }
+    );
+  });
+});
+
+describe('leadImportService.validateRow', () => {
+  it('normalizes a valid row', () => {
+    const { lead, errors } = leadImportService.validateRow(row(), 2, OPTIONS);
+
+    assert.deepEqual(errors, []);
+    assert.equal(lead.name, 'Asha Rao');
+    assert.equal(lead.phone, '+919876543210');
+    assert.equal(lead.email, 'asha@example.com');
+    assert.equal(lead.timezone, 'Asia/Kolkata');
+    assert.equal(lead.status, 'pending');
+    assert.equal(lead.campaignId, CAMPAIGN._id);
+  });
+
+  it('keeps an explicit time zone and infers one from international numbers', () => {
+    assert.equal(leadImportService.validateRow(row({ Timezone: 'Asia/Dubai' }), 2, OPTIONS).lead.timezone, 'Asia/Dubai');
+    assert.equal(leadImportService.validateRow(row({ Phone: '+971 50 123 4567' }), 2, OPTIONS).lead.timezone, 'Asia/Dubai');
+  });
+
+  it('reports every invalid field with its line', () => {
+    const { lead, errors } = leadImportService.validateRow(
+      { Name: '', Phone: '12', Email: 'not-an-email', Timezone: 'Mars/Olympus' },
+      7,
+      OPTIONS
+    );
+
+    assert.equal(lead, null);
+    assert.deepEqual(errors.map(error => [error.line, error.field]), [
+      [7, 'name'],
+      [7, 'phone'],
+      [7, 'email'],
+      [7, 'timezone']
+    ]);
+  });
+
+  it('requires phone and email', () => {
+    const { errors } = leadImportService.validateRow({ Name: 'Asha' }, 3, OPTIONS);
+    assert.deepEqual(errors.map(error => error.message), ['phone is required', 'email is required']);
+  });
+});
+
+describe('leadImportService.importRows', () => {
+  let existing;
+  let findFilter;
+
+  beforeEach(() => {
+    silenceLogger();
+    existing = [];
+    mock.method(Lead, 'find', (filter) => {
+      findFilter = filter;
+      return { select() { return this; }, lean: async () => existing };
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('reports in-file and database duplicates on a dry run', async () => {
+    existing = [{ phone: '+919876500003', email: 'taken@example.com' }];
+
+    const report = await leadImportService.importRows([
+      { line: 2, row: row() },
+      { line: 3, row: row({ Email: 'other@example.com' }) },
+      { line: 4, row: row({ Phone: '9876500003', Email: 'new@example.com' }) },
+      { line: 5, row: row({ Phone: '9876500005', Email: '' }) },
+      { line: 6, row: row({ Phone: '9876500006', Email: 'six@example.com' }) }
+    ], { ...OPTIONS, dryRun: true });
+
+    assert.equal(findFilter.campaignId, CAMPAIGN._id);
+    assert.deepEqual(report.duplicates, [
+      { line: 3, field: 'phone', value: '+919876543210', firstLine: 2, source: 'file' },
+      { line: 4, field: 'phone', value: '+919876500003', source: 'database' }
+    ]);
+    assert.deepEqual(report.errors.map(error => [error.line, error.field]), [[5, 'email']]);
+    assert.equal(report.total, 5);
+    assert.equal(report.valid, 2);
+    assert.equal(report.inserted, 0);
+    assert.equal(report.skipped, 5);
+  });
+});
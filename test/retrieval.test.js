@@ -0,0 +1,150 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Bm25Index, tokenize } from '../src/services/retrieval/bm25.js';
+import { fuseRankings } from '../src/services/retrieval/fusion.js';
+import { RERANKER_NAMES, resolveRetrievalSettings } from '../src/config/retrieval.js';
+import { getReranker } from '../src/services/retrieval/index.js';
+
+const CHUNKS = [
+  { id: 'btech', text: 'B.Tech CSE AI/ML is a four year programme. Fees for B.Tech are listed per semester.' },
+  { id: 'bba-llb', text: 'BBA LLB is an integrated five year law programme.' },
+  { id: 'mba', text: 'The MBA programme runs for two years with internships.' },
+  { id: 'hostel', text: 'Hostel fees cover meals and laundry.' }
+];
+
+describe('tokenize', () => {
+  it('joins dotted abbreviations and splits on punctuation', () => {
+    assert.deepEqual(tokenize('B.Tech CSE AI/ML'), ['btech', 'cse', 'ai', 'ml']);
+    assert.deepEqual(tokenize('BTech'), ['btech']);
+  });
+
+  it('keeps non-Latin letters and digits', () => {
+    assert.deepEqual(tokenize('फीस 2026!'), ['फीस', '2026']);
+    assert.deepEqual(tokenize(), []);
+  });
+});
+
+describe('Bm25Index.search', () => {
+  const index = new Bm25Index(CHUNKS);
+
+  it('ranks exact program names first', () => {
+    const hits = index.search('btech cse ai ml');
+
+    assert.equal(hits[0].chunk.id, 'btech');
+    assert.equal(hits.length, 1);
+  });
+
+  it('only returns chunks sharing a term with the query', () => {
+    assert.deepEqual(index.search('scholarship deadline'), []);
+    assert.deepEqual(
+      index.search('fees').map(hit => hit.chunk.id).sort(),
+      ['btech', 'hostel']
+    );
+  });
+
+  it('scores in (0, 1], with a full match near 1', () => {
+    const [hit] = index.search('bba llb');
+    assert.ok(hit.score > 0.8 && hit.score <= 1, `score ${hit.score}`);
+
+    for (const { score } of index.search('programme fees year')) {
+      assert.ok(score > 0 && score <= 1);
+    }
+  });
+
+  it('counts query terms no chunk has against a full match', () => {
+    const [feesOnly] = index.search('hostel');
+    const [withUnknown] = index.search('hostel warden');
+    assert.ok(withUnknown.score < feesOnly.score);
+  });
+
+  it('honours the limit', () => {
+    assert.equal(index.search('programme', 2).length, 2);
+  });
+
+  it('works on an empty index', () => {
+    const empty = new Bm25Index();
+    assert.equal(empty.size, 0);
+    assert.deepEqual(empty.search('fees'), []);
+  });
+});
+
+describe('fuseRankings', () => {
+  const hit = (id, extra = {}) => ({ id, ...extra });
+
+  it('puts chunks found by both searches first', () => {
+    const fused = fuseRankings([
+      { hits: [hit('a'), hit('b'), hit('c')], weight: 1 },
+      { hits: [hit('c'), hit('d')], weight: 1 }
+    ]);
+
+    // b and d tie on rank 2; ties keep the order the chunks were first seen
+    assert.deepEqual(fused.map(h => h.id), ['c', 'a', 'b', 'd']);
+    assert.equal(fused[0].fusedScore, 1 / 63 + 1 / 61);
+  });
+
+  it('merges the fields of a chunk found by both', () => {
+    const [merged] = fuseRankings([
+      { hits: [hit('a', { vectorScore: 0.8 })] },
+      { hits: [hit('a', { lexicalScore: 0.5 })] }
+    ]);
+
+    assert.equal(merged.vectorScore, 0.8);
+    assert.equal(merged.lexicalScore, 0.5);
+  });
+
+  it('weights each list and skips lists with weight 0', () => {
+    const rankings = (lexicalWeight) => fuseRankings([
+      { hits: [hit('a'), hit('b')], weight: 1 },
+      { hits: [hit('b'), hit('a')], weight: lexicalWeight }
+    ]).map(h => h.id);
+
+    assert.deepEqual(rankings(2), ['b', 'a']);
+    assert.deepEqual(rankings(0), ['a', 'b']);
+  });
+});
+
+describe('resolveRetrievalSettings', () => {
+  const saved = { ...process.env };
+
+  afterEach(() => {
+    for (const key of ['RAG_RETRIEVAL_MODE', 'RAG_TOP_K', 'RAG_RERANKER']) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+  });
+
+  it('applies campaign overrides over the server defaults', () => {
+    process.env.RAG_RETRIEVAL_MODE = 'vector';
+    process.env.RAG_TOP_K = '4';
+
+    const settings = resolveRetrievalSettings({ mode: 'hybrid', reranker: 'llm', minRelevance: null });
+    assert.equal(settings.mode, 'hybrid');
+    assert.equal(settings.reranker, 'llm');
+    assert.equal(settings.topK, 4);
+    assert.equal(settings.minRelevance, 0.3);
+  });
+
+  it('grows the candidate pools to at least topK', () => {
+    const settings = resolveRetrievalSettings({ topK: 12, candidates: 5, rerankCandidates: 5 });
+    assert.equal(settings.candidates, 12);
+    assert.equal(settings.rerankCandidates, 12);
+  });
+
+  it('rejects unknown modes and rerankers', () => {
+    assert.throws(() => resolveRetrievalSettings({ mode: 'semantic' }), /Unknown retrieval mode: semantic/);
+    assert.throws(() => resolveRetrievalSettings({ reranker: 'cohere' }), /Unknown reranker: cohere/);
+  });
+});
+
+describe('getReranker', () => {
+  it('has a reranker for every configurable name', () => {
+    assert.equal(getReranker('none'), null);
+    for (const name of RERANKER_NAMES.filter(name => name !== 'none')) {
+      assert.equal(getReranker(name).name, name);
+    }
+  });
+
+  it('shares one instance per reranker', () => {
+    assert.equal(getReranker('llm'), getReranker('llm'));
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTokens, trimToTokenBudget } from '../src/utils/tokenBudget.js';
+
+// 36 characters: 9 tokens plus 4 of message overhead
+const entry = (n) => ({ role: n % 2 ? 'assistant' : 'user', text: `${n}`.padEnd(36, '.') });
+const entries = (count) => Array.from({ length: count }, (_, n) => entry(n));
+
+describe('estimateTokens', () => {
+  it('counts about four characters per token, rounding up', () => {
+    assert.equal(estimateTokens(''), 0);
+    assert.equal(estimateTokens('abcd'), 1);
+    assert.equal(estimateTokens('abcde'), 2);
+    assert.equal(estimateTokens(), 0);
+  });
+});
+
+describe('trimToTokenBudget', () => {
+  it('keeps everything that fits', () => {
+    const history = entries(3);
+    assert.deepEqual(trimToTokenBudget(history, 39), { kept: history, omitted: 0 });
+  });
+
+  it('drops the oldest entries over budget', () => {
+    const history = entries(5);
+    const { kept, omitted } = trimToTokenBudget(history, 30);
+
+    assert.equal(omitted, 3);
+    assert.deepEqual(kept, history.slice(3));
+  });
+
+  it('always keeps the last entry', () => {
+    const history = [entry(0), { role: 'user', text: 'x'.repeat(400) }];
+    assert.deepEqual(trimToTokenBudget(history, 10), { kept: history.slice(1), omitted: 1 });
+  });
+
+  it('never omits more than maxOmitted entries', () => {
+    const history = entries(8);
+
+    // Only the first 3 entries are covered by the rolling summary
+    const { kept, omitted } = trimToTokenBudget(history, 30, 3);
+    assert.equal(omitted, 3);
+    assert.deepEqual(kept, history.slice(3));
+
+    assert.equal(trimToTokenBudget(history, 30, 0).omitted, 0);
+    assert.equal(trimToTokenBudget(history, 30, -1).omitted, 0);
+  });
+
+  it('handles an empty history', () => {
+    assert.deepEqual(trimToTokenBudget([], 100), { kept: [], omitted: 0 });
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractJson, parseTurn, validateTurn } from '../src/services/llm/turnSchema.js';
+
+const TURN = {
+  response: 'The BBA fee is listed in the brochure.',
+  intent: 'pricing',
+  interest_score_delta: 1,
+  course_detected: 'BBA',
+  objection_detected: '',
+  handoff_required: false
+};
+
+describe('extractJson', () => {
+  it('parses a bare JSON reply', () => {
+    assert.deepEqual(extractJson(JSON.stringify(TURN)), { value: TURN });
+  });
+
+  it('parses a ```json fence', () => {
+    assert.deepEqual(extractJson(`Here you go:\n\`\`\`json\n${JSON.stringify(TURN)}\n\`\`\``), { value: TURN });
+  });
+
+  it('finds the object in surrounding text, ignoring braces inside strings and stray ones', () => {
+    const turn = { ...TURN, response: 'Use {curly} braces like "this"' };
+    assert.deepEqual(extractJson(`Sure {thing} — ${JSON.stringify(turn)} hope that helps }`), { value: turn });
+  });
+
+  it('reports replies with no object', () => {
+    assert.equal(extractJson('I cannot help with that.').error.kind, 'no_json');
+    assert.equal(extractJson('[1, 2]').error.kind, 'no_json');
+  });
+
+  it('reports objects that do not parse', () => {
+    const { error } = extractJson('{"response": "hi",}');
+    assert.equal(error.kind, 'invalid_json');
+    assert.match(error.message, /^Reply is not valid JSON/);
+  });
+});
+
+describe('validateTurn', () => {
+  it('accepts a complete turn', () => {
+    assert.deepEqual(validateTurn(TURN), []);
+  });
+
+  it('reports missing fields', () => {
+    const partial = { ...TURN };
+    delete partial.intent;
+    delete partial.handoff_required;
+    assert.deepEqual(validateTurn(partial), ['"intent" is required', '"handoff_required" is required']);
+  });
+
+  it('reports each field breaking its rule', () => {
+    const errors = validateTurn({
+      response: '  ',
+      intent: 'smalltalk',
+      interest_score_delta: 1.5,
+      course_detected: null,
+      objection_detected: 3,
+      handoff_required: 'no'
+    });
+
+    assert.equal(errors.length, 6);
+    assert.match(errors[0], /"response" must be a non-empty string/);
+    assert.match(errors[1], /"intent" must be one of: .* \(got "smalltalk"\)/);
+    assert.match(errors[2], /"interest_score_delta" must be an integer from -3 to 3/);
+  });
+
+  it('bounds interest_score_delta to ±3', () => {
+    assert.deepEqual(validateTurn({ ...TURN, interest_score_delta: -3 }), []);
+    assert.equal(validateTurn({ ...TURN, interest_score_delta: 4 }).length, 1);
+  });
+});
+
+describe('parseTurn', () => {
+  it('returns the turn without unknown fields', () => {
+    assert.deepEqual(parseTurn(JSON.stringify({ ...TURN, confidence: 0.9 })), {
+      value: TURN,
+      errorKind: null,
+      errors: []
+    });
+  });
+
+  it('classifies failures for the repair prompt', () => {
+    assert.equal(parseTurn('no json here').errorKind, 'no_json');
+    assert.equal(parseTurn('{"response": }').errorKind, 'invalid_json');
+
+    const schemaFailure = parseTurn(JSON.stringify({ ...TURN, intent: 'smalltalk' }));
+    assert.equal(schemaFailure.errorKind, 'schema');
+    assert.equal(schemaFailure.value.intent, 'smalltalk');
+    assert.equal(schemaFailure.errors.length, 1);
+  });
+});
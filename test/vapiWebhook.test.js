@@ -0,0 +1,181 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import WebhookEvent from '../src/models/WebhookEvent.js';
+import callEventsService from '../src/services/callEvents.service.js';
+import { stubModel, silenceLogger } from './helpers/memoryModel.js';
+import { startApp } from './helpers/http.js';
+
+const SECRET = 'test-webhook-secret';
+const PATH = '/api/vapi/webhook';
+
+const message = (overrides = {}) => ({
+  message: { type: 'call.started', timestamp: Date.now(), call: { id: 'call_1' }, ...overrides }
+});
+
+const signed = (body, { timestamp = Math.floor(Date.now() / 1000), secret = SECRET, nonce } = {}) => {
+  const raw = JSON.stringify(body);
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${raw}`).digest('hex');
+  const headers = { 'x-vapi-signature': signature, 'x-vapi-timestamp': String(timestamp) };
+  if (nonce) headers['x-vapi-nonce'] = nonce;
+  return { headers, raw };
+};
+
+const sharedSecret = (body, secret = SECRET) => ({
+  headers: { 'x-vapi-secret': secret },
+  raw: JSON.stringify(body)
+});
+
+describe('POST /api/vapi/webhook', () => {
+  let server;
+  let handleEvent;
+  let receipts;
+
+  before(async () => {
+    server = await startApp();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    process.env.VAPI_WEBHOOK_SECRET = SECRET;
+    silenceLogger();
+    receipts = stubModel(WebhookEvent, [], { unique: ['provider', 'kind', 'key'] });
+    handleEvent = mock.method(callEventsService, 'handleEvent', async () => ({ handled: true }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.VAPI_WEBHOOK_SECRET;
+    delete process.env.VAPI_WEBHOOK_REQUIRE_HMAC;
+  });
+
+  describe('HMAC mode', () => {
+    it('accepts a valid signature, in seconds or milliseconds', async () => {
+      const seconds = await server.request('POST', PATH, signed(message()));
+      const millis = await server.request('POST', PATH, signed(message({ call: { id: 'call_2' } }), { timestamp: Date.now() }));
+
+      assert.equal(seconds.status, 200);
+      assert.equal(millis.status, 200);
+      assert.equal(handleEvent.mock.callCount(), 2);
+    });
+
+    it('accepts a sha256= prefixed signature', async () => {
+      const request = signed(message());
+      request.headers['x-vapi-signature'] = `sha256=${request.headers['x-vapi-signature']}`;
+
+      assert.equal((await server.request('POST', PATH, request)).status, 200);
+    });
+
+    it('rejects a bad signature', async () => {
+      const response = await server.request('POST', PATH, signed(message(), { secret: 'wrong' }));
+
+      assert.equal(response.status, 401);
+      assert.equal(response.body.error, 'Webhook rejected: invalid signature');
+      assert.equal(handleEvent.mock.callCount(), 0);
+    });
+
+    it('rejects a body changed after signing', async () => {
+      const request = signed(message());
+      request.raw = JSON.stringify(message({ type: 'call.ended' }));
+
+      assert.equal((await server.request('POST', PATH, request)).status, 401);
+    });
+
+    it('rejects stale and future timestamps', async () => {
+      const now = Math.floor(Date.now() / 1000);
+
+      const stale = await server.request('POST', PATH, signed(message(), { timestamp: now - 301 }));
+      const future = await server.request('POST', PATH, signed(message(), { timestamp: now + 301 }));
+
+      assert.equal(stale.status, 401);
+      assert.equal(stale.body.error, 'Webhook rejected: timestamp outside tolerance');
+      assert.equal(future.status, 401);
+    });
+
+    it('rejects a missing or malformed timestamp', async () => {
+      const request = signed(message());
+      delete request.headers['x-vapi-timestamp'];
+      assert.equal((await server.request('POST', PATH, request)).status, 401);
+
+      request.headers['x-vapi-timestamp'] = 'yesterday';
+      assert.equal((await server.request('POST', PATH, request)).status, 400);
+    });
+
+    it('rejects a replayed nonce', async () => {
+      const request = signed(message(), { nonce: 'nonce-1' });
+
+      assert.equal((await server.request('POST', PATH, request)).status, 200);
+      const replay = await server.request('POST', PATH, request);
+
+      assert.equal(replay.status, 409);
+      assert.equal(replay.body.error, 'Webhook rejected: replayed nonce');
+      assert.equal(handleEvent.mock.callCount(), 1);
+    });
+
+    it('releases the nonce when processing fails, so the retry is processed', async () => {
+      handleEvent.mock.mockImplementationOnce(async () => {
+        throw new Error('database unavailable');
+      });
+      const request = signed(message(), { nonce: 'nonce-2' });
+
+      assert.equal((await server.request('POST', PATH, request)).status, 500);
+      assert.equal(receipts.length, 0);
+
+      const retry = await server.request('POST', PATH, request);
+      assert.equal(retry.status, 200);
+      assert.deepEqual(retry.body.data, { handled: true });
+      assert.equal(handleEvent.mock.callCount(), 2);
+    });
+  });
+
+  describe('shared-secret mode', () => {
+    it('accepts the shared secret', async () => {
+      const response = await server.request('POST', PATH, sharedSecret(message()));
+
+      assert.equal(response.status, 200);
+      assert.equal(handleEvent.mock.callCount(), 1);
+    });
+
+    it('acknowledges a redelivery without reprocessing it', async () => {
+      const body = message();
+
+      await server.request('POST', PATH, sharedSecret(body));
+      const redelivery = await server.request('POST', PATH, sharedSecret(body));
+
+      assert.equal(redelivery.status, 200);
+      assert.deepEqual(redelivery.body.data, { handled: true, duplicate: true });
+      assert.equal(handleEvent.mock.callCount(), 1);
+    });
+
+    it('rejects a wrong secret', async () => {
+      assert.equal((await server.request('POST', PATH, sharedSecret(message(), 'wrong'))).status, 401);
+    });
+
+    it('rejects messages older than the event id window', async () => {
+      const old = message({ timestamp: Date.now() - 8 * 24 * 60 * 60 * 1000 });
+      const response = await server.request('POST', PATH, sharedSecret(old));
+
+      assert.equal(response.status, 401);
+      assert.equal(response.body.error, 'Webhook rejected: message timestamp too old');
+    });
+
+    it('is refused when VAPI_WEBHOOK_REQUIRE_HMAC=true', async () => {
+      process.env.VAPI_WEBHOOK_REQUIRE_HMAC = 'true';
+
+      assert.equal((await server.request('POST', PATH, sharedSecret(message()))).status, 401);
+    });
+  });
+
+  it('rejects deliveries without credentials', async () => {
+    assert.equal((await server.request('POST', PATH, { body: message() })).status, 401);
+  });
+
+  it('refuses every delivery while no secret is configured', async () => {
+    delete process.env.VAPI_WEBHOOK_SECRET;
+
+    assert.equal((await server.request('POST', PATH, sharedSecret(message()))).status, 500);
+  });
+});